@@ -9,4 +9,29 @@ config({path: `.env.${process.env.NODE_ENV || "development"}.local`});
     JWT_SECRET,
     JWT_EXPIRES_IN
  }=process.env;
+
+// Set ALLOW_GUESTS=false to only let signed-in users join rooms over sockets
+export const ALLOW_GUESTS = process.env.ALLOW_GUESTS !== "false";
+// Number of reverse proxies in front of the server. X-Forwarded-For is only
+// believed for the addresses those proxies added; 0 (default) ignores it.
+export const TRUST_PROXY = Number(process.env.TRUST_PROXY) || 0;
+// How long a dropped connection may come back and resume its session
+export const SESSION_GRACE_SECONDS = Number(process.env.SESSION_GRACE_SECONDS) || 60;
+
+// Sandbox for room terminals and runs: auto (bwrap or uid, refusing to start
+// without either), bwrap, uid or none (see utils/sandbox.js)
+export const SANDBOX_MODE = process.env.SANDBOX_MODE || "auto";
+// Room processes get no network unless SANDBOX_NETWORK=true
+export const SANDBOX_NETWORK = process.env.SANDBOX_NETWORK === "true";
+export const SANDBOX_CPU_SECONDS = Number(process.env.SANDBOX_CPU_SECONDS) || 60;
+export const SANDBOX_MEMORY_MB = Number(process.env.SANDBOX_MEMORY_MB) || 2048;
+export const SANDBOX_MAX_PROCESSES = Number(process.env.SANDBOX_MAX_PROCESSES) || 256;
+export const SANDBOX_MAX_FILE_MB = Number(process.env.SANDBOX_MAX_FILE_MB) || 64;
+export const SANDBOX_RUN_TIMEOUT_SECONDS = Number(process.env.SANDBOX_RUN_TIMEOUT_SECONDS) || 30;
+export const SANDBOX_UID_BASE = Number(process.env.SANDBOX_UID_BASE) || 100000;
+// A pids cgroup the server may create child cgroups in (e.g. /sys/fs/cgroup/pids/rooms),
+// capping the processes of each room; required for bwrap
+export const SANDBOX_PIDS_CGROUP = process.env.SANDBOX_PIDS_CGROUP || null;
+// Extra read-only directories for toolchains outside /usr and /opt (comma separated)
+export const SANDBOX_READ_ONLY_PATHS = (process.env.SANDBOX_READ_ONLY_PATHS || "").split(",").map(p => p.trim()).filter(Boolean);
 // Export the environment variables for use in other parts of the application
\ No newline at end of file
@@ -0,0 +1,112 @@
+import mongoose from "mongoose";
+import { createInvite, listInvites, revokeInvite, redeemInvite, describeInvite } from "../utils/roomInvites.js";
+
+const createRoomInvite = async (req, res, next) => {
+    try {
+        const { roomCode } = req.room;
+        const { expiresIn, maxUses, role } = req.body || {};
+
+        const { token, invite } = await createInvite(roomCode, { expiresIn, maxUses, role }, req.user);
+        console.log(`${req.user.userName} created a ${invite.role} invite for room ${roomCode}`);
+
+        res.status(201).json({
+            success: true,
+            message: "Invite created successfully",
+            data: {
+                token,
+                invite: describeInvite(invite)
+            }
+        });
+    } catch (err) {
+        console.error("Error creating invite:", err);
+        res.status(err.statusCode || 500).json({
+            success: false,
+            message: err.statusCode ? err.message : "Internal server error",
+            error: err.message
+        });
+    }
+};
+
+const listRoomInvites = async (req, res, next) => {
+    try {
+        const invites = await listInvites(req.room.roomCode);
+
+        res.status(200).json({
+            success: true,
+            message: "Invites fetched successfully",
+            data: {
+                invites: invites.map(describeInvite)
+            }
+        });
+    } catch (err) {
+        console.error("Error listing invites:", err);
+        res.status(500).json({
+            success: false,
+            message: "Internal server error",
+            error: err.message
+        });
+    }
+};
+
+const revokeRoomInvite = async (req, res, next) => {
+    try {
+        const { inviteId } = req.params;
+
+        if (!mongoose.isValidObjectId(inviteId) || !(await revokeInvite(req.room.roomCode, inviteId))) {
+            return res.status(404).json({
+                success: false,
+                message: "Invite not found"
+            });
+        }
+
+        console.log(`${req.user.userName} revoked invite ${inviteId} of room ${req.room.roomCode}`);
+
+        res.status(200).json({
+            success: true,
+            message: "Invite revoked successfully"
+        });
+    } catch (err) {
+        console.error("Error revoking invite:", err);
+        res.status(500).json({
+            success: false,
+            message: "Internal server error",
+            error: err.message
+        });
+    }
+};
+
+// Signed-in users redeem an invite once and are members from then on, so
+// they can join the room without its password
+const redeemRoomInvite = async (req, res, next) => {
+    try {
+        const { token } = req.body || {};
+
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                message: "Invite token is required"
+            });
+        }
+
+        const { roomCode, role } = await redeemInvite(token, req.user);
+        console.log(`${req.user.userName} redeemed an invite to room ${roomCode} as ${role}`);
+
+        res.status(200).json({
+            success: true,
+            message: "Invite redeemed successfully",
+            data: {
+                roomCode,
+                role
+            }
+        });
+    } catch (err) {
+        console.error("Error redeeming invite:", err);
+        res.status(err.statusCode || 500).json({
+            success: false,
+            message: err.statusCode ? err.message : "Internal server error",
+            error: err.message
+        });
+    }
+};
+
+export { createRoomInvite, listRoomInvites, revokeRoomInvite, redeemRoomInvite };
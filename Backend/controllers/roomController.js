@@ -0,0 +1,289 @@
+import archiver from "archiver";
+import fs from "fs";
+import path from "path";
+import { readArchive, normalizeEntryPath } from "../utils/archive.js";
+import { openInWorkspace, readFromWorkspace, isUnsafeWorkspaceItem } from "../utils/workspaceFiles.js";
+
+// Collect files from the working directory that the file tree doesn't know about
+// (build output, files created in the terminal before the watcher caught up...)
+const collectWorkingDirFiles = (workDir, relativeDir = "", result = []) => {
+    const entries = fs.readdirSync(path.join(workDir, relativeDir), { withFileTypes: true });
+    entries.forEach(entry => {
+        const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+        if (entry.name === ".git") {
+            return;
+        }
+        if (entry.isDirectory()) {
+            result.push({ path: relativePath, type: "folder" });
+            collectWorkingDirFiles(workDir, relativePath, result);
+        } else if (entry.isFile()) {
+            result.push({ path: relativePath, type: "file" });
+        }
+    });
+    return result;
+};
+
+const exportRoom = async (req, res, next) => {
+    try {
+        const { roomFiles, terminalManager, roomPersistence } = req.app.locals;
+        const { roomCode } = req.room;
+
+        // Rooms nobody is in right now are exported from their saved files
+        const files = roomFiles[roomCode] || await roomPersistence.loadRoom(roomCode) || {};
+        const workDir = terminalManager.getWorkingDirectory(roomCode);
+
+        const archive = archiver("zip", { zlib: { level: 9 } });
+        archive.on("warning", (warning) => {
+            console.warn(`Warning while exporting room ${roomCode}:`, warning);
+        });
+        archive.on("error", (error) => {
+            console.error(`Error exporting room ${roomCode}:`, error);
+            res.destroy(error);
+        });
+
+        res.attachment(`${roomCode}.zip`);
+        archive.pipe(res);
+
+        const hasWorkDir = workDir && fs.existsSync(workDir);
+
+        // The editor copy is the most recent one, so it wins over the disk copy.
+        // Binary files only live on disk (or in their saved copy).
+        const added = new Set();
+        const missingBinaries = new Set();
+        Object.keys(files).sort().forEach(itemPath => {
+            const item = files[itemPath];
+            if (item.type === "folder") {
+                archive.append("", { name: `${itemPath}/` });
+            } else if (item.binary) {
+                if (!hasWorkDir || !fs.existsSync(path.join(workDir, itemPath))) {
+                    missingBinaries.add(itemPath);
+                }
+                return;
+            } else {
+                archive.append(item.content || "", { name: itemPath });
+            }
+            added.add(itemPath);
+        });
+
+        if (missingBinaries.size > 0) {
+            const savedBinaries = await roomPersistence.loadBinaryData(roomCode);
+            savedBinaries
+                .filter(({ path: itemPath }) => missingBinaries.has(itemPath))
+                .forEach(({ path: itemPath, data }) => {
+                    archive.append(data, { name: itemPath });
+                    added.add(itemPath);
+                });
+        }
+
+        if (hasWorkDir) {
+            collectWorkingDirFiles(workDir).forEach(item => {
+                if (added.has(item.path)) {
+                    return;
+                }
+                if (item.type === "folder") {
+                    archive.append("", { name: `${item.path}/` });
+                } else {
+                    try {
+                        archive.append(readFromWorkspace(workDir, item.path), { name: item.path });
+                    } catch (error) {
+                        // Replaced by a link or removed since the listing
+                        if (error.code !== "ENOENT" && !isUnsafeWorkspaceItem(error)) throw error;
+                    }
+                }
+            });
+        }
+
+        await archive.finalize();
+        console.log(`Room ${roomCode} exported as zip`);
+    } catch (err) {
+        console.error("Error exporting room:", err);
+        if (res.headersSent) {
+            return res.destroy(err);
+        }
+        res.status(500).json({
+            success: false,
+            message: "Internal server error",
+            error: err.message
+        });
+    }
+};
+
+const importRoom = async (req, res, next) => {
+    try {
+        const { roomFiles, importFilesIntoRoom } = req.app.locals;
+        const { roomCode } = req.room;
+
+        if (!roomFiles[roomCode]) {
+            return res.status(409).json({
+                success: false,
+                message: "Room is not active. Join the room before importing files."
+            });
+        }
+
+        if (!Buffer.isBuffer(req.body)) {
+            return res.status(415).json({
+                success: false,
+                message: "Upload a zip, tar or tar.gz archive as the request body"
+            });
+        }
+
+        const entries = await readArchive(req.body);
+        const result = importFilesIntoRoom(roomCode, entries);
+        if (!result.success) {
+            return res.status(409).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        console.log(`Imported ${result.imported.length} items into room ${roomCode}`);
+
+        res.status(200).json({
+            success: true,
+            message: "Archive imported successfully",
+            data: {
+                imported: result.imported
+            }
+        });
+    } catch (err) {
+        console.error("Error importing archive:", err);
+        res.status(err.statusCode || 500).json({
+            success: false,
+            message: err.statusCode ? err.message : "Internal server error",
+            error: err.message
+        });
+    }
+};
+
+// Resolve the ?path= of a single file request, null if it is not a valid room path
+const requestedFilePath = (req) => {
+    try {
+        return typeof req.query.path === "string" ? normalizeEntryPath(req.query.path) : null;
+    } catch (err) {
+        return null;
+    }
+};
+
+const downloadFile = async (req, res, next) => {
+    try {
+        const { roomFiles, terminalManager, roomPersistence } = req.app.locals;
+        const { roomCode } = req.room;
+
+        const filePath = requestedFilePath(req);
+        if (!filePath) {
+            return res.status(400).json({
+                success: false,
+                message: "A valid file path is required"
+            });
+        }
+
+        const files = roomFiles[roomCode] || await roomPersistence.loadRoom(roomCode) || {};
+        const item = files[filePath];
+        if (!item || item.type !== "file") {
+            return res.status(404).json({
+                success: false,
+                message: "File not found"
+            });
+        }
+
+        res.attachment(path.posix.basename(filePath));
+
+        if (!item.binary) {
+            return res.type("text/plain").send(item.content || "");
+        }
+
+        const workDir = terminalManager.getWorkingDirectory(roomCode);
+        let fd = null;
+        try {
+            // Never through a symlink a room user put in place of the file
+            fd = workDir ? openInWorkspace(workDir, filePath) : null;
+        } catch (error) {
+            if (error.code !== "ENOENT" && !isUnsafeWorkspaceItem(error)) throw error;
+        }
+        if (fd !== null) {
+            res.type(item.mimeType || "application/octet-stream");
+            return fs.createReadStream(null, { fd }).on("error", (error) => res.destroy(error)).pipe(res);
+        }
+
+        const saved = (await roomPersistence.loadBinaryData(roomCode)).find(entry => entry.path === filePath);
+        if (!saved) {
+            return res.status(404).json({
+                success: false,
+                message: "File content is not available"
+            });
+        }
+
+        res.type(item.mimeType || "application/octet-stream").send(saved.data);
+    } catch (err) {
+        console.error("Error downloading file:", err);
+        if (res.headersSent) {
+            return res.destroy(err);
+        }
+        res.status(500).json({
+            success: false,
+            message: "Internal server error",
+            error: err.message
+        });
+    }
+};
+
+const uploadFile = async (req, res, next) => {
+    try {
+        const { roomFiles, importFilesIntoRoom } = req.app.locals;
+        const { roomCode } = req.room;
+
+        if (!roomFiles[roomCode]) {
+            return res.status(409).json({
+                success: false,
+                message: "Room is not active. Join the room before uploading files."
+            });
+        }
+
+        const filePath = requestedFilePath(req);
+        if (!filePath) {
+            return res.status(400).json({
+                success: false,
+                message: "A valid file path is required"
+            });
+        }
+
+        if (!Buffer.isBuffer(req.body)) {
+            return res.status(415).json({
+                success: false,
+                message: "Send the file content as the request body"
+            });
+        }
+
+        const result = importFilesIntoRoom(roomCode, [{ path: filePath, type: "file", data: req.body }]);
+        if (!result.success) {
+            return res.status(409).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        const item = roomFiles[roomCode][filePath];
+        console.log(`Uploaded ${filePath} (${req.body.length} bytes) into room ${roomCode}`);
+
+        res.status(201).json({
+            success: true,
+            message: "File uploaded successfully",
+            data: {
+                path: filePath,
+                binary: !!item.binary,
+                size: req.body.length,
+                mimeType: item.mimeType || null,
+                hash: item.hash || null
+            }
+        });
+    } catch (err) {
+        console.error("Error uploading file:", err);
+        res.status(500).json({
+            success: false,
+            message: "Internal server error",
+            error: err.message
+        });
+    }
+};
+
+export { exportRoom, importRoom, downloadFile, uploadFile };
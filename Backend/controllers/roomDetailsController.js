@@ -0,0 +1,119 @@
+import roomModel from "../models/roomModel.js";
+
+// People connected to a room right now (0 for rooms that are not loaded)
+const onlineCount = (req, roomCode) => (req.app.locals.rooms[roomCode] || []).length;
+
+const describeRoom = (req, room, role) => ({
+    roomCode: room.roomCode,
+    name: room.name,
+    description: room.description,
+    role,
+    memberCount: room.members.length,
+    onlineCount: onlineCount(req, room.roomCode),
+    lifecycle: room.lifecycle,
+    lastActiveAt: room.lastActiveAt,
+    archived: !!room.archivedAt,
+    createdAt: room.createdAt
+});
+
+// Rooms the signed-in user created or joined, most recently active first
+const getMyRooms = async (req, res, next) => {
+    try {
+        const rooms = await roomModel.find({ "members.userId": req.user._id })
+            .select("-password -bans")
+            .sort({ lastActiveAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            message: "Rooms fetched successfully",
+            data: {
+                rooms: rooms.map(room => describeRoom(req, room, room.roleOf(req.user._id)))
+            }
+        });
+    } catch (err) {
+        console.error("Error fetching rooms:", err);
+        res.status(500).json({
+            success: false,
+            message: "Internal server error",
+            error: err.message
+        });
+    }
+};
+
+const getRoomDetails = async (req, res, next) => {
+    try {
+        const { room, member } = req;
+
+        res.status(200).json({
+            success: true,
+            message: "Room fetched successfully",
+            data: {
+                ...describeRoom(req, room, member.role),
+                idleTimeoutMinutes: room.idleTimeoutMinutes,
+                archivedAt: room.archivedAt,
+                members: room.members.map(({ userId, username, role }) => ({
+                    userId: userId.toString(),
+                    username,
+                    role
+                }))
+            }
+        });
+    } catch (err) {
+        console.error("Error fetching room:", err);
+        res.status(500).json({
+            success: false,
+            message: "Internal server error",
+            error: err.message
+        });
+    }
+};
+
+// Rename or describe a room (owner only)
+const updateRoomDetails = async (req, res, next) => {
+    try {
+        const { name, description } = req.body || {};
+        const { room } = req;
+
+        if (name === undefined && description === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: "Nothing to update, send a name or a description"
+            });
+        }
+
+        if (name !== undefined) room.name = name;
+        if (description !== undefined) room.description = description;
+
+        const validationError = room.validateSync(["name", "description"]);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError.message
+            });
+        }
+
+        await room.save();
+
+        // Let everyone in the room see the new name right away
+        req.app.locals.io.to(room.roomCode).emit("room-details-updated", {
+            name: room.name,
+            description: room.description,
+            updatedBy: req.user.userName
+        });
+
+        res.status(200).json({
+            success: true,
+            message: "Room updated successfully",
+            data: describeRoom(req, room, req.member.role)
+        });
+    } catch (err) {
+        console.error("Error updating room:", err);
+        res.status(500).json({
+            success: false,
+            message: "Internal server error",
+            error: err.message
+        });
+    }
+};
+
+export { getMyRooms, getRoomDetails, updateRoomDetails };
@@ -0,0 +1,80 @@
+// Owner-only lifecycle operations. The work is done by app.locals.roomLifecycle
+// so that live rooms are closed and unloaded consistently.
+
+const describeLifecycle = (room) => ({
+    roomCode: room.roomCode,
+    lifecycle: room.lifecycle,
+    idleTimeoutMinutes: room.idleTimeoutMinutes,
+    lastActiveAt: room.lastActiveAt,
+    archivedAt: room.archivedAt
+});
+
+const sendError = (res, label, err) => {
+    console.error(`Error ${label}:`, err);
+    res.status(err.statusCode || 500).json({
+        success: false,
+        message: err.statusCode ? err.message : "Internal server error",
+        error: err.message
+    });
+};
+
+const updateRoomLifecycle = async (req, res, next) => {
+    try {
+        const { lifecycle, idleTimeoutMinutes } = req.body || {};
+        const room = await req.app.locals.roomLifecycle.setLifecycle(req.room.roomCode, { lifecycle, idleTimeoutMinutes });
+
+        res.status(200).json({
+            success: true,
+            message: "Room lifecycle updated successfully",
+            data: describeLifecycle(room)
+        });
+    } catch (err) {
+        sendError(res, "updating room lifecycle", err);
+    }
+};
+
+const archiveRoom = async (req, res, next) => {
+    try {
+        const room = await req.app.locals.roomLifecycle.archive(req.room.roomCode);
+        console.log(`${req.user.userName} archived room ${room.roomCode}`);
+
+        res.status(200).json({
+            success: true,
+            message: "Room archived successfully",
+            data: describeLifecycle(room)
+        });
+    } catch (err) {
+        sendError(res, "archiving room", err);
+    }
+};
+
+const unarchiveRoom = async (req, res, next) => {
+    try {
+        const room = await req.app.locals.roomLifecycle.unarchive(req.room.roomCode);
+        console.log(`${req.user.userName} restored room ${room.roomCode}`);
+
+        res.status(200).json({
+            success: true,
+            message: "Room restored successfully",
+            data: describeLifecycle(room)
+        });
+    } catch (err) {
+        sendError(res, "restoring room", err);
+    }
+};
+
+const deleteRoom = async (req, res, next) => {
+    try {
+        await req.app.locals.roomLifecycle.deleteRoom(req.room.roomCode);
+        console.log(`${req.user.userName} deleted room ${req.room.roomCode}`);
+
+        res.status(200).json({
+            success: true,
+            message: "Room deleted successfully"
+        });
+    } catch (err) {
+        sendError(res, "deleting room", err);
+    }
+};
+
+export { updateRoomLifecycle, archiveRoom, unarchiveRoom, deleteRoom };
@@ -0,0 +1,112 @@
+import roomModel from "../models/roomModel.js";
+import authModel from "../models/authModel.js";
+import bcrypt from "bcrypt";
+import jwt from "jsonwebtoken";
+import { ALLOW_GUESTS } from "../config/env.js";
+import { canEdit } from "../utils/roomRoles.js";
+
+// Checks the room password sent in the X-Room-Password header for REST
+// endpoints that act on a room
+const roomAccessMiddleware = async(req, res, next) => {
+    try{
+        const roomCode = req.params.roomCode?.toUpperCase();
+        const password = req.header("X-Room-Password");
+
+        if(!password){
+            return res.status(401).json({
+                success: false,
+                message: "Room password not provided"
+            });
+        }
+
+        const room = await roomModel.findOne({ roomCode });
+        if(!room){
+            return res.status(404).json({
+                success: false,
+                message: "Room not found"
+            });
+        }
+
+        const isPasswordValid = await bcrypt.compare(password, room.password);
+        if(!isPasswordValid){
+            return res.status(401).json({
+                success: false,
+                message: "Invalid room password"
+            });
+        }
+
+        req.room = room;
+        next();
+    }
+    catch(error){
+        console.error("error in roomAccessMiddleware:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+// For endpoints that change the room's files, after roomAccessMiddleware: the
+// password gets anyone in, but only owners and editors may write, as over
+// sockets. Signed-in users (optional Authorization header) have their member
+// role, everyone else the room's default role like guests.
+export const roomEditorAccessMiddleware = async(req, res, next) => {
+    try{
+        const header = req.header("Authorization");
+        const token = header ? header.replace(/^Bearer\s+/i, "") : null;
+
+        let user = null;
+        if(token){
+            try{
+                const verify = jwt.verify(token, process.env.JWT_SECRET);
+                user = await authModel.findById(verify.id).select("-password");
+            }
+            catch(error){
+                return res.status(401).json({
+                    success: false,
+                    message: "Token is invalid or expired"
+                });
+            }
+            if(!user){
+                return res.status(404).json({
+                    success: false,
+                    message: "User not found"
+                });
+            }
+        }
+        else if(!ALLOW_GUESTS){
+            return res.status(401).json({
+                success: false,
+                message: "Authentication required"
+            });
+        }
+
+        if(user && req.room.isBanned(user._id, null)){
+            return res.status(403).json({
+                success: false,
+                message: "You have been banned from this room"
+            });
+        }
+
+        const role = user ? req.room.roleOf(user._id) : req.room.defaultRole;
+        if(!canEdit(role)){
+            return res.status(403).json({
+                success: false,
+                message: "Only the owner and editors can change files in this room"
+            });
+        }
+
+        req.user = user;
+        next();
+    }
+    catch(error){
+        console.error("error in roomEditorAccessMiddleware:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+export default roomAccessMiddleware;
@@ -0,0 +1,39 @@
+import roomModel from "../models/roomModel.js";
+
+// Loads the room named by :roomCode and only lets members with one of the
+// given roles through. Runs after authMiddleware.
+const roomRoleMiddleware = (roles, message) => async(req, res, next) => {
+    try{
+        const roomCode = req.params.roomCode?.toUpperCase();
+
+        const room = await roomModel.findOne({ roomCode });
+        if(!room){
+            return res.status(404).json({
+                success: false,
+                message: "Room not found"
+            });
+        }
+
+        const member = room.members.find(m => m.userId.equals(req.user._id));
+        if(!member || (roles && !roles.includes(member.role))){
+            return res.status(403).json({
+                success: false,
+                message
+            });
+        }
+
+        req.room = room;
+        req.member = member;
+        next();
+    }
+    catch(error){
+        console.error("error in roomRoleMiddleware:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+export const roomOwnerMiddleware = roomRoleMiddleware(["owner"], "Only the room owner can do this");
+export const roomMemberMiddleware = roomRoleMiddleware(null, "You are not a member of this room");
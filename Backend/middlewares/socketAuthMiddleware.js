@@ -0,0 +1,68 @@
+import authModel from "../models/authModel.js";
+import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import { ALLOW_GUESTS, TRUST_PROXY } from "../config/env.js";
+
+// Address of the client. Each trusted proxy appends the address it got the
+// request from to X-Forwarded-For, so only that many entries from the right
+// are real; anything further left is whatever the client sent.
+const clientAddressOf = (socket) => {
+    const forwardedFor = socket.handshake.headers["x-forwarded-for"];
+    if (!TRUST_PROXY || !forwardedFor) {
+        return socket.handshake.address;
+    }
+    const addresses = forwardedFor.split(",").map(address => address.trim()).filter(Boolean);
+    return addresses[Math.max(addresses.length - TRUST_PROXY, 0)] || socket.handshake.address;
+};
+
+// Best-effort identity for guests (used for bans): client address plus user agent
+const fingerprintOf = (socket) => {
+    const address = clientAddressOf(socket);
+    return crypto.createHash("sha256")
+        .update(`${address}|${socket.handshake.headers["user-agent"] || ""}`)
+        .digest("hex")
+        .slice(0, 32);
+};
+
+// Reads the JWT from the Socket.IO handshake (`auth.token` or the
+// Authorization header) and attaches the signed-in user to the socket.
+// Connections without a token are let in as guests when ALLOW_GUESTS is on.
+const socketAuthMiddleware = async (socket, next) => {
+    try {
+        socket.fingerprint = fingerprintOf(socket);
+
+        const header = socket.handshake.headers.authorization;
+        const token = socket.handshake.auth?.token || (header ? header.replace(/^Bearer\s+/i, "") : null);
+
+        if (!token) {
+            if (!ALLOW_GUESTS) {
+                return next(new Error("Authentication required"));
+            }
+            socket.user = null;
+            socket.userId = null;
+            return next();
+        }
+
+        let verify;
+        try {
+            verify = jwt.verify(token, process.env.JWT_SECRET);
+        } catch (error) {
+            return next(new Error("Token is invalid or expired"));
+        }
+
+        const user = await authModel.findById(verify.id).select("-password");
+        if (!user) {
+            return next(new Error("User not found"));
+        }
+
+        socket.user = user;
+        socket.userId = user._id.toString();
+        socket.username = user.userName;
+        next();
+    } catch (error) {
+        console.error("error in socket auth middleware:", error);
+        next(new Error("Internal server error"));
+    }
+};
+
+export default socketAuthMiddleware;
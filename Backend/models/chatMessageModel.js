@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// A chat message in a room, optionally pointing at lines of a file
+const chatMessageSchema = new mongoose.Schema({
+    roomCode: {
+        type: String,
+        required: true,
+        uppercase: true
+    },
+    author: {
+        userId: { type: String },
+        username: { type: String }
+    },
+    text: {
+        type: String,
+        default: '',
+        maxlength: 4000
+    },
+    // Usernames mentioned with @name who were in the room
+    mentions: [{ type: String }],
+    codeRef: {
+        fileName: { type: String },
+        startLine: { type: Number },
+        endLine: { type: Number },
+        // The referenced lines as they were when the message was sent
+        preview: { type: String }
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+chatMessageSchema.index({ roomCode: 1, createdAt: -1 });
+
+const chatMessageModel = mongoose.model('chatMessage', chatMessageSchema);
+export default chatMessageModel;
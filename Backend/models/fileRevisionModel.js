@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+// A saved snapshot of a file in a room
+const fileRevisionSchema = new mongoose.Schema({
+    roomCode: {
+        type: String,
+        required: true,
+        uppercase: true
+    },
+    fileName: {
+        type: String,
+        required: true
+    },
+    content: {
+        type: String,
+        default: ''
+    },
+    author: {
+        userId: { type: String },
+        username: { type: String }
+    },
+    source: {
+        type: String,
+        enum: ['snapshot', 'editor', 'terminal', 'restore', 'import'],
+        default: 'editor'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+fileRevisionSchema.index({ roomCode: 1, fileName: 1, createdAt: -1 });
+
+const fileRevisionModel = mongoose.model('fileRevision', fileRevisionSchema);
+export default fileRevisionModel;
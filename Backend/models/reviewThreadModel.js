@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+const reviewCommentSchema = new mongoose.Schema({
+    author: {
+        userId: { type: String },
+        username: { type: String }
+    },
+    text: {
+        type: String,
+        required: true,
+        maxlength: 4000
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// A comment thread anchored to a line range of a file. The offsets follow
+// edits to the file; the lines are derived from them.
+const reviewThreadSchema = new mongoose.Schema({
+    roomCode: {
+        type: String,
+        required: true,
+        uppercase: true
+    },
+    fileName: {
+        type: String,
+        required: true
+    },
+    startOffset: { type: Number, default: 0 },
+    endOffset: { type: Number, default: 0 },
+    startLine: { type: Number, default: 1 },
+    endLine: { type: Number, default: 1 },
+    author: {
+        userId: { type: String },
+        username: { type: String }
+    },
+    comments: [reviewCommentSchema],
+    resolved: {
+        type: Boolean,
+        default: false
+    },
+    resolvedBy: {
+        userId: { type: String },
+        username: { type: String }
+    },
+    resolvedAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+reviewThreadSchema.index({ roomCode: 1, fileName: 1 });
+
+const reviewThreadModel = mongoose.model('reviewThread', reviewThreadSchema);
+export default reviewThreadModel;
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+// One document per file or folder in a room's file tree
+const roomFileSchema = new mongoose.Schema({
+    roomCode: {
+        type: String,
+        required: true,
+        uppercase: true
+    },
+    path: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['file', 'folder'],
+        required: true
+    },
+    content: {
+        type: String,
+        default: ''
+    },
+    extension: {
+        type: String
+    },
+    isExpanded: {
+        type: Boolean,
+        default: false
+    },
+    // Binary files keep their bytes here instead of in content
+    binary: {
+        type: Boolean,
+        default: false
+    },
+    data: {
+        type: Buffer
+    },
+    size: {
+        type: Number
+    },
+    mimeType: {
+        type: String
+    },
+    hash: {
+        type: String
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+roomFileSchema.index({ roomCode: 1, path: 1 }, { unique: true });
+
+const roomFileModel = mongoose.model('roomFile', roomFileSchema);
+export default roomFileModel;
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+import { ASSIGNABLE_ROLES } from '../utils/roomRoles.js';
+
+// An invite link to a room. The token handed out is a JWT naming this
+// document, so revoking means deleting it.
+const roomInviteSchema = new mongoose.Schema({
+    roomCode: {
+        type: String,
+        required: true,
+        uppercase: true
+    },
+    role: {
+        type: String,
+        enum: ASSIGNABLE_ROLES,
+        default: 'editor'
+    },
+    // null means unlimited
+    maxUses: {
+        type: Number,
+        default: null
+    },
+    uses: {
+        type: Number,
+        default: 0
+    },
+    createdBy: {
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'auth' },
+        username: { type: String }
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+roomInviteSchema.index({ roomCode: 1, createdAt: -1 });
+// MongoDB removes invites once they expire
+roomInviteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const roomInviteModel = mongoose.model('roomInvite', roomInviteSchema);
+export default roomInviteModel;
@@ -1,4 +1,15 @@
 import mongoose from 'mongoose';
+import { ROLES, ASSIGNABLE_ROLES } from '../utils/roomRoles.js';
+
+// ephemeral: removed as soon as the last person leaves
+// idle: removed after idleTimeoutMinutes without anyone in it
+// persistent: kept until the owner deletes it
+export const ROOM_LIFECYCLES = ['ephemeral', 'idle', 'persistent'];
+
+// How the judge compares output with the expected output:
+// exact: as is; trailing: ignoring whitespace at line ends and blank lines
+// at the end; all: ignoring all whitespace between words
+export const JUDGE_WHITESPACE_MODES = ['exact', 'trailing', 'all'];
 
 const roomSchema = new mongoose.Schema({
     roomCode: { 
@@ -11,12 +22,107 @@ const roomSchema = new mongoose.Schema({
         type: String, 
         required: true 
     },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: 60,
+        default: ''
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 500,
+        default: ''
+    },
+    // Signed-in users who have been in the room; guests are never stored
+    members: [{
+        _id: false,
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'auth', required: true },
+        username: { type: String, required: true },
+        role: { type: String, enum: ROLES, required: true }
+    }],
+    // Banned accounts, or guest connections by fingerprint, for as long as the room exists
+    bans: [{
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'auth' },
+        fingerprint: { type: String },
+        username: { type: String },
+        reason: { type: String },
+        bannedBy: { type: String },
+        createdAt: { type: Date, default: Date.now }
+    }],
+    // Role given to people joining for the first time
+    defaultRole: {
+        type: String,
+        enum: ASSIGNABLE_ROLES,
+        default: 'editor'
+    },
+    lifecycle: {
+        type: String,
+        enum: ROOM_LIFECYCLES,
+        default: 'idle'
+    },
+    idleTimeoutMinutes: {
+        type: Number,
+        default: 24 * 60,
+        min: 5,
+        max: 365 * 24 * 60
+    },
+    // Cases the judge runs files against
+    testCases: [{
+        name: { type: String, trim: true, maxlength: 100, default: '' },
+        stdin: { type: String, maxlength: 64 * 1024, default: '' },
+        expectedOutput: { type: String, maxlength: 64 * 1024, default: '' },
+        timeLimitMs: { type: Number, min: 100, max: 10000, default: 2000 }
+    }],
+    judgeSettings: {
+        whitespace: { type: String, enum: JUDGE_WHITESPACE_MODES, default: 'trailing' },
+        // Numbers may differ by this much, absolutely or relative to the expected value
+        floatTolerance: { type: Number, min: 0, max: 1, default: 0 }
+    },
+    // Named ways of running files; files no configuration matches fall back
+    // to the built-in table in utils/runConfigurations.js
+    runConfigurations: [{
+        _id: false,
+        name: { type: String, trim: true, required: true, maxlength: 60 },
+        // File globs, e.g. "*.py" or "src/**/*.cpp"
+        match: [{ type: String, maxlength: 200 }],
+        command: { type: String, required: true, maxlength: 2000 },
+        preBuild: { type: String, maxlength: 2000, default: '' },
+        workingDirectory: { type: String, maxlength: 500, default: '' },
+        args: [{ type: String, maxlength: 1000 }],
+        env: { type: Map, of: { type: String, maxlength: 4000 }, default: {} }
+    }],
+    // Last time someone joined or the last person left
+    lastActiveAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Archived rooms keep their files but can't be joined
+    archivedAt: {
+        type: Date,
+        default: null
+    },
     createdAt: { 
         type: Date, 
-        default: Date.now,
-        expires: 86400 // Expires after 24 hours (optional)
+        default: Date.now
     }
 });
 
+// "My rooms" looks rooms up by member
+roomSchema.index({ 'members.userId': 1 });
+
+// Role of a user in this room; guests and people who never joined get the default role
+roomSchema.methods.roleOf = function(userId) {
+    const member = userId && this.members.find(m => m.userId.equals(userId));
+    return member ? member.role : this.defaultRole;
+};
+
+roomSchema.methods.isBanned = function(userId, fingerprint) {
+    return this.bans.some(ban =>
+        (userId && ban.userId && ban.userId.equals(userId)) ||
+        (fingerprint && ban.fingerprint === fingerprint)
+    );
+};
+
 const roomModel = mongoose.model('room', roomSchema);
 export default roomModel;
\ No newline at end of file
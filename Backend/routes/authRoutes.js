@@ -1,10 +1,12 @@
 import { Router} from 'express';
 import {signIn, signUp} from '../controllers/authController.js';
 import authMiddleware from '../middlewares/authMiddleware.js';
+import {getMyRooms} from '../controllers/roomDetailsController.js';
 
 const authRoutes = Router();
 
 authRoutes.post('/sign-in',signIn);
 authRoutes.post('/sign-up',signUp);
+authRoutes.get('/me/rooms',authMiddleware,getMyRooms);
 
 export default authRoutes;
\ No newline at end of file
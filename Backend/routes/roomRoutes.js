@@ -0,0 +1,53 @@
+import express, { Router } from 'express';
+import { exportRoom, importRoom, downloadFile, uploadFile } from '../controllers/roomController.js';
+import { createRoomInvite, listRoomInvites, revokeRoomInvite, redeemRoomInvite } from '../controllers/inviteController.js';
+import { updateRoomLifecycle, archiveRoom, unarchiveRoom, deleteRoom } from '../controllers/roomLifecycleController.js';
+import { getRoomDetails, updateRoomDetails } from '../controllers/roomDetailsController.js';
+import roomAccessMiddleware, { roomEditorAccessMiddleware } from '../middlewares/roomAccessMiddleware.js';
+import { roomOwnerMiddleware, roomMemberMiddleware } from '../middlewares/roomRoleMiddleware.js';
+import authMiddleware from '../middlewares/authMiddleware.js';
+import { MAX_ARCHIVE_BYTES, MAX_ENTRY_BYTES } from '../utils/archive.js';
+
+const roomRoutes = Router();
+
+const archiveBody = express.raw({
+    type: [
+        'application/zip',
+        'application/x-zip-compressed',
+        'application/gzip',
+        'application/x-gzip',
+        'application/x-tar',
+        'application/octet-stream'
+    ],
+    limit: MAX_ARCHIVE_BYTES
+});
+
+// Single file uploads keep their bytes whatever the content type
+const fileBody = express.raw({
+    type: () => true,
+    limit: MAX_ENTRY_BYTES
+});
+
+// Anyone with the password can read; writing needs an owner or editor role
+roomRoutes.get('/:roomCode/export', roomAccessMiddleware, exportRoom);
+roomRoutes.post('/:roomCode/import', roomAccessMiddleware, roomEditorAccessMiddleware, archiveBody, importRoom);
+roomRoutes.get('/:roomCode/files/raw', roomAccessMiddleware, downloadFile);
+roomRoutes.post('/:roomCode/files/upload', roomAccessMiddleware, roomEditorAccessMiddleware, fileBody, uploadFile);
+
+// Invite links
+roomRoutes.post('/invites/redeem', authMiddleware, redeemRoomInvite);
+roomRoutes.get('/:roomCode/invites', authMiddleware, roomOwnerMiddleware, listRoomInvites);
+roomRoutes.post('/:roomCode/invites', authMiddleware, roomOwnerMiddleware, createRoomInvite);
+roomRoutes.delete('/:roomCode/invites/:inviteId', authMiddleware, roomOwnerMiddleware, revokeRoomInvite);
+
+// Room details for members, renaming for the owner
+roomRoutes.get('/:roomCode', authMiddleware, roomMemberMiddleware, getRoomDetails);
+roomRoutes.put('/:roomCode', authMiddleware, roomOwnerMiddleware, updateRoomDetails);
+
+// Lifecycle (owner only)
+roomRoutes.put('/:roomCode/lifecycle', authMiddleware, roomOwnerMiddleware, updateRoomLifecycle);
+roomRoutes.post('/:roomCode/archive', authMiddleware, roomOwnerMiddleware, archiveRoom);
+roomRoutes.post('/:roomCode/unarchive', authMiddleware, roomOwnerMiddleware, unarchiveRoom);
+roomRoutes.delete('/:roomCode', authMiddleware, roomOwnerMiddleware, deleteRoom);
+
+export default roomRoutes;
@@ -2,6 +2,7 @@ import express from 'express';
 import cors from 'cors';
 import { Server } from 'socket.io';
 import authRoutes from './routes/authRoutes.js';
+import roomRoutes from './routes/roomRoutes.js';
 import connectDB from './database/database.js';
 import pty from 'node-pty';
 import fs from 'fs';
@@ -11,6 +12,40 @@ import chokidar from 'chokidar';
 import roomModel from './models/roomModel.js';
 import bcrypt from 'bcrypt';
 import http from 'http';
+import { isValidOperation, baseLength, isNoop, applyOperation, transform, operationFromDiff } from './utils/otEngine.js';
+import PresenceManager from './utils/presenceManager.js';
+import RoomPersistence from './utils/roomPersistence.js';
+import RevisionHistory from './utils/revisionHistory.js';
+import GitManager from './utils/gitManager.js';
+import { searchFilesInWorker, computeReplacementsInWorker } from './utils/fileSearch.js';
+import { isBinaryBuffer, describeBinaryFile } from './utils/binaryFiles.js';
+import LanguageServerManager from './utils/languageServerManager.js';
+import { ASSIGNABLE_ROLES, canEdit, isOwner } from './utils/roomRoles.js';
+import socketAuthMiddleware from './middlewares/socketAuthMiddleware.js';
+import { inviteRoomCode, redeemInvite } from './utils/roomInvites.js';
+import RoomLifecycle from './utils/roomLifecycle.js';
+import TerminalScrollback from './utils/terminalScrollback.js';
+import Sandbox from './utils/sandbox.js';
+import { resolveInWorkspace, readFromWorkspace, writeToWorkspace, isUnsafeWorkspaceItem } from './utils/workspaceFiles.js';
+import CodeRunner from './utils/codeRunner.js';
+import { BUILT_IN_CONFIGURATIONS, resolveRun, runCommandLine, describeRunConfigurations, setRunConfigurations } from './utils/runConfigurations.js';
+import JudgeRun, { getTestCases, setTestCases } from './utils/judge.js';
+import SessionManager from './utils/sessionManager.js';
+import { postMessage, listMessages, describeMessage } from './utils/roomChat.js';
+import ReviewThreads from './utils/reviewThreads.js';
+import {
+    SESSION_GRACE_SECONDS,
+    SANDBOX_MODE,
+    SANDBOX_NETWORK,
+    SANDBOX_CPU_SECONDS,
+    SANDBOX_MEMORY_MB,
+    SANDBOX_MAX_PROCESSES,
+    SANDBOX_MAX_FILE_MB,
+    SANDBOX_RUN_TIMEOUT_SECONDS,
+    SANDBOX_UID_BASE,
+    SANDBOX_PIDS_CGROUP,
+    SANDBOX_READ_ONLY_PATHS
+} from './config/env.js';
 
 const app = express();
 
@@ -28,6 +63,7 @@ const server = http.createServer(app);
 
 // Add routes after CORS
 app.use('/api/auth', authRoutes);
+app.use('/api/rooms', roomRoutes);
 
 // Enhanced Socket.IO configuration with better error handling
 const io = new Server(server, {
@@ -43,6 +79,23 @@ const io = new Server(server, {
     pingInterval: 25000
 });
 
+// Signed-in users are identified by their JWT; guests only if ALLOW_GUESTS is on
+io.use(socketAuthMiddleware);
+
+// Room shells and runs are isolated from the server and from each other
+const sandbox = new Sandbox({
+    mode: SANDBOX_MODE,
+    network: SANDBOX_NETWORK,
+    cpuSeconds: SANDBOX_CPU_SECONDS,
+    memoryMb: SANDBOX_MEMORY_MB,
+    maxProcesses: SANDBOX_MAX_PROCESSES,
+    maxFileMb: SANDBOX_MAX_FILE_MB,
+    runTimeoutSeconds: SANDBOX_RUN_TIMEOUT_SECONDS,
+    uidBase: SANDBOX_UID_BASE,
+    pidsCgroup: SANDBOX_PIDS_CGROUP,
+    readOnlyPaths: SANDBOX_READ_ONLY_PATHS
+});
+
 // Enhanced Terminal Manager Class with Better Sync Control
 class TerminalManager {
     constructor() {
@@ -52,62 +105,124 @@ class TerminalManager {
         this.userRooms = new Map(); // Track which room each user is in
         this.fileSyncInProgress = new Set(); // Track files being synced to prevent loops
         this.fileWriteQueue = new Map(); // Queue for file writes to prevent conflicts
+        this.sharedTerminals = new Map(); // Room-wide PTYs by roomCode: { ptyProcess, driverId }
+    }
+
+    // Start a sandboxed shell in a room's working directory
+    spawnShell(roomCode, workDir) {
+        // The sandbox needs Linux; Windows is only used for local development
+        if (os.platform() === 'win32') {
+            return pty.spawn('powershell.exe', [], {
+                name: 'xterm-color',
+                cols: 80,
+                rows: 30,
+                cwd: workDir,
+                env: { ...process.env, TERM: 'xterm-256color' }
+            });
+        }
+
+        const { file, args, cwd, env } = sandbox.command(roomCode, workDir, 'bash');
+        return pty.spawn(file, args, {
+            name: 'xterm-color',
+            cols: 80,
+            rows: 30,
+            cwd,
+            env
+        });
+    }
+
+    // Create or get the shared working directory of a room
+    ensureWorkingDirectory(roomCode) {
+        let workDir = this.sharedWorkingDirectories.get(roomCode);
+        if (!workDir) {
+            workDir = this.workingDirectoryPath(roomCode);
+            if (!fs.existsSync(workDir)) {
+                fs.mkdirSync(workDir, { recursive: true });
+            }
+            sandbox.prepareWorkingDirectory(roomCode, workDir);
+            this.sharedWorkingDirectories.set(roomCode, workDir);
+            
+            // Set up file system watcher for the room (only once per room)
+            this.setupFileWatcher(roomCode, workDir);
+        }
+        return workDir;
+    }
+
+    // Where a room's shared working directory lives, whether or not it is loaded
+    workingDirectoryPath(roomCode) {
+        return path.join(os.tmpdir(), `compiler_${roomCode}`);
+    }
+
+    // Room codes that have a working directory on disk
+    listWorkingDirectories() {
+        try {
+            return fs.readdirSync(os.tmpdir(), { withFileTypes: true })
+                .filter(entry => entry.isDirectory() && entry.name.startsWith('compiler_'))
+                .map(entry => entry.name.substring('compiler_'.length));
+        } catch (error) {
+            console.error('Error listing working directories:', error);
+            return [];
+        }
+    }
+
+    // Delete the working directory of a room that is not loaded
+    removeWorkingDirectory(roomCode) {
+        if (this.sharedWorkingDirectories.has(roomCode)) {
+            return;
+        }
+
+        const workDir = this.workingDirectoryPath(roomCode);
+        if (fs.existsSync(workDir)) {
+            try {
+                fs.rmSync(workDir, { recursive: true, force: true });
+                sandbox.release(roomCode);
+                console.log(`Working directory of room ${roomCode} removed`);
+            } catch (error) {
+                console.error('Error cleaning up working directory:', error);
+            }
+        }
     }
 
     // Initialize terminal for a specific user
     initializeTerminal(roomCode, userId) {
         if (!this.terminals.has(userId)) {
-            // Create or get shared working directory for this room
-            let workDir = this.sharedWorkingDirectories.get(roomCode);
-            if (!workDir) {
-                workDir = path.join(os.tmpdir(), `compiler_${roomCode}`);
-                if (!fs.existsSync(workDir)) {
-                    fs.mkdirSync(workDir, { recursive: true });
-                }
-                this.sharedWorkingDirectories.set(roomCode, workDir);
-                
-                // Set up file system watcher for the room (only once per room)
-                this.setupFileWatcher(roomCode, workDir);
-            }
+            const workDir = this.ensureWorkingDirectory(roomCode);
             
             // Track user's room
             this.userRooms.set(userId, roomCode);
             
-            // Determine shell based on OS
-            const shell = os.platform() === 'win32' ? 'powershell.exe' : 'bash';
-            
             try {
                 // Create PTY process for this specific user
-                const ptyProcess = pty.spawn(shell, [], {
-                    name: 'xterm-color',
-                    cols: 80,
-                    rows: 30,
-                    cwd: workDir,
-                    env: {
-                        ...process.env,
-                        TERM: 'xterm-256color',
-                        COLORTERM: 'truecolor',
-                        FORCE_COLOR: '1'
-                    }
-                });
+                const ptyProcess = this.spawnShell(roomCode, workDir);
 
-                // Store the PTY process by userId
+                // Store the PTY process by userId. The owner changes when a
+                // session is resumed from a new socket.
                 this.terminals.set(userId, ptyProcess);
+                ptyProcess.ownerId = userId;
+                ptyProcess.scrollback = new TerminalScrollback();
 
-                // Handle PTY data output - send only to the specific user
+                // Handle PTY data output - send only to the specific user.
+                // Disconnected users catch up from the scrollback.
                 ptyProcess.onData((data) => {
-                    io.to(userId).emit('terminal-output', data);
+                    ptyProcess.scrollback.write(data);
+                    io.to(ptyProcess.ownerId).emit('terminal-output', data);
                 });
 
                 // Handle PTY exit
                 ptyProcess.onExit(({ exitCode, signal }) => {
-                    console.log(`Terminal ${userId} exited with code: ${exitCode}, signal: ${signal}`);
-                    this.terminals.delete(userId);
-                    io.to(userId).emit('terminal-output', `\r\n\x1b[31mTerminal session ended\x1b[0m\r\n`);
+                    const ownerId = ptyProcess.ownerId;
+                    console.log(`Terminal ${ownerId} exited with code: ${exitCode}, signal: ${signal}`);
+                    if (this.terminals.get(ownerId) === ptyProcess) {
+                        this.terminals.delete(ownerId);
+                    }
+                    io.to(ownerId).emit('terminal-output', `\r\n\x1b[31mTerminal session ended\x1b[0m\r\n`);
                     
-                    // Restart terminal automatically for this user
+                    // Restart terminal automatically for this user, unless
+                    // they left the room
                     setTimeout(() => {
-                        this.initializeTerminal(roomCode, userId);
+                        if (this.userRooms.get(ownerId) === roomCode) {
+                            this.initializeTerminal(roomCode, ownerId);
+                        }
                     }, 1000);
                 });
 
@@ -132,11 +247,21 @@ class TerminalManager {
             return;
         }
 
+        // Git internals never belong in the file tree, but index and HEAD
+        // changes are watched so `git` commands typed in a terminal refresh status
+        const isGitInternal = (relativePath) => relativePath === '.git' || relativePath.startsWith('.git' + path.sep);
+        const watchedGitFiles = [path.join('.git', 'index'), path.join('.git', 'HEAD')];
+
         try {
             const watcher = chokidar.watch(workDir, {
-                ignored: /^\./, 
+                ignored: (filePath) => {
+                    const relativePath = path.relative(workDir, filePath);
+                    return isGitInternal(relativePath) && relativePath !== '.git' && !watchedGitFiles.includes(relativePath);
+                },
                 persistent: true,
                 ignoreInitial: true,
+                // A link is reported as a file of its own and never read through
+                followSymlinks: false,
                 awaitWriteFinish: {
                     stabilityThreshold: 500,
                     pollInterval: 100
@@ -144,31 +269,37 @@ class TerminalManager {
             });
 
             watcher
+                .on('all', () => {
+                    gitManager.scheduleStatusBroadcast(roomCode);
+                })
                 .on('add', (filePath) => {
                     const relativePath = path.relative(workDir, filePath);
+                    if (isGitInternal(relativePath)) return;
                     console.log(`File ${relativePath} has been added to ${roomCode}`);
-                    this.syncFileFromTerminalToRoom(roomCode, relativePath, filePath);
+                    this.syncFileFromTerminalToRoom(roomCode, relativePath);
                 })
                 .on('change', (filePath) => {
                     const relativePath = path.relative(workDir, filePath);
+                    if (isGitInternal(relativePath)) return;
                     console.log(`File ${relativePath} has been changed in terminal for ${roomCode}`);
-                    this.syncFileFromTerminalToRoom(roomCode, relativePath, filePath);
+                    this.syncFileFromTerminalToRoom(roomCode, relativePath);
                 })
                 .on('unlink', (filePath) => {
                     const relativePath = path.relative(workDir, filePath);
+                    if (isGitInternal(relativePath)) return;
                     console.log(`File ${relativePath} has been removed from ${roomCode}`);
                     this.removeFileFromRoomFiles(roomCode, relativePath);
                 })
                 .on('addDir', (dirPath) => {
                     const relativePath = path.relative(workDir, dirPath);
-                    if (relativePath && relativePath !== '.') {
+                    if (relativePath && relativePath !== '.' && !isGitInternal(relativePath)) {
                         console.log(`Directory ${relativePath} has been added to ${roomCode}`);
                         this.syncFolderFromTerminalToRoom(roomCode, relativePath);
                     }
                 })
                 .on('unlinkDir', (dirPath) => {
                     const relativePath = path.relative(workDir, dirPath);
-                    if (relativePath && relativePath !== '.') {
+                    if (relativePath && relativePath !== '.' && !isGitInternal(relativePath)) {
                         console.log(`Directory ${relativePath} has been removed from ${roomCode}`);
                         this.removeFolderFromRoomFiles(roomCode, relativePath);
                     }
@@ -181,7 +312,7 @@ class TerminalManager {
     }
 
     // Sync file from terminal to room (when changed via terminal)
-    syncFileFromTerminalToRoom(roomCode, fileName, filePath) {
+    syncFileFromTerminalToRoom(roomCode, fileName) {
         const syncKey = `terminal-${roomCode}-${fileName}`;
         
         if (this.fileSyncInProgress.has(syncKey)) {
@@ -191,22 +322,45 @@ class TerminalManager {
         this.fileSyncInProgress.add(syncKey);
         
         try {
-            const content = fs.readFileSync(filePath, 'utf8');
+            let buffer;
+            try {
+                buffer = readFromWorkspace(this.sharedWorkingDirectories.get(roomCode), fileName);
+            } catch (error) {
+                // Symlinks, FIFOs and the like stay out of the room
+                if (isUnsafeWorkspaceItem(error)) return;
+                throw error;
+            }
             const extension = path.extname(fileName).slice(1) || 'txt';
             
             if (!roomFiles[roomCode]) {
                 roomFiles[roomCode] = {};
             }
             
+            // Images, compiled programs etc. are tracked by metadata only
+            if (isBinaryBuffer(buffer)) {
+                this.syncBinaryFileToRoom(roomCode, fileName, buffer);
+                return;
+            }
+            
+            const content = buffer.toString('utf8');
+            
             // Only update if content actually changed
-            const currentContent = roomFiles[roomCode][fileName]?.content || '';
-            if (currentContent !== content) {
-                roomFiles[roomCode][fileName] = {
-                    content: content,
-                    type: 'file',
-                    extension: extension,
-                    isExpanded: false
-                };
+            const existingEntry = roomFiles[roomCode][fileName];
+            const currentContent = existingEntry?.content || '';
+            if (!existingEntry || existingEntry.binary || currentContent !== content) {
+                if (existingEntry && existingEntry.type === 'file' && !existingEntry.binary) {
+                    // Go through the operation pipeline so editors can merge the change
+                    setFileContent(roomCode, fileName, content, { writeToDisk: false, source: 'terminal' });
+                } else {
+                    roomFiles[roomCode][fileName] = {
+                        content: content,
+                        type: 'file',
+                        extension: extension,
+                        isExpanded: false
+                    };
+                    roomPersistence.markDirty(roomCode, [fileName]);
+                    revisionHistory.record(roomCode, fileName, null, content, { source: 'terminal' });
+                }
                 
                 // Emit updates to all clients in the room
                 io.to(roomCode).emit('files-update', roomFiles[roomCode]);
@@ -223,6 +377,34 @@ class TerminalManager {
         }
     }
 
+    // Record a binary file from the working directory (metadata only)
+    syncBinaryFileToRoom(roomCode, fileName, buffer) {
+        const entry = describeBinaryFile(fileName, buffer);
+        const existingEntry = roomFiles[roomCode][fileName];
+        if (existingEntry?.binary && existingEntry.hash === entry.hash) {
+            return;
+        }
+        
+        roomFiles[roomCode][fileName] = entry;
+        
+        // A text file that turned binary can no longer be edited
+        if (fileDocuments[roomCode]) {
+            delete fileDocuments[roomCode][fileName];
+        }
+        roomPersistence.markDirty(roomCode, [fileName]);
+        
+        io.to(roomCode).emit('files-update', roomFiles[roomCode]);
+        io.to(roomCode).emit('file-synced', {
+            fileName,
+            binary: true,
+            size: entry.size,
+            mimeType: entry.mimeType,
+            hash: entry.hash
+        });
+        
+        console.log(`Binary file ${fileName} synced from terminal to room ${roomCode}`);
+    }
+
     // Sync folder from terminal to room
     syncFolderFromTerminalToRoom(roomCode, folderPath) {
         const syncKey = `terminal-folder-${roomCode}-${folderPath}`;
@@ -243,6 +425,7 @@ class TerminalManager {
                     type: 'folder',
                     isExpanded: false
                 };
+                roomPersistence.markDirty(roomCode, [folderPath]);
                 
                 // Emit updates to all clients in the room
                 io.to(roomCode).emit('files-update', roomFiles[roomCode]);
@@ -263,6 +446,7 @@ class TerminalManager {
     removeFileFromRoomFiles(roomCode, fileName) {
         if (roomFiles[roomCode] && roomFiles[roomCode][fileName]) {
             delete roomFiles[roomCode][fileName];
+            removeFileState(roomCode, [fileName]);
             
             // If this was someone's active file, switch them to another file
             const remainingFiles = Object.keys(roomFiles[roomCode]).filter(key => 
@@ -273,11 +457,8 @@ class TerminalManager {
                 
                 rooms[roomCode].forEach(userId => {
                     if (userActiveFiles[userId] === fileName) {
-                        userActiveFiles[userId] = newActiveFile;
-                        io.to(userId).emit('file-content-update', {
-                            fileName: newActiveFile,
-                            content: roomFiles[roomCode][newActiveFile].content
-                        });
+                        setActiveFile(roomCode, userId, newActiveFile);
+                        io.to(userId).emit('file-content-update', fileContentPayload(roomCode, newActiveFile));
                         io.to(userId).emit('active-file-changed', { fileName: newActiveFile });
                     }
                 });
@@ -301,6 +482,7 @@ class TerminalManager {
             keysToDelete.forEach(key => {
                 delete roomFiles[roomCode][key];
             });
+            removeFileState(roomCode, keysToDelete);
             
             io.to(roomCode).emit('files-update', roomFiles[roomCode]);
             io.to(roomCode).emit('item-deleted', { itemPath: folderPath, type: 'folder' });
@@ -316,7 +498,8 @@ class TerminalManager {
 
         Object.keys(roomFiles[roomCode]).forEach(itemPath => {
             const itemData = roomFiles[roomCode][itemPath];
-            if (itemData.type === 'file') {
+            // Binary files only ever live on disk
+            if (itemData.type === 'file' && !itemData.binary) {
                 this.writeFileToWorkingDir(roomCode, itemPath, itemData.content);
             } else if (itemData.type === 'folder') {
                 this.createFolderInWorkingDir(roomCode, itemPath);
@@ -330,9 +513,10 @@ class TerminalManager {
         if (!workDir) return false;
 
         try {
-            const fullPath = path.join(workDir, folderPath);
+            const fullPath = resolveInWorkspace(workDir, folderPath);
             if (!fs.existsSync(fullPath)) {
                 fs.mkdirSync(fullPath, { recursive: true });
+                sandbox.claim(roomCode, workDir, folderPath);
                 console.log(`Folder ${folderPath} created in working directory for room ${roomCode}`);
             }
             return true;
@@ -342,11 +526,28 @@ class TerminalManager {
         }
     }
 
-    // Write single file to working directory with better sync control
-    writeFileToWorkingDir(roomCode, fileName, content) {
+    // Write raw bytes (uploads, binary files) to the working directory untouched
+    writeBinaryToWorkingDir(roomCode, fileName, buffer) {
+        const workDir = this.ensureWorkingDirectory(roomCode);
+        
+        try {
+            writeToWorkspace(workDir, fileName, buffer);
+            sandbox.claim(roomCode, workDir, fileName);
+            console.log(`Binary file ${fileName} written to working directory for room ${roomCode}`);
+            return true;
+        } catch (error) {
+            console.error(`Error writing binary file ${fileName} to working directory:`, error);
+            return false;
+        }
+    }
+
+    // Write single file to working directory with better sync control.
+    // Writes within 300ms of the last one are skipped unless `force` is set
+    // (callers about to run the file need it on disk as it is now).
+    writeFileToWorkingDir(roomCode, fileName, content, { force = false } = {}) {
         const syncKey = `editor-${roomCode}-${fileName}`;
         
-        if (this.fileSyncInProgress.has(syncKey)) {
+        if (this.fileSyncInProgress.has(syncKey) && !force) {
             return true;
         }
         
@@ -359,23 +560,17 @@ class TerminalManager {
         }
 
         try {
-            const filePath = path.join(workDir, fileName);
-            const fileDir = path.dirname(filePath);
-            
-            // Create directory if it doesn't exist
-            if (!fs.existsSync(fileDir)) {
-                fs.mkdirSync(fileDir, { recursive: true });
-            }
-            
             // Only write if content has changed
             let shouldWrite = true;
-            if (fs.existsSync(filePath)) {
-                const currentContent = fs.readFileSync(filePath, 'utf8');
-                shouldWrite = currentContent !== content;
+            try {
+                shouldWrite = readFromWorkspace(workDir, fileName).toString('utf8') !== content;
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
             }
             
             if (shouldWrite) {
-                fs.writeFileSync(filePath, content);
+                writeToWorkspace(workDir, fileName, content);
+                sandbox.claim(roomCode, workDir, fileName);
                 console.log(`File ${fileName} written to working directory for room ${roomCode}`);
             }
             
@@ -390,6 +585,119 @@ class TerminalManager {
         }
     }
 
+    // Repaint a user's terminal from its scrollback (after a refresh or reconnect)
+    replayScrollback(userId) {
+        const ptyProcess = this.terminals.get(userId);
+        if (!ptyProcess) return false;
+
+        io.to(userId).emit('terminal-replay', { data: ptyProcess.scrollback.replay() });
+        return true;
+    }
+
+    // A page of a terminal's scrollback: the user's own, or the room's shared
+    // one. Null if there is no such terminal.
+    getScrollbackPage(userId, roomCode, { shared = false, before, limit } = {}) {
+        const ptyProcess = shared ? this.sharedTerminals.get(roomCode)?.ptyProcess : this.terminals.get(userId);
+        return ptyProcess ? ptyProcess.scrollback.page({ before, limit }) : null;
+    }
+
+    // Give a user's shell to their new socket and repaint it there.
+    // Returns false if there was no shell to take over.
+    transferUser(oldUserId, newUserId) {
+        const roomCode = this.userRooms.get(oldUserId);
+        if (roomCode) {
+            this.userRooms.delete(oldUserId);
+            this.userRooms.set(newUserId, roomCode);
+        }
+
+        const ptyProcess = this.terminals.get(oldUserId);
+        if (!ptyProcess) {
+            return false;
+        }
+        this.terminals.delete(oldUserId);
+        this.terminals.set(newUserId, ptyProcess);
+        ptyProcess.ownerId = newUserId;
+
+        this.replayScrollback(newUserId);
+        return true;
+    }
+
+    // Start the room-wide terminal whose output everyone in the room sees.
+    // Returns the existing one if it is already running.
+    startSharedTerminal(roomCode, driverId) {
+        const existing = this.sharedTerminals.get(roomCode);
+        if (existing) {
+            return existing;
+        }
+
+        const workDir = this.ensureWorkingDirectory(roomCode);
+        const ptyProcess = this.spawnShell(roomCode, workDir);
+        ptyProcess.scrollback = new TerminalScrollback();
+        const shared = { ptyProcess, driverId };
+        this.sharedTerminals.set(roomCode, shared);
+
+        ptyProcess.onData((data) => {
+            ptyProcess.scrollback.write(data);
+            io.to(roomCode).emit('shared-terminal-output', data);
+        });
+
+        ptyProcess.onExit(({ exitCode, signal }) => {
+            console.log(`Shared terminal of room ${roomCode} exited with code: ${exitCode}, signal: ${signal}`);
+            if (this.sharedTerminals.get(roomCode) === shared) {
+                this.sharedTerminals.delete(roomCode);
+                io.to(roomCode).emit('shared-terminal-stopped', { reason: 'exited' });
+            }
+        });
+
+        return shared;
+    }
+
+    // Who drives the room's shared terminal, or null if it has none
+    getSharedTerminal(roomCode) {
+        const shared = this.sharedTerminals.get(roomCode);
+        return shared ? { driverId: shared.driverId } : null;
+    }
+
+    // Recent output of the shared terminal, for users who just opened it
+    getSharedScrollback(roomCode) {
+        return this.sharedTerminals.get(roomCode)?.ptyProcess.scrollback.replay() || '';
+    }
+
+    setSharedTerminalDriver(roomCode, driverId) {
+        const shared = this.sharedTerminals.get(roomCode);
+        if (shared) {
+            shared.driverId = driverId;
+        }
+    }
+
+    // Input from the driver (callers check who is driving)
+    handleSharedInput(roomCode, input) {
+        this.sharedTerminals.get(roomCode)?.ptyProcess.write(input);
+    }
+
+    handleSharedResize(roomCode, cols, rows) {
+        const shared = this.sharedTerminals.get(roomCode);
+        if (shared) {
+            try {
+                shared.ptyProcess.resize(cols, rows);
+            } catch (error) {
+                console.error('Error resizing shared terminal:', error);
+            }
+        }
+    }
+
+    stopSharedTerminal(roomCode) {
+        const shared = this.sharedTerminals.get(roomCode);
+        if (!shared) return;
+
+        this.sharedTerminals.delete(roomCode);
+        try {
+            shared.ptyProcess.kill();
+        } catch (error) {
+            console.error('Error killing shared terminal:', error);
+        }
+    }
+
     // Handle terminal input for a specific user
     handleInput(userId, input) {
         const ptyProcess = this.terminals.get(userId);
@@ -422,8 +730,9 @@ class TerminalManager {
         ptyProcess.write(command + '\r');
     }
 
-    // Run file helper for a specific user
-    runFile(userId, fileName) {
+    // Run file helper for a specific user. `runOptions` may name one of the
+    // room's run configurations and add program arguments.
+    runFile(userId, fileName, runOptions = {}) {
         const roomCode = this.userRooms.get(userId);
         const workDir = this.sharedWorkingDirectories.get(roomCode);
         
@@ -432,27 +741,11 @@ class TerminalManager {
             return;
         }
 
-        const ext = path.extname(fileName).toLowerCase();
-        
-        const runCommands = {
-            '.js': `node ${fileName}`,
-            '.py': `python ${fileName}`,
-            '.java': `javac ${fileName} && java ${path.basename(fileName, '.java')}`,
-            '.cpp': `g++ ${fileName} -o ${path.basename(fileName, '.cpp')} && ./${path.basename(fileName, '.cpp')}`,
-            '.c': `gcc ${fileName} -o ${path.basename(fileName, '.c')} && ./${path.basename(fileName, '.c')}`,
-            '.go': `go run ${fileName}`,
-            '.rs': `rustc ${fileName} && ./${path.basename(fileName, '.rs')}`,
-            '.php': `php ${fileName}`,
-            '.rb': `ruby ${fileName}`,
-            '.sh': `bash ${fileName}`,
-            '.ps1': `powershell ${fileName}`
-        };
-
-        const command = runCommands[ext];
-        if (command) {
-            this.executeCommand(userId, command);
-        } else {
-            io.to(userId).emit('terminal-output', `\x1b[31mUnsupported file type: ${ext}\x1b[0m\r\n`);
+        try {
+            const commands = resolveRun(fileName, roomRunConfigurations[roomCode], runOptions);
+            this.executeCommand(userId, sandbox.timedShellCommand(runCommandLine(commands)));
+        } catch (error) {
+            io.to(userId).emit('terminal-output', `\x1b[31m${error.message}\x1b[0m\r\n`);
         }
     }
 
@@ -471,8 +764,9 @@ class TerminalManager {
         this.userRooms.delete(userId);
     }
 
-    // Cleanup entire room (when no users left)
-    cleanupRoom(roomCode) {
+    // Cleanup entire room (when no users left). Rooms that outlive their
+    // visitors keep the working directory for next time.
+    cleanupRoom(roomCode, { keepWorkingDirectory = false } = {}) {
         // Clean up file watcher
         const watcher = this.fileWatchers.get(roomCode);
         if (watcher) {
@@ -484,17 +778,14 @@ class TerminalManager {
             this.fileWatchers.delete(roomCode);
         }
         
-        // Clean up working directory
-        const workDir = this.sharedWorkingDirectories.get(roomCode);
-        if (workDir && fs.existsSync(workDir)) {
-            try {
-                fs.rmSync(workDir, { recursive: true, force: true });
-            } catch (error) {
-                console.error('Error cleaning up working directory:', error);
-            }
-        }
-        
         this.sharedWorkingDirectories.delete(roomCode);
+        if (!keepWorkingDirectory) {
+            this.removeWorkingDirectory(roomCode);
+        }
+        gitManager.cleanupRoom(roomCode);
+        languageServers.cleanupRoom(roomCode);
+        codeRunner.cleanupRoom(roomCode);
+        this.stopSharedTerminal(roomCode);
         
         // Clean up any terminals for users in this room
         for (const [userId, userRoomCode] of this.userRooms.entries()) {
@@ -513,12 +804,64 @@ class TerminalManager {
 // Initialize Terminal Manager
 const terminalManager = new TerminalManager();
 
+// Cursor and "who is in which file" tracking
+const presenceManager = new PresenceManager(io);
+
+// Git commands in the shared working directories
+const gitManager = new GitManager(io, (roomCode) => terminalManager.getWorkingDirectory(roomCode), sandbox);
+
+// Completions, hover and diagnostics from language servers run per room
+const languageServers = new LanguageServerManager(io, (roomCode) => terminalManager.getWorkingDirectory(roomCode), sandbox);
+
+// Non-interactive runs with separate output streams and exit status
+const codeRunner = new CodeRunner(io, sandbox);
+
 // Room management variables
 const rooms = {};
 const roomFiles = {};
+const roomRunConfigurations = {}; // roomCode -> the room's run configurations
 const userActiveFiles = {};
 const userSession = new Map();
 
+// Debounced autosave of room files to MongoDB
+const roomPersistence = new RoomPersistence(roomFiles, (roomCode) => terminalManager.getWorkingDirectory(roomCode));
+
+// Author-attributed snapshots of every file
+const revisionHistory = new RevisionHistory();
+
+// Comment threads anchored to lines of files
+const reviewThreads = new ReviewThreads(io);
+
+// Archive / delete operations and the background sweeper
+const roomLifecycle = new RoomLifecycle({
+    roomPersistence,
+    revisionHistory,
+    reviewThreads,
+    terminalManager,
+    loadedRooms: () => Object.keys(rooms),
+    closeRoom
+});
+
+// Sessions that survive reconnects. When the grace period runs out the user
+// is taken out of the room as if they had disconnected for good.
+const sessionManager = new SessionManager(SESSION_GRACE_SECONDS * 1000, (session) => {
+    console.log(`Session of ${session.username} in room ${session.roomCode} expired`);
+    releaseSocket(session.socketId, session.roomCode, session.username);
+});
+
+// Room state the REST controllers work with
+app.locals.io = io;
+app.locals.rooms = rooms;
+app.locals.roomFiles = roomFiles;
+app.locals.terminalManager = terminalManager;
+app.locals.roomPersistence = roomPersistence;
+app.locals.importFilesIntoRoom = importFilesIntoRoom;
+app.locals.roomLifecycle = roomLifecycle;
+
+// Operation history per file, used to transform concurrent edits
+const fileDocuments = {};
+const MAX_OPERATION_HISTORY = 1000;
+
 const getDefaultFiles = () => ({
     'main.js': {
         content: '// start typing...',
@@ -528,635 +871,2507 @@ const getDefaultFiles = () => ({
     }
 });
 
-// Socket.IO connection handling with error handling
-io.on('connection', (socket) => {
-    console.log("Socket connected:", socket.id);
+// Display name of a connected user
+const getUsername = (socketId) => io.sockets.sockets.get(socketId)?.username || userSession.get(socketId)?.username || null;
+// Account id of a socket's user; guests are told apart by their socket id
+const getUserId = (socketId) => io.sockets.sockets.get(socketId)?.userId || userSession.get(socketId)?.userId || socketId;
+
+// Change a user's active file and let the room know where they are
+function setActiveFile(roomCode, socketId, fileName) {
+    userActiveFiles[socketId] = fileName;
+    presenceManager.setActiveFile(socketId, fileName);
+
+    // Followers go wherever this user goes
+    followersOf(socketId).forEach(followerId => {
+        if (userActiveFiles[followerId] === fileName) return;
+        setActiveFile(roomCode, followerId, fileName);
+        io.to(followerId).emit('file-content-update', fileContentPayload(roomCode, fileName));
+        io.to(followerId).emit('active-file-changed', { fileName, following: true });
+    });
+}
 
-    // Handle connection errors
-    socket.on('connect_error', (error) => {
-        console.error('Socket connection error:', error);
+// Follow mode: follower socket id -> leader socket id. Leaders can have
+// followers of their own; cycles are refused when following starts.
+const following = {};
+// Last viewport every user reported, so new followers land where the leader is looking
+const userViewports = {};
+
+const followersOf = (leaderId) => Object.keys(following).filter(followerId => following[followerId] === leaderId);
+
+// Let a leader know who is following them
+function notifyLeader(leaderId) {
+    io.to(leaderId).emit('followers-updated', {
+        followers: followersOf(leaderId).map(followerId => ({ userId: followerId, username: getUsername(followerId) }))
     });
+}
 
-    socket.on('disconnect', (reason) => {
-        console.log('Socket disconnected:', socket.id, 'Reason:', reason);
+function stopFollowing(followerId, reason) {
+    const leaderId = following[followerId];
+    if (!leaderId) return;
+
+    delete following[followerId];
+    io.to(followerId).emit('follow-stopped', { userId: leaderId, username: getUsername(leaderId), reason });
+    notifyLeader(leaderId);
+}
+
+// Send a viewport to everyone following a user, directly or through someone else
+function relayViewport(leaderId, update) {
+    followersOf(leaderId).forEach(followerId => {
+        io.to(followerId).emit('follow-viewport', update);
+        relayViewport(followerId, update);
     });
+}
 
-    socket.on('create-room', async ({username, password}, callback) => {
-        try {
-            const roomCode = Math.random().toString(36).substr(2, 6).toUpperCase();
-            
-            const saltRounds = 10;
-            const hashedPassword = await bcrypt.hash(password, saltRounds);
+// A user left for good: they stop following, and their followers stop too
+function endFollowMode(socketId) {
+    stopFollowing(socketId, 'left');
+    followersOf(socketId).forEach(followerId => stopFollowing(followerId, 'leader-left'));
+    delete userViewports[socketId];
+}
 
-            const newRoom = new roomModel({
-                roomCode,
-                password: hashedPassword
-            });
+// Whether a room has a shared terminal and who is driving it
+function sharedTerminalState(roomCode) {
+    const shared = terminalManager.getSharedTerminal(roomCode);
+    return {
+        active: !!shared,
+        driverId: shared?.driverId || null,
+        driverName: shared?.driverId ? getUsername(shared.driverId) : null
+    };
+}
 
-            await newRoom.save();
+function setTerminalDriver(roomCode, driverId) {
+    terminalManager.setSharedTerminalDriver(roomCode, driverId);
+    io.to(roomCode).emit('terminal-driver-changed', sharedTerminalState(roomCode));
+}
 
-            rooms[roomCode] = [socket.id];
-            roomFiles[roomCode] = getDefaultFiles();
-            userActiveFiles[socket.id] = 'main.js';
+// Socket.IO room joined by clients that send operations instead of whole files
+const operationRoom = (roomCode) => `${roomCode}:operations`;
 
-            socket.join(roomCode);
-            socket.roomCode = roomCode;
-            socket.username = username;
+// Get (or lazily create) the operation history of a file
+function getFileDocument(roomCode, fileName) {
+    if (!fileDocuments[roomCode]) {
+        fileDocuments[roomCode] = {};
+    }
+    if (!fileDocuments[roomCode][fileName]) {
+        fileDocuments[roomCode][fileName] = {
+            revision: 0,
+            historyStart: 0,
+            history: []
+        };
+    }
+    return fileDocuments[roomCode][fileName];
+}
 
-            // Send initial data to the creator
-            socket.emit('room-created', { roomCode });
-            socket.emit('files-update', roomFiles[roomCode]);
-            socket.emit('file-content-update', {
-                fileName: 'main.js',
-                content: roomFiles[roomCode]['main.js'].content
-            });
-            socket.emit('active-file-changed', { fileName: 'main.js' });
+const getFileRevision = (roomCode, fileName) => fileDocuments[roomCode]?.[fileName]?.revision || 0;
+
+// Payload of file-content-update; binary files are sent as metadata only
+function fileContentPayload(roomCode, fileName) {
+    const fileEntry = roomFiles[roomCode][fileName];
+    if (fileEntry.binary) {
+        return {
+            fileName,
+            content: '',
+            binary: true,
+            size: fileEntry.size,
+            mimeType: fileEntry.mimeType
+        };
+    }
+    return {
+        fileName,
+        content: fileEntry.content,
+        revision: getFileRevision(roomCode, fileName)
+    };
+}
 
-            // Initialize terminal for this specific user
-            terminalManager.initializeTerminal(roomCode, socket.id);
-            
-            callback({ success: true, roomCode });
-            console.log(`${username} created room ${roomCode}`);
-        } catch (error) {
-            console.error('Error creating room:', error);
-            callback({ success: false, error: 'Failed to create room' });
+// Apply an operation based on `revision` to a file. The operation is transformed
+// against everything committed since that revision, applied to roomFiles and
+// broadcast to the rest of the room.
+// `fromUser` is left out of the broadcast, `author` (defaults to fromUser) is
+// credited in the revision history.
+function commitOperation(roomCode, fileName, revision, operation, {
+    fromUser = null,
+    author = fromUser,
+    source = 'editor',
+    clientId,
+    seq,
+    writeToDisk = true
+} = {}) {
+    const fileEntry = roomFiles[roomCode]?.[fileName];
+    if (!fileEntry || fileEntry.type !== 'file') {
+        return { success: false, error: `File ${fileName} not found` };
+    }
+
+    if (fileEntry.binary) {
+        return { success: false, error: 'Binary files cannot be edited' };
+    }
+
+    if (!isValidOperation(operation)) {
+        return { success: false, error: 'Invalid operation' };
+    }
+
+    const doc = getFileDocument(roomCode, fileName);
+    if (!Number.isInteger(revision) || revision < doc.historyStart || revision > doc.revision) {
+        // Too old to transform (or from the future), client has to reload the file
+        return { success: false, error: 'Revision out of range', resync: true };
+    }
+
+    const concurrentEntries = doc.history.slice(revision - doc.historyStart);
+
+    // A client replaying its pending operation after a reconnect
+    if (clientId && seq !== undefined) {
+        const index = concurrentEntries.findIndex(entry => entry.clientId === clientId && entry.seq === seq);
+        if (index !== -1) {
+            return { success: true, revision: revision + index + 1, duplicate: true };
         }
-    });
+    }
 
-    socket.on('join-room', async({ username, roomCode, password }, callback) => {
-        console.log(`${username} attempting to join room: ${roomCode}`);
+    let transformed = operation;
+    const previousContent = fileEntry.content || '';
+    try {
+        concurrentEntries.forEach(entry => {
+            [transformed] = transform(transformed, entry.operation);
+        });
 
-        try {
-            const room = await roomModel.findOne({ roomCode });
-            
-            if(!room){
-                return callback({
-                    success: false,
-                    error: 'Room not found. Please check the room code.'
-                });
-            }
+        const content = fileEntry.content || '';
+        if (baseLength(transformed) !== content.length) {
+            return { success: false, error: 'Operation does not match document length', resync: true };
+        }
+        fileEntry.content = applyOperation(content, transformed);
+    } catch (error) {
+        console.error(`Error applying operation to ${fileName} in room ${roomCode}:`, error);
+        return { success: false, error: 'Failed to apply operation', resync: true };
+    }
 
-            const isPasswordValid = await bcrypt.compare(password, room.password);
-            if(!isPasswordValid){
-                return callback({
-                    success: false,
-                    error:'Invalid password. Please try again.'
-                })
-            }
+    roomPersistence.markDirty(roomCode, [fileName]);
+    revisionHistory.record(roomCode, fileName, previousContent, fileEntry.content, {
+        author: author ? { userId: getUserId(author), username: getUsername(author) } : null,
+        source
+    });
 
-            userSession.set(socket.id, {
-                roomCode: roomCode,
-                username: username,
-                joined: new Date()
-            })
+    doc.history.push({ operation: transformed, fromUser, clientId, seq, timestamp: Date.now() });
+    doc.revision++;
+    if (doc.history.length > MAX_OPERATION_HISTORY) {
+        const overflow = doc.history.length - MAX_OPERATION_HISTORY;
+        doc.history.splice(0, overflow);
+        doc.historyStart += overflow;
+    }
 
-            // If room doesn't exist in memory, create it
-            if (!rooms[roomCode]) {
-                console.log(`Room ${roomCode} not found in memory, creating it...`);
-                rooms[roomCode] = [];
-                roomFiles[roomCode] = getDefaultFiles();
-            }
-            
-            // Check if user is already in the room
-            if (rooms[roomCode].includes(socket.id)) {
-                console.log(`User ${socket.id} already in room ${roomCode}`);
-                return callback({ success: true });
-            }
-            
-            rooms[roomCode].push(socket.id);
-            socket.join(roomCode);
-            
-            socket.roomCode = roomCode;
-            socket.username = username;
+    presenceManager.transformCursors(roomCode, fileName, transformed, fromUser);
+    reviewThreads.transform(roomCode, fileName, transformed, fileEntry.content);
 
-            // Set default active file for this user
+    const newContent = fileEntry.content;
+    languageServers.documentChanged(roomCode, fileName, newContent);
+    if (writeToDisk) {
+        // Write to working directory for terminal use (async to avoid blocking)
+        setImmediate(() => {
+            terminalManager.writeFileToWorkingDir(roomCode, fileName, newContent);
+        });
+    }
+
+    const excluded = fromUser ? [fromUser] : [];
+    io.to(operationRoom(roomCode)).except(excluded).emit('remote-operation', {
+        fileName,
+        operation: transformed,
+        revision: doc.revision,
+        fromUser
+    });
+
+    // Whole-file fallback for clients that have not switched to operations
+    io.to(roomCode).except([operationRoom(roomCode), ...excluded]).emit('code-update', {
+        code: newContent,
+        fileName,
+        fromUser
+    });
+
+    return { success: true, revision: doc.revision, operation: transformed };
+}
+
+// Replace the whole content of a file, going through the operation pipeline
+function setFileContent(roomCode, fileName, content, options = {}) {
+    const fileEntry = roomFiles[roomCode]?.[fileName];
+    if (!fileEntry || fileEntry.type !== 'file') {
+        return { success: false, error: `File ${fileName} not found` };
+    }
+
+    if (fileEntry.binary) {
+        return { success: false, error: 'Binary files cannot be edited' };
+    }
+
+    const operation = operationFromDiff(fileEntry.content || '', content);
+    const doc = getFileDocument(roomCode, fileName);
+    if (isNoop(operation)) {
+        return { success: true, revision: doc.revision, operation };
+    }
+    return commitOperation(roomCode, fileName, doc.revision, operation, options);
+}
+
+// Map a path under oldPath to the same path under newPath (null if unrelated)
+function remapPath(itemPath, oldPath, newPath) {
+    if (itemPath === oldPath) return newPath;
+    if (itemPath.startsWith(oldPath + '/')) return newPath + itemPath.substring(oldPath.length);
+    return null;
+}
+
+// Keep per-file state in step with renames and moves of files or folders
+function moveFileState(roomCode, oldPath, newPath) {
+    const documents = fileDocuments[roomCode];
+    if (documents) {
+        Object.keys(documents).forEach(key => {
+            const newKey = remapPath(key, oldPath, newPath);
+            if (newKey) {
+                documents[newKey] = documents[key];
+                delete documents[key];
+            }
+        });
+    }
+
+    presenceManager.moveFile(roomCode, key => remapPath(key, oldPath, newPath));
+
+    reviewThreads.move(roomCode, key => remapPath(key, oldPath, newPath)).then(threads => {
+        if (threads.length > 0) {
+            io.to(roomCode).emit('review-threads-moved', { threads });
+        }
+    }).catch(error => {
+        console.error(`Error moving review threads of ${oldPath} in room ${roomCode}:`, error);
+    });
+
+    revisionHistory.move(roomCode, oldPath, newPath).catch(error => {
+        console.error(`Error moving revisions of ${oldPath} in room ${roomCode}:`, error);
+    });
+
+    // Save the new paths and drop the old ones
+    const movedPaths = Object.keys(roomFiles[roomCode] || {}).filter(key => remapPath(key, newPath, newPath));
+    const oldPaths = movedPaths.map(key => remapPath(key, newPath, oldPath));
+    roomPersistence.markDirty(roomCode, [...movedPaths, ...oldPaths]);
+
+    // Language servers pick the files up under their new paths when next opened
+    languageServers.closeDocuments(roomCode, oldPaths);
+}
+
+// Drop per-file state for deleted items
+function removeFileState(roomCode, itemPaths) {
+    const documents = fileDocuments[roomCode];
+    if (documents) {
+        itemPaths.forEach(itemPath => {
+            delete documents[itemPath];
+        });
+    }
+
+    languageServers.closeDocuments(roomCode, itemPaths);
+    roomPersistence.markDirty(roomCode, itemPaths);
+    revisionHistory.remove(roomCode, itemPaths).catch(error => {
+        console.error(`Error removing revisions in room ${roomCode}:`, error);
+    });
+    reviewThreads.remove(roomCode, itemPaths).then(threadIds => {
+        if (threadIds.length > 0) {
+            io.to(roomCode).emit('review-threads-removed', { threadIds });
+        }
+    }).catch(error => {
+        console.error(`Error removing review threads in room ${roomCode}:`, error);
+    });
+}
+
+// Take a socket out of a room's member list; the last one out unloads the room
+function removeFromRoom(socketId, username, roomCode) {
+    const userIndex = rooms[roomCode] ? rooms[roomCode].indexOf(socketId) : -1;
+    if (userIndex === -1) return;
+
+    rooms[roomCode].splice(userIndex, 1);
+    
+    // Notify other users in the room
+    io.to(roomCode).except(socketId).emit('user-left', { 
+        username,
+        userId: socketId 
+    });
+    
+    // If room is empty, clean up the room
+    if (rooms[roomCode].length === 0) {
+        unloadRoom(roomCode);
+        console.log(`Room ${roomCode} cleaned up - no users remaining`);
+
+        // Ephemeral rooms go away completely, the others start their idle clock
+        roomLifecycle.roomEmptied(roomCode).catch(error => {
+            console.error(`Error updating lifecycle of room ${roomCode}:`, error);
+        });
+    }
+}
+
+// Drop a room's in-memory state. Its working directory stays on disk until
+// the room is archived, deleted or swept.
+function unloadRoom(roomCode) {
+    // Save pending edits before the in-memory copy goes away
+    roomPersistence.flush(roomCode).catch(error => {
+        console.error(`Error saving files for room ${roomCode}:`, error);
+    });
+    revisionHistory.unloadRoom(roomCode).catch(error => {
+        console.error(`Error saving revisions for room ${roomCode}:`, error);
+    });
+    reviewThreads.unloadRoom(roomCode);
+    terminalManager.cleanupRoom(roomCode, { keepWorkingDirectory: true });
+    delete rooms[roomCode];
+    delete roomFiles[roomCode];
+    delete roomRunConfigurations[roomCode];
+    delete fileDocuments[roomCode];
+}
+
+// Send everyone out of a room that is being archived or deleted
+function closeRoom(roomCode, reason) {
+    (rooms[roomCode] || []).slice().forEach(socketId => {
+        const memberSocket = io.sockets.sockets.get(socketId);
+        if (memberSocket) {
+            memberSocket.emit('room-closed', { roomCode, reason });
+            forceLeaveRoom(memberSocket, roomCode);
+        }
+    });
+
+    // Disconnected users can't come back to a closed room
+    sessionManager.endRoom(roomCode).forEach(session => {
+        releaseSocket(session.socketId, roomCode, session.username);
+    });
+
+    // Sockets that went away without a disconnect being handled yet
+    if (rooms[roomCode]) {
+        unloadRoom(roomCode);
+    }
+}
+
+// Drop everything kept for a socket in a room: its session entry, presence,
+// terminal, active file and place in the member list
+function releaseSocket(socketId, roomCode, username) {
+    endFollowMode(socketId);
+    if (terminalManager.getSharedTerminal(roomCode)?.driverId === socketId) {
+        setTerminalDriver(roomCode, null);
+    }
+    userSession.delete(socketId);
+    presenceManager.leave(socketId);
+    terminalManager.cleanupUser(socketId);
+    codeRunner.cancelUser(socketId);
+    delete userActiveFiles[socketId];
+
+    removeFromRoom(socketId, username, roomCode);
+}
+
+// Move the per-socket state of a resumed session over to its new socket
+function moveSocketState(oldSocketId, newSocketId, roomCode, username) {
+    const members = rooms[roomCode];
+    members[members.indexOf(oldSocketId)] = newSocketId;
+
+    if (userSession.has(oldSocketId)) {
+        userSession.set(newSocketId, userSession.get(oldSocketId));
+        userSession.delete(oldSocketId);
+    }
+
+    const activeFile = userActiveFiles[oldSocketId];
+    delete userActiveFiles[oldSocketId];
+    userActiveFiles[newSocketId] = activeFile;
+
+    presenceManager.leave(oldSocketId);
+    presenceManager.join(newSocketId, roomCode, username, activeFile);
+
+    // Follow mode carries over in both directions
+    if (following[oldSocketId]) {
+        following[newSocketId] = following[oldSocketId];
+        delete following[oldSocketId];
+    }
+    followersOf(oldSocketId).forEach(followerId => {
+        following[followerId] = newSocketId;
+    });
+    if (userViewports[oldSocketId]) {
+        userViewports[newSocketId] = userViewports[oldSocketId];
+        delete userViewports[oldSocketId];
+    }
+
+    if (terminalManager.getSharedTerminal(roomCode)?.driverId === oldSocketId) {
+        setTerminalDriver(roomCode, newSocketId);
+    }
+
+    if (!terminalManager.transferUser(oldSocketId, newSocketId)) {
+        terminalManager.initializeTerminal(roomCode, newSocketId);
+    }
+    codeRunner.transferUser(oldSocketId, newSocketId);
+    return activeFile;
+}
+
+// Make a connected socket leave a room without disconnecting it (kicks and bans)
+function forceLeaveRoom(socket, roomCode) {
+    // Kicked users must not be able to resume either
+    sessionManager.end(socket.sessionId);
+    socket.sessionId = null;
+
+    releaseSocket(socket.id, roomCode, socket.username);
+    socket.leave(roomCode);
+    socket.leave(operationRoom(roomCode));
+    socket.roomCode = null;
+    socket.role = null;
+}
+
+// Connected sockets of the same person: every tab of an account, or just the
+// socket itself for guests
+function socketsOfUser(roomCode, targetSocket) {
+    if (!targetSocket.userId) return [targetSocket];
+    return (rooms[roomCode] || [])
+        .map(socketId => io.sockets.sockets.get(socketId))
+        .filter(memberSocket => memberSocket && memberSocket.userId === targetSocket.userId);
+}
+
+// Give every connection of a member their new role
+function applyMemberRole(roomCode, userId, role) {
+    (rooms[roomCode] || []).forEach(socketId => {
+        const memberSocket = io.sockets.sockets.get(socketId);
+        if (memberSocket && memberSocket.userId === userId) {
+            memberSocket.role = role;
+            memberSocket.emit('role-updated', { roomCode, role });
+        }
+    });
+}
+
+// Add the entries of an unpacked archive to a room. Existing files are
+// overwritten, missing parent folders are created.
+function importFilesIntoRoom(roomCode, entries) {
+    const files = roomFiles[roomCode];
+    if (!files) {
+        return { success: false, error: 'Room is not active' };
+    }
+
+    // Work out every folder and file first so a conflict leaves the room untouched
+    const wanted = new Map();
+    entries.forEach(entry => {
+        const segments = entry.path.split('/');
+        for (let i = 1; i < segments.length; i++) {
+            wanted.set(segments.slice(0, i).join('/'), 'folder');
+        }
+        wanted.set(entry.path, entry.type);
+    });
+
+    for (const [itemPath, type] of wanted) {
+        if (files[itemPath] && files[itemPath].type !== type) {
+            return { success: false, error: `${itemPath} already exists as a ${files[itemPath].type}` };
+        }
+    }
+
+    const created = [];
+    Array.from(wanted.keys())
+        .filter(itemPath => wanted.get(itemPath) === 'folder')
+        .sort()
+        .forEach(folderPath => {
+            if (!files[folderPath]) {
+                files[folderPath] = { type: 'folder', isExpanded: false };
+                terminalManager.createFolderInWorkingDir(roomCode, folderPath);
+                created.push(folderPath);
+            }
+        });
+
+    entries.filter(entry => entry.type === 'file').forEach(entry => {
+        // Binary entries are written byte for byte and tracked by metadata
+        if (isBinaryBuffer(entry.data)) {
+            terminalManager.writeBinaryToWorkingDir(roomCode, entry.path, entry.data);
+            files[entry.path] = describeBinaryFile(entry.path, entry.data);
+            if (fileDocuments[roomCode]) {
+                delete fileDocuments[roomCode][entry.path];
+            }
+            created.push(entry.path);
+            return;
+        }
+
+        const content = entry.data.toString('utf8');
+        if (files[entry.path] && !files[entry.path].binary) {
+            setFileContent(roomCode, entry.path, content, { source: 'import' });
+        } else {
+            files[entry.path] = {
+                content,
+                type: 'file',
+                extension: path.posix.extname(entry.path).slice(1) || 'txt',
+                isExpanded: false
+            };
+            terminalManager.writeFileToWorkingDir(roomCode, entry.path, content);
+            revisionHistory.record(roomCode, entry.path, null, content, { source: 'import' });
+            created.push(entry.path);
+        }
+    });
+
+    roomPersistence.markDirty(roomCode, created);
+
+    io.to(roomCode).emit('files-update', files);
+    io.to(roomCode).emit('files-imported', { items: Array.from(wanted.keys()) });
+
+    return { success: true, imported: Array.from(wanted.keys()) };
+}
+
+// Socket.IO connection handling with error handling
+io.on('connection', (socket) => {
+    console.log("Socket connected:", socket.id);
+
+    // Handle connection errors
+    socket.on('connect_error', (error) => {
+        console.error('Socket connection error:', error);
+    });
+
+    socket.on('disconnect', (reason) => {
+        console.log('Socket disconnected:', socket.id, 'Reason:', reason);
+    });
+
+    // Any event counts as activity for the idle indicator
+    socket.onAny(() => {
+        presenceManager.touch(socket.id);
+    });
+
+    // Viewers get a read-only stream. Mutating handlers bail out through this,
+    // which answers via the callback when the event has one.
+    const rejectReadOnly = (roomCode, action, callback) => {
+        if (socket.roomCode === roomCode && canEdit(socket.role)) {
+            return false;
+        }
+        const error = 'You do not have permission to make changes in this room';
+        if (typeof callback === 'function') {
+            callback({ success: false, error });
+        } else {
+            socket.emit('permission-denied', { action, error });
+        }
+        return true;
+    };
+
+    // Issue the stable identity a client uses to resume after a reconnect
+    const startSession = (roomCode) => {
+        sessionManager.end(socket.sessionId);
+        socket.sessionId = sessionManager.create({
+            socketId: socket.id,
+            roomCode,
+            userId: socket.userId,
+            username: socket.username,
+            role: socket.role
+        }).sessionId;
+    };
+
+    socket.on('create-room', async ({ password, name, description, lifecycle, idleTimeoutMinutes }, callback) => {
+        // Rooms belong to accounts, guests can only join them
+        if (!socket.user) {
+            return callback({ success: false, error: 'Sign in to create a room' });
+        }
+
+        const username = socket.username;
+        try {
+            const roomCode = Math.random().toString(36).substr(2, 6).toUpperCase();
+            
+            const saltRounds = 10;
+            const hashedPassword = await bcrypt.hash(password, saltRounds);
+
+            const newRoom = new roomModel({
+                roomCode,
+                password: hashedPassword,
+                members: [{ userId: socket.user._id, username, role: 'owner' }],
+                name,
+                description,
+                lifecycle,
+                idleTimeoutMinutes
+            });
+
+            const validationError = newRoom.validateSync();
+            if (validationError) {
+                return callback({ success: false, error: validationError.message });
+            }
+
+            await newRoom.save();
+            await reviewThreads.loadRoom(roomCode);
+
+            rooms[roomCode] = [socket.id];
+            roomFiles[roomCode] = getDefaultFiles();
+            roomRunConfigurations[roomCode] = [];
+            roomPersistence.markDirty(roomCode, Object.keys(roomFiles[roomCode]));
+            userActiveFiles[socket.id] = 'main.js';
+
+            socket.join(roomCode);
+            socket.roomCode = roomCode;
+            socket.role = 'owner';
+            startSession(roomCode);
+            presenceManager.join(socket.id, roomCode, username, 'main.js');
+
+            // Send initial data to the creator
+            socket.emit('room-created', { roomCode });
+            socket.emit('files-update', roomFiles[roomCode]);
+            socket.emit('file-content-update', fileContentPayload(roomCode, 'main.js'));
+            socket.emit('active-file-changed', { fileName: 'main.js' });
+
+            // Initialize terminal for this specific user
+            terminalManager.initializeTerminal(roomCode, socket.id);
+            
+            callback({ success: true, roomCode, role: 'owner', sessionId: socket.sessionId });
+            console.log(`${username} created room ${roomCode}`);
+        } catch (error) {
+            console.error('Error creating room:', error);
+            callback({ success: false, error: 'Failed to create room' });
+        }
+    });
+
+    // Join with the room password, or with an invite token instead (roomCode
+    // can be left out then). Signed-in members don't need either.
+    socket.on('join-room', async({ username: guestName, roomCode: requestedRoomCode, password, inviteToken }, callback) => {
+        // Signed-in users always appear under their account name
+        const username = socket.user ? socket.user.userName : guestName;
+        let roomCode = requestedRoomCode;
+        console.log(`${username} attempting to join room: ${roomCode || 'from invite'}`);
+
+        if (!username) {
+            return callback({ success: false, error: 'A username is required to join as a guest.' });
+        }
+
+        try {
+            if (inviteToken) {
+                try {
+                    const invitedRoomCode = inviteRoomCode(inviteToken);
+                    if (roomCode && roomCode.toUpperCase() !== invitedRoomCode) {
+                        return callback({ success: false, error: 'Invite is for a different room.' });
+                    }
+                    roomCode = invitedRoomCode;
+                } catch (error) {
+                    if (!error.statusCode) throw error;
+                    return callback({ success: false, error: error.message });
+                }
+            }
+
+            const room = await roomModel.findOne({ roomCode });
+            
+            if(!room){
+                return callback({
+                    success: false,
+                    error: 'Room not found. Please check the room code.'
+                });
+            }
+
+            if (room.archivedAt) {
+                return callback({ success: false, error: 'This room is archived. Ask the owner to restore it.' });
+            }
+
+            if (room.isBanned(socket.userId, socket.fingerprint)) {
+                return callback({ success: false, error: 'You have been banned from this room.' });
+            }
+
+            const isMember = !!socket.user && room.members.some(member => member.userId.equals(socket.user._id));
+            const alreadyJoined = !!rooms[roomCode]?.includes(socket.id);
+
+            // An invite is only used up to let someone in for the first time,
+            // never by members or a socket that is already in the room
+            let invitedRole = null;
+            if (inviteToken && !isMember && !alreadyJoined) {
+                try {
+                    invitedRole = (await redeemInvite(inviteToken, socket.user)).role;
+                } catch (error) {
+                    if (!error.statusCode) throw error;
+                    return callback({ success: false, error: error.message });
+                }
+            }
+
+            if (!invitedRole && !isMember && !alreadyJoined) {
+                const isPasswordValid = typeof password === 'string' && await bcrypt.compare(password, room.password);
+                if(!isPasswordValid){
+                    return callback({
+                        success: false,
+                        error:'Invalid password. Please try again.'
+                    })
+                }
+            }
+
+            userSession.set(socket.id, {
+                roomCode: roomCode,
+                username: username,
+                userId: socket.userId,
+                joined: new Date()
+            })
+
+            // Signed-in first-time visitors are remembered with the room's default role
+            // (redeeming an invite already made them members with its role).
+            // Invited guests keep the invite's role for this visit.
+            const role = invitedRole || (socket.user ? room.roleOf(socket.userId) : room.defaultRole);
+            if (socket.user && !isMember) {
+                await roomModel.updateOne(
+                    { roomCode, 'members.userId': { $ne: socket.user._id } },
+                    { $push: { members: { userId: socket.user._id, username, role } } }
+                );
+            }
+
+            // Latest page of the room chat; older pages come from get-chat-history
+            const chat = await listMessages(roomCode);
+            await reviewThreads.loadRoom(roomCode);
+
+            // If room doesn't exist in memory, restore its saved files (or start fresh)
+            if (!rooms[roomCode]) {
+                console.log(`Room ${roomCode} not found in memory, loading it...`);
+                const savedFiles = await roomPersistence.loadRoom(roomCode);
+                
+                // Another join may have loaded the room while we were waiting
+                if (!rooms[roomCode]) {
+                    rooms[roomCode] = [];
+                    roomFiles[roomCode] = savedFiles || getDefaultFiles();
+                    roomRunConfigurations[roomCode] = describeRunConfigurations(room.runConfigurations);
+                    if (!savedFiles) {
+                        roomPersistence.markDirty(roomCode, Object.keys(roomFiles[roomCode]));
+                    }
+                    
+                    // Binary files are not kept in roomFiles, put them back on disk
+                    const binaryFiles = savedFiles ? await roomPersistence.loadBinaryData(roomCode) : [];
+                    binaryFiles.forEach(({ path: filePath, data }) => {
+                        terminalManager.writeBinaryToWorkingDir(roomCode, filePath, data);
+                    });
+                }
+            }
+            
+            // Check if user is already in the room
+            if (rooms[roomCode].includes(socket.id)) {
+                console.log(`User ${socket.id} already in room ${roomCode}`);
+                return callback({ success: true });
+            }
+            
+            rooms[roomCode].push(socket.id);
+            socket.join(roomCode);
+            roomLifecycle.touch(roomCode).catch(error => {
+                console.error(`Error updating lifecycle of room ${roomCode}:`, error);
+            });
+            
+            socket.roomCode = roomCode;
+            socket.username = username;
+            socket.role = role;
+            startSession(roomCode);
+
+            // Set default active file for this user
             const fileKeys = Object.keys(roomFiles[roomCode]).filter(key => 
                 roomFiles[roomCode][key].type === 'file'
             );
             const firstFile = fileKeys[0];
             userActiveFiles[socket.id] = firstFile;
+            presenceManager.join(socket.id, roomCode, username, firstFile);
             
             // Initialize terminal for this specific user
             terminalManager.initializeTerminal(roomCode, socket.id);
             
             // Notify other users in the room
-            socket.to(roomCode).emit('user-joined', { username, userId: socket.id });
+            socket.to(roomCode).emit('user-joined', { username, userId: socket.id, role, guest: !socket.user });
+
+            // Late joiners catch up on the shared terminal
+            if (terminalManager.getSharedTerminal(roomCode)) {
+                socket.emit('shared-terminal-state', {
+                    ...sharedTerminalState(roomCode),
+                    scrollback: terminalManager.getSharedScrollback(roomCode)
+                });
+            }
             
             // Send success response with initial data
             callback({ 
                 success: true, 
                 message: `Successfully joined room ${roomCode}`,
+                roomCode,
+                role,
+                sessionId: socket.sessionId,
                 files: roomFiles[roomCode],
-                activeFile: firstFile
+                activeFile: firstFile,
+                revision: getFileRevision(roomCode, firstFile),
+                chat
             });
             
             console.log(`${username} joined room ${roomCode}`);
             
         } catch (error) {
-            console.error('Error joining room:', error);
-            callback({
-                success: false,
-                error: 'Server error occurred while joining room.'
-            });
+            console.error('Error joining room:', error);
+            callback({
+                success: false,
+                error: 'Server error occurred while joining room.'
+            });
+        }
+    });
+
+    // Pick a session back up on a new socket after a reconnect: same place in
+    // the room, the same terminal (plus the output missed meanwhile) and the
+    // same active file. Expired sessions have to join the room again.
+    socket.on('resume-session', async ({ sessionId }, callback) => {
+        const expired = () => callback({ success: false, expired: true, error: 'Session expired. Please join the room again.' });
+
+        let session = sessionManager.get(sessionId);
+        if (!session || !rooms[session.roomCode]?.includes(session.socketId)) {
+            return expired();
+        }
+        if (session.userId !== (socket.userId || null)) {
+            return callback({ success: false, error: 'This session belongs to another user.' });
+        }
+
+        try {
+            const room = await roomModel.findOne({ roomCode: session.roomCode });
+
+            // The session may have run out or been resumed elsewhere while we waited
+            session = sessionManager.get(sessionId);
+            if (!room || room.archivedAt || !session || !rooms[session.roomCode]?.includes(session.socketId)) {
+                return expired();
+            }
+
+            const { roomCode, username, socketId: previousSocketId } = session;
+            const previousSocket = io.sockets.sockets.get(previousSocketId);
+
+            if (room.isBanned(socket.userId, socket.fingerprint)) {
+                sessionManager.end(sessionId);
+                if (previousSocket) {
+                    forceLeaveRoom(previousSocket, roomCode);
+                } else {
+                    releaseSocket(previousSocketId, roomCode, username);
+                }
+                return callback({ success: false, error: 'You have been banned from this room.' });
+            }
+
+            // Roles of accounts may have changed while they were away
+            const role = socket.user ? room.roleOf(socket.userId) : session.role;
+
+            sessionManager.attach(sessionId, socket.id);
+            session.role = role;
+
+            socket.join(roomCode);
+            socket.roomCode = roomCode;
+            socket.username = username;
+            socket.role = role;
+            socket.sessionId = sessionId;
+            const activeFile = moveSocketState(previousSocketId, socket.id, roomCode, username);
+
+            // The old socket may not have noticed yet that its connection is gone
+            if (previousSocket) {
+                previousSocket.sessionId = null;
+                previousSocket.roomCode = null;
+                previousSocket.disconnect(true);
+            }
+
+            socket.to(roomCode).emit('user-reconnected', {
+                username,
+                userId: socket.id,
+                previousUserId: previousSocketId,
+                role
+            });
+
+            // Output of the shared terminal may have been missed while away
+            if (terminalManager.getSharedTerminal(roomCode)) {
+                socket.emit('shared-terminal-state', {
+                    ...sharedTerminalState(roomCode),
+                    scrollback: terminalManager.getSharedScrollback(roomCode)
+                });
+            }
+
+            callback({
+                success: true,
+                message: `Resumed session in room ${roomCode}`,
+                roomCode,
+                role,
+                sessionId,
+                files: roomFiles[roomCode],
+                activeFile,
+                revision: getFileRevision(roomCode, activeFile)
+            });
+
+            console.log(`${username} resumed their session in room ${roomCode}`);
+        } catch (error) {
+            console.error('Error resuming session:', error);
+            callback({ success: false, error: 'Server error occurred while resuming session.' });
+        }
+    });
+
+    // Handle client's initial file fetch requests
+    socket.on('get-files', ({ roomCode } = {}, callback = () => {}) => {
+        if (socket.roomCode !== roomCode) {
+            return callback({ success: false, error: 'You are not in this room' });
+        }
+        console.log(`Getting files for room: ${roomCode}`);
+        const files = roomFiles[roomCode] || {};
+        callback({ files });
+    });
+
+    socket.on('get-file-content', ({ roomCode, fileName } = {}, callback = () => {}) => {
+        if (socket.roomCode !== roomCode) {
+            return callback({ success: false, error: 'You are not in this room' });
+        }
+        console.log(`Getting content for file: ${fileName} in room: ${roomCode}`);
+        const fileEntry = roomFiles[roomCode]?.[fileName];
+        if (fileEntry?.binary) {
+            return callback({ content: '', binary: true, size: fileEntry.size, mimeType: fileEntry.mimeType });
+        }
+        const content = fileEntry && fileEntry.type === 'file' ? fileEntry.content : '';
+        callback({ content });
+    });
+
+    // Terminal events
+    // Clients call this when they (re)open their terminal; a shell that is
+    // already running is repainted from its scrollback instead
+    socket.on('terminal-init', ({ roomCode } = {}) => {
+        // The shell runs as the room's sandbox user, so only ever in the
+        // caller's own room
+        if (!socket.roomCode || socket.roomCode !== roomCode) {
+            socket.emit('permission-denied', { action: 'terminal-init', error: 'You are not in this room' });
+            return;
+        }
+
+        console.log(`Initializing terminal for user ${socket.id} in room: ${socket.roomCode}`);
+        if (!terminalManager.replayScrollback(socket.id)) {
+            terminalManager.initializeTerminal(socket.roomCode, socket.id);
+        }
+    });
+
+    // Older output of the user's terminal (or of the shared one), page by
+    // page: pass the startLine of the last page as `before`
+    socket.on('get-terminal-scrollback', ({ roomCode, shared, before, limit }, callback) => {
+        if (socket.roomCode !== roomCode) {
+            return callback({ success: false, error: 'You are not in this room' });
+        }
+
+        const page = terminalManager.getScrollbackPage(socket.id, roomCode, { shared, before, limit });
+        if (!page) {
+            return callback({ success: false, error: 'Terminal not running' });
+        }
+        callback({ success: true, ...page });
+    });
+
+    // `shared` sends the input to the room's shared terminal instead, which
+    // only its driver may type into
+    socket.on('terminal-input', ({ roomCode, input, shared }) => {
+        if (rejectReadOnly(socket.roomCode, 'terminal-input')) return;
+        if (shared) {
+            if (!isTerminalDriver()) {
+                socket.emit('permission-denied', { action: 'terminal-input', error: 'Only the driver can type in the shared terminal' });
+                return;
+            }
+            terminalManager.handleSharedInput(socket.roomCode, input);
+            return;
+        }
+        terminalManager.handleInput(socket.id, input);
+    });
+
+    socket.on('terminal-resize', ({ roomCode, cols, rows, shared }) => {
+        if (shared) {
+            if (isTerminalDriver()) {
+                terminalManager.handleSharedResize(socket.roomCode, cols, rows);
+            }
+            return;
+        }
+        terminalManager.handleResize(socket.id, cols, rows);
+    });
+
+    // Shared terminal: one shell per room whose output everyone sees. The
+    // driver types, others ask for control and the driver (or owner) grants it.
+    const isTerminalDriver = () => !!socket.roomCode && terminalManager.getSharedTerminal(socket.roomCode)?.driverId === socket.id;
+
+    socket.on('shared-terminal-start', ({ roomCode }, callback = () => {}) => {
+        if (rejectReadOnly(roomCode, 'shared-terminal-start', callback)) return;
+
+        try {
+            if (!terminalManager.getSharedTerminal(roomCode)) {
+                terminalManager.startSharedTerminal(roomCode, socket.id);
+                io.to(roomCode).emit('shared-terminal-started', sharedTerminalState(roomCode));
+                console.log(`${socket.username} started the shared terminal of room ${roomCode}`);
+            }
+            callback({ success: true, ...sharedTerminalState(roomCode) });
+        } catch (error) {
+            console.error(`Error starting shared terminal for room ${roomCode}:`, error);
+            callback({ success: false, error: 'Failed to start shared terminal' });
+        }
+    });
+
+    // State and recent output, for clients opening the shared terminal
+    socket.on('shared-terminal-init', ({ roomCode }, callback) => {
+        if (socket.roomCode !== roomCode) {
+            return callback({ success: false, error: 'You are not in this room' });
+        }
+        callback({ success: true, ...sharedTerminalState(roomCode), scrollback: terminalManager.getSharedScrollback(roomCode) });
+    });
+
+    socket.on('shared-terminal-stop', ({ roomCode }, callback = () => {}) => {
+        if (socket.roomCode !== roomCode || !terminalManager.getSharedTerminal(roomCode)) {
+            return callback({ success: false, error: 'No shared terminal is running' });
+        }
+        if (!isTerminalDriver() && !isOwner(socket.role)) {
+            return callback({ success: false, error: 'Only the driver or the room owner can stop the shared terminal' });
+        }
+
+        terminalManager.stopSharedTerminal(roomCode);
+        io.to(roomCode).emit('shared-terminal-stopped', { reason: 'stopped', stoppedBy: socket.username });
+        callback({ success: true });
+    });
+
+    // Nobody driving (or the driver is disconnected): take control right away.
+    // Otherwise the driver is asked.
+    socket.on('request-terminal-control', ({ roomCode }, callback = () => {}) => {
+        if (rejectReadOnly(roomCode, 'request-terminal-control', callback)) return;
+        const shared = terminalManager.getSharedTerminal(roomCode);
+        if (!shared) {
+            return callback({ success: false, error: 'No shared terminal is running' });
+        }
+        if (shared.driverId === socket.id) {
+            return callback({ success: true, driving: true });
+        }
+
+        if (!shared.driverId || !io.sockets.sockets.has(shared.driverId)) {
+            setTerminalDriver(roomCode, socket.id);
+            return callback({ success: true, driving: true });
+        }
+
+        io.to(shared.driverId).emit('terminal-control-requested', { userId: socket.id, username: socket.username });
+        callback({ success: true, driving: false, pending: true });
+    });
+
+    socket.on('grant-terminal-control', ({ roomCode, userId }, callback = () => {}) => {
+        if (socket.roomCode !== roomCode || !terminalManager.getSharedTerminal(roomCode)) {
+            return callback({ success: false, error: 'No shared terminal is running' });
+        }
+        if (!isTerminalDriver() && !isOwner(socket.role)) {
+            return callback({ success: false, error: 'Only the driver or the room owner can hand over control' });
+        }
+
+        const target = io.sockets.sockets.get(userId);
+        if (!target || target.roomCode !== roomCode) {
+            return callback({ success: false, error: 'User not found in this room' });
+        }
+        if (!canEdit(target.role)) {
+            return callback({ success: false, error: 'Viewers cannot drive the terminal' });
+        }
+
+        setTerminalDriver(roomCode, userId);
+        callback({ success: true });
+        console.log(`${target.username} now drives the shared terminal of room ${roomCode}`);
+    });
+
+    socket.on('deny-terminal-control', ({ roomCode, userId }) => {
+        if (!isTerminalDriver() || socket.roomCode !== roomCode) return;
+        io.to(userId).emit('terminal-control-denied', { userId: socket.id, username: socket.username });
+    });
+
+    socket.on('release-terminal-control', ({ roomCode }, callback = () => {}) => {
+        if (socket.roomCode !== roomCode || !isTerminalDriver()) {
+            return callback({ success: false, error: 'You are not driving the shared terminal' });
+        }
+        setTerminalDriver(roomCode, null);
+        callback({ success: true });
+    });
+
+    socket.on('execute-command', ({ roomCode, command }) => {
+        if (rejectReadOnly(socket.roomCode, 'execute-command')) return;
+        terminalManager.executeCommand(socket.id, command);
+    });
+
+    socket.on('run-file', ({ roomCode, fileName, configuration, args }) => {
+        if (rejectReadOnly(roomCode, 'run-file')) return;
+        if (roomFiles[roomCode] && roomFiles[roomCode][fileName] && roomFiles[roomCode][fileName].type === 'file') {
+            // Ensure file is written to working directory before running
+            if (!roomFiles[roomCode][fileName].binary) {
+                terminalManager.writeFileToWorkingDir(roomCode, fileName, roomFiles[roomCode][fileName].content);
+            }
+            terminalManager.runFile(socket.id, fileName, { configuration, args });
+        } else {
+            io.to(socket.id).emit('terminal-output', `\x1b[31mError: File ${fileName} not found\x1b[0m\r\n`);
+        }
+    });
+
+    socket.on('save-and-run', ({ roomCode, fileName, configuration, args }) => {
+        if (rejectReadOnly(roomCode, 'save-and-run')) return;
+        const targetFileName = fileName || userActiveFiles[socket.id];
+        if (targetFileName && roomFiles[roomCode] && roomFiles[roomCode][targetFileName] && roomFiles[roomCode][targetFileName].type === 'file') {
+            if (!roomFiles[roomCode][targetFileName].binary) {
+                terminalManager.writeFileToWorkingDir(roomCode, targetFileName, roomFiles[roomCode][targetFileName].content);
+            }
+            terminalManager.runFile(socket.id, targetFileName, { configuration, args });
+        }
+    });
+
+    // Run a file outside the terminal: output comes as `run-output` and the
+    // exit status, timing and memory as `run-finished`
+    socket.on('run-file-structured', ({ roomCode, fileName, stdin, configuration, args } = {}, callback = () => {}) => {
+        if (rejectReadOnly(roomCode, 'run-file-structured', callback)) return;
+
+        const file = roomFiles[roomCode]?.[fileName];
+        if (!file || file.type !== 'file') {
+            return callback({ success: false, error: `File ${fileName} not found` });
+        }
+        const workDir = terminalManager.getWorkingDirectory(roomCode);
+        if (!workDir) {
+            return callback({ success: false, error: 'Working directory not found' });
+        }
+        if (!file.binary) {
+            terminalManager.writeFileToWorkingDir(roomCode, fileName, file.content);
+        }
+
+        try {
+            const command = runCommandLine(resolveRun(fileName, roomRunConfigurations[roomCode], { configuration, args }));
+            const runId = codeRunner.start({ roomCode, userId: socket.id, workDir, fileName, command, stdin });
+            callback({ success: true, runId });
+        } catch (error) {
+            if (!error.statusCode) {
+                console.error('Error starting run:', error);
+            }
+            callback({ success: false, error: error.statusCode ? error.message : 'Failed to start the run' });
+        }
+    });
+
+    socket.on('cancel-run', ({ runId } = {}, callback = () => {}) => {
+        try {
+            codeRunner.cancel(socket.id, runId);
+            callback({ success: true });
+        } catch (error) {
+            callback({ success: false, error: error.message });
+        }
+    });
+
+    socket.on('list-runs', (payload, callback = () => {}) => {
+        callback({ success: true, runs: codeRunner.listRuns(socket.id) });
+    });
+
+    // Named run configurations of the room. Runs pick one by name, or the
+    // first whose patterns match the file, or the built-in table.
+    socket.on('get-run-configurations', ({ roomCode } = {}, callback = () => {}) => {
+        if (socket.roomCode !== roomCode) {
+            return callback({ success: false, error: 'You are not in this room' });
+        }
+        callback({ success: true, configurations: roomRunConfigurations[roomCode] || [], builtIn: BUILT_IN_CONFIGURATIONS });
+    });
+
+    socket.on('set-run-configurations', async ({ roomCode, configurations } = {}, callback = () => {}) => {
+        if (rejectReadOnly(roomCode, 'set-run-configurations', callback)) return;
+        try {
+            const saved = await setRunConfigurations(roomCode, configurations);
+            if (rooms[roomCode]) {
+                roomRunConfigurations[roomCode] = saved;
+            }
+            socket.to(roomCode).emit('run-configurations-updated', { configurations: saved, updatedBy: socket.username });
+            callback({ success: true, configurations: saved });
+        } catch (error) {
+            if (!error.statusCode) {
+                console.error(`Error saving run configurations in room ${roomCode}:`, error);
+            }
+            callback({ success: false, error: error.statusCode ? error.message : 'Failed to save run configurations' });
+        }
+    });
+
+    // Test cases stored with the room, and judging files against them
+    const handleJudgeError = (action, callback) => (error) => {
+        if (error.statusCode) {
+            return callback({ success: false, error: error.message });
+        }
+        console.error(`Error trying to ${action}:`, error);
+        callback({ success: false, error: `Failed to ${action}` });
+    };
+
+    socket.on('get-test-cases', ({ roomCode } = {}, callback = () => {}) => {
+        if (socket.roomCode !== roomCode) {
+            return callback({ success: false, error: 'You are not in this room' });
+        }
+        getTestCases(roomCode)
+            .then(({ testCases, settings }) => callback({ success: true, testCases, settings }))
+            .catch(handleJudgeError('load test cases', callback));
+    });
+
+    socket.on('set-test-cases', ({ roomCode, testCases, settings } = {}, callback = () => {}) => {
+        if (rejectReadOnly(roomCode, 'set-test-cases', callback)) return;
+        setTestCases(roomCode, { testCases, settings })
+            .then(saved => {
+                socket.to(roomCode).emit('test-cases-updated', { ...saved, updatedBy: socket.username });
+                callback({ success: true, ...saved });
+            })
+            .catch(handleJudgeError('save test cases', callback));
+    });
+
+    // Verdicts go to the requester, or to the whole room with `broadcast`:
+    // judge-started, a judge-case-result per case, then judge-finished
+    let judging = false;
+    socket.on('judge-file', async ({ roomCode, fileName, configuration, args, broadcast = false } = {}, callback = () => {}) => {
+        if (rejectReadOnly(roomCode, 'judge-file', callback)) return;
+        if (judging) {
+            return callback({ success: false, error: 'Wait for your current judge run to finish' });
+        }
+
+        const file = roomFiles[roomCode]?.[fileName];
+        if (!file || file.type !== 'file' || file.binary) {
+            return callback({ success: false, error: `File ${fileName} not found` });
+        }
+        const workDir = terminalManager.getWorkingDirectory(roomCode);
+        if (!workDir) {
+            return callback({ success: false, error: 'Working directory not found' });
+        }
+
+        let judgeRun;
+        try {
+            const commands = resolveRun(fileName, roomRunConfigurations[roomCode], { configuration, args });
+            const { testCases, settings } = await getTestCases(roomCode);
+            judgeRun = new JudgeRun({ codeRunner, roomCode, userId: socket.id, workDir, fileName, commands, testCases, settings });
+        } catch (error) {
+            return handleJudgeError('judge the file', callback)(error);
+        }
+
+        // The file may have gone while the test cases were loading
+        const current = roomFiles[roomCode]?.[fileName];
+        if (!current || current.type !== 'file' || current.binary) {
+            return callback({ success: false, error: `File ${fileName} not found` });
+        }
+        if (judging) {
+            return callback({ success: false, error: 'Wait for your current judge run to finish' });
+        }
+        if (!terminalManager.writeFileToWorkingDir(roomCode, fileName, current.content, { force: true })) {
+            return callback({ success: false, error: `Failed to write ${fileName} to the working directory` });
+        }
+        judging = true;
+        const { judgeId } = judgeRun;
+        const target = broadcast ? roomCode : socket.id;
+        const startedBy = socket.username;
+        callback({ success: true, judgeId });
+        io.to(target).emit('judge-started', { judgeId, fileName, startedBy, total: judgeRun.testCases.length });
+
+        judgeRun.judge(result => io.to(target).emit('judge-case-result', { judgeId, result }))
+            .then(outcome => {
+                io.to(target).emit('judge-finished', { judgeId, fileName, startedBy, ...outcome });
+            })
+            .catch(error => {
+                console.error(`Error judging ${fileName} in room ${roomCode}:`, error);
+                io.to(target).emit('judge-finished', { judgeId, fileName, startedBy, error: 'Judging failed' });
+            })
+            .finally(() => {
+                judging = false;
+            });
+    });
+
+    socket.on('clear-terminal', ({ roomCode }) => {
+        terminalManager.executeCommand(socket.id, 'clear');
+    });
+
+    socket.on('kill-process', ({ roomCode }) => {
+        const ptyProcess = terminalManager.terminals.get(socket.id);
+        if (ptyProcess) {
+            ptyProcess.write('\x03'); // Send Ctrl+C
+        }
+    });
+
+    socket.on('get-working-directory', ({ roomCode } = {}, callback = () => {}) => {
+        if (socket.roomCode !== roomCode) {
+            return callback({ success: false, error: 'You are not in this room' });
+        }
+        const workDir = terminalManager.getWorkingDirectory(roomCode);
+        callback({ workingDirectory: workDir });
+    });
+
+    // Enhanced File Management Events with Folder Support
+
+    // Create File
+    socket.on('create-file', ({ roomCode, fileName, parentFolder = '' }) => {
+        console.log(`Creating file: ${fileName} in folder: ${parentFolder} for room: ${roomCode}`);
+        
+        if (rejectReadOnly(roomCode, 'create-file')) return;
+        
+        if (!roomFiles[roomCode]) {
+            roomFiles[roomCode] = {};
+        }
+        
+        const fullPath = parentFolder ? `${parentFolder}/${fileName}` : fileName;
+        
+        if (roomFiles[roomCode][fullPath]) {
+            socket.emit('file-error', { message: 'File already exists' });
+            return;
+        }
+        
+        const extension = fileName.split('.').pop() || 'txt';
+        
+        roomFiles[roomCode][fullPath] = {
+            content: getDefaultContent(extension),
+            type: 'file',
+            extension: extension,
+            isExpanded: false
+        };
+        
+        // Write to working directory
+        terminalManager.writeFileToWorkingDir(roomCode, fullPath, roomFiles[roomCode][fullPath].content);
+        roomPersistence.markDirty(roomCode, [fullPath]);
+        
+        io.to(roomCode).emit('files-update', roomFiles[roomCode]);
+        io.to(roomCode).emit('file-created', { fileName: fullPath });
+        
+        console.log(`File ${fullPath} created in room ${roomCode}`);
+    });
+
+    // Create Folder
+    socket.on('create-folder', ({ roomCode, folderName, parentFolder = '' }) => {
+        console.log(`Creating folder: ${folderName} in parent: ${parentFolder} for room: ${roomCode}`);
+        
+        if (rejectReadOnly(roomCode, 'create-folder')) return;
+        
+        if (!roomFiles[roomCode]) {
+            roomFiles[roomCode] = {};
+        }
+        
+        const fullPath = parentFolder ? `${parentFolder}/${folderName}` : folderName;
+        
+        if (roomFiles[roomCode][fullPath]) {
+            socket.emit('file-error', { message: 'Folder already exists' });
+            return;
+        }
+        
+        roomFiles[roomCode][fullPath] = {
+            type: 'folder',
+            isExpanded: false
+        };
+        
+        // Create folder in working directory
+        terminalManager.createFolderInWorkingDir(roomCode, fullPath);
+        roomPersistence.markDirty(roomCode, [fullPath]);
+        
+        io.to(roomCode).emit('files-update', roomFiles[roomCode]);
+        io.to(roomCode).emit('folder-created', { folderPath: fullPath });
+        
+        console.log(`Folder ${fullPath} created in room ${roomCode}`);
+    });
+
+    // Delete Item (File or Folder)
+    socket.on('delete-item', ({ roomCode, itemPath }) => {
+        console.log(`Deleting item: ${itemPath} in room: ${roomCode}`);
+        
+        if (rejectReadOnly(roomCode, 'delete-item')) return;
+        
+        if (!roomFiles[roomCode] || !roomFiles[roomCode][itemPath]) {
+            socket.emit('file-error', { message: 'Item not found' });
+            return;
+        }
+        
+        const itemType = roomFiles[roomCode][itemPath].type;
+        
+        // For files, check if it's the last file
+        if (itemType === 'file') {
+            const fileCount = Object.keys(roomFiles[roomCode]).filter(key => 
+                roomFiles[roomCode][key].type === 'file'
+            ).length;
+            if (fileCount <= 1) {
+                socket.emit('file-error', { message: 'Cannot delete the last file' });
+                return;
+            }
+        }
+        
+        // Get all items to delete (for folders, include all contents)
+        const itemsToDelete = [];
+        if (itemType === 'folder') {
+            // Delete folder and all its contents
+            itemsToDelete.push(...Object.keys(roomFiles[roomCode]).filter(key => 
+                key === itemPath || key.startsWith(itemPath + '/')
+            ));
+        } else {
+            itemsToDelete.push(itemPath);
+        }
+        
+        // Delete from working directory
+        const workDir = terminalManager.getWorkingDirectory(roomCode);
+        if (workDir) {
+            itemsToDelete.forEach(item => {
+                try {
+                    // Removes a link itself, never what it points to
+                    const fullPath = resolveInWorkspace(workDir, item);
+                    if (fs.existsSync(fullPath)) {
+                        const stats = fs.lstatSync(fullPath);
+                        if (stats.isDirectory()) {
+                            fs.rmSync(fullPath, { recursive: true, force: true });
+                        } else {
+                            fs.unlinkSync(fullPath);
+                        }
+                    }
+                } catch (error) {
+                    console.error(`Error deleting ${item} from working directory:`, error);
+                }
+            });
+        }
+        
+        // Delete from roomFiles
+        itemsToDelete.forEach(item => {
+            delete roomFiles[roomCode][item];
+        });
+        removeFileState(roomCode, itemsToDelete);
+        
+        // Handle active file switching if deleted file was active
+        if (itemType === 'file' || itemsToDelete.includes(userActiveFiles[socket.id])) {
+            const remainingFiles = Object.keys(roomFiles[roomCode]).filter(key => 
+                roomFiles[roomCode][key].type === 'file'
+            );
+            
+            if (remainingFiles.length > 0) {
+                const newActiveFile = remainingFiles[0];
+                
+                rooms[roomCode].forEach(userId => {
+                    if (itemsToDelete.includes(userActiveFiles[userId])) {
+                        setActiveFile(roomCode, userId, newActiveFile);
+                        io.to(userId).emit('file-content-update', fileContentPayload(roomCode, newActiveFile));
+                        io.to(userId).emit('active-file-changed', { fileName: newActiveFile });
+                    }
+                });
+            }
+        }
+        
+        io.to(roomCode).emit('files-update', roomFiles[roomCode]);
+        io.to(roomCode).emit('item-deleted', { itemPath, type: itemType });
+        
+        console.log(`${itemType} ${itemPath} deleted from room ${roomCode}`);
+    });
+
+    // Rename Item (File or Folder)
+    socket.on('rename-item', ({ roomCode, oldPath, newPath }) => {
+        console.log(`Renaming item: ${oldPath} to ${newPath} in room: ${roomCode}`);
+        
+        if (rejectReadOnly(roomCode, 'rename-item')) return;
+        
+        if (!roomFiles[roomCode] || !roomFiles[roomCode][oldPath]) {
+            socket.emit('file-error', { message: 'Item not found' });
+            return;
+        }
+        
+        if (roomFiles[roomCode][newPath]) {
+            socket.emit('file-error', { message: 'Item with new name already exists' });
+            return;
+        }
+        
+        const itemType = roomFiles[roomCode][oldPath].type;
+        
+        // Rename in working directory
+        const workDir = terminalManager.getWorkingDirectory(roomCode);
+        if (workDir) {
+            try {
+                const oldFullPath = resolveInWorkspace(workDir, oldPath);
+                const newFullPath = resolveInWorkspace(workDir, newPath);
+                if (fs.existsSync(oldFullPath)) {
+                    // Create parent directory if it doesn't exist
+                    const newDir = path.dirname(newFullPath);
+                    if (!fs.existsSync(newDir)) {
+                        fs.mkdirSync(newDir, { recursive: true });
+                    }
+                    fs.renameSync(oldFullPath, newFullPath);
+                }
+            } catch (error) {
+                console.error('Error renaming item in working directory:', error);
+                socket.emit('file-error', { message: 'Failed to rename item in working directory' });
+                return;
+            }
+        }
+        
+        if (itemType === 'folder') {
+            // For folders, we need to rename the folder and all its contents
+            const itemsToRename = Object.keys(roomFiles[roomCode]).filter(key => 
+                key === oldPath || key.startsWith(oldPath + '/')
+            ).sort();
+            
+            // Create new entries
+            itemsToRename.forEach(itemPath => {
+                const relativePath = itemPath === oldPath ? '' : itemPath.substring(oldPath.length + 1);
+                const newItemPath = relativePath ? `${newPath}/${relativePath}` : newPath;
+                
+                roomFiles[roomCode][newItemPath] = { ...roomFiles[roomCode][itemPath] };
+                
+                // Update active files for users
+                rooms[roomCode].forEach(userId => {
+                    if (userActiveFiles[userId] === itemPath) {
+                        setActiveFile(roomCode, userId, newItemPath);
+                        io.to(userId).emit('active-file-changed', { fileName: newItemPath });
+                    }
+                });
+            });
+            
+            // Delete old entries
+            itemsToRename.forEach(itemPath => {
+                delete roomFiles[roomCode][itemPath];
+            });
+        } else {
+            // For files, simple rename
+            roomFiles[roomCode][newPath] = { ...roomFiles[roomCode][oldPath] };
+            
+            // Update extension if changed
+            const newExtension = newPath.split('.').pop() || 'txt';
+            roomFiles[roomCode][newPath].extension = newExtension;
+            
+            delete roomFiles[roomCode][oldPath];
+            
+            // Update active files for users
+            rooms[roomCode].forEach(userId => {
+                if (userActiveFiles[userId] === oldPath) {
+                    setActiveFile(roomCode, userId, newPath);
+                    io.to(userId).emit('active-file-changed', { fileName: newPath });
+                }
+            });
+        }
+        
+        moveFileState(roomCode, oldPath, newPath);
+        
+        io.to(roomCode).emit('files-update', roomFiles[roomCode]);
+        io.to(roomCode).emit('item-renamed', { oldPath, newPath, type: itemType });
+        
+        console.log(`${itemType} ${oldPath} renamed to ${newPath} in room ${roomCode}`);
+    });
+
+    // Move Item (File or Folder)
+    socket.on('move-item', ({ roomCode, sourcePath, targetPath, itemType }) => {
+        console.log(`Moving ${itemType}: ${sourcePath} to ${targetPath} in room: ${roomCode}`);
+        
+        if (rejectReadOnly(roomCode, 'move-item')) return;
+        
+        if (!roomFiles[roomCode] || !roomFiles[roomCode][sourcePath]) {
+            socket.emit('file-error', { message: 'Source item not found' });
+            return;
+        }
+        
+        // Prevent moving a folder into itself
+        if (itemType === 'folder' && targetPath.startsWith(sourcePath + '/')) {
+            socket.emit('file-error', { message: 'Cannot move a folder into itself' });
+            return;
+        }
+        
+        if (roomFiles[roomCode][targetPath]) {
+            socket.emit('file-error', { message: 'Target location already exists' });
+            return;
+        }
+        
+        // Move in working directory
+        const workDir = terminalManager.getWorkingDirectory(roomCode);
+        if (workDir) {
+            try {
+                const sourceFullPath = resolveInWorkspace(workDir, sourcePath);
+                const targetFullPath = resolveInWorkspace(workDir, targetPath);
+                if (fs.existsSync(sourceFullPath)) {
+                    // Create parent directory if it doesn't exist
+                    const targetDir = path.dirname(targetFullPath);
+                    if (!fs.existsSync(targetDir)) {
+                        fs.mkdirSync(targetDir, { recursive: true });
+                    }
+                    fs.renameSync(sourceFullPath, targetFullPath);
+                }
+            } catch (error) {
+                console.error('Error moving item in working directory:', error);
+                socket.emit('file-error', { message: 'Failed to move item in working directory' });
+                return;
+            }
+        }
+        
+        if (itemType === 'folder') {
+            // For folders, move the folder and all its contents
+            const itemsToMove = Object.keys(roomFiles[roomCode]).filter(key => 
+                key === sourcePath || key.startsWith(sourcePath + '/')
+            ).sort();
+            
+            // Create new entries
+            itemsToMove.forEach(itemPath => {
+                const relativePath = itemPath === sourcePath ? '' : itemPath.substring(sourcePath.length + 1);
+                const newItemPath = relativePath ? `${targetPath}/${relativePath}` : targetPath;
+                
+                roomFiles[roomCode][newItemPath] = { ...roomFiles[roomCode][itemPath] };
+                
+                // Update active files for users
+                rooms[roomCode].forEach(userId => {
+                    if (userActiveFiles[userId] === itemPath) {
+                        setActiveFile(roomCode, userId, newItemPath);
+                        io.to(userId).emit('active-file-changed', { fileName: newItemPath });
+                    }
+                });
+            });
+            
+            // Delete old entries
+            itemsToMove.forEach(itemPath => {
+                delete roomFiles[roomCode][itemPath];
+            });
+        } else {
+            // For files, simple move
+            roomFiles[roomCode][targetPath] = { ...roomFiles[roomCode][sourcePath] };
+            delete roomFiles[roomCode][sourcePath];
+            
+            // Update active files for users
+            rooms[roomCode].forEach(userId => {
+                if (userActiveFiles[userId] === sourcePath) {
+                    setActiveFile(roomCode, userId, targetPath);
+                    io.to(userId).emit('active-file-changed', { fileName: targetPath });
+                }
+            });
+        }
+        
+        moveFileState(roomCode, sourcePath, targetPath);
+        
+        io.to(roomCode).emit('files-update', roomFiles[roomCode]);
+        io.to(roomCode).emit('item-moved', { sourcePath, targetPath, itemType });
+        
+        console.log(`${itemType} ${sourcePath} moved to ${targetPath} in room ${roomCode}`);
+    });
+
+    // Toggle Folder Expand/Collapse
+    socket.on('toggle-folder', ({ roomCode, folderPath }) => {
+        console.log(`Toggling folder: ${folderPath} in room: ${roomCode}`);
+        
+        if (!roomFiles[roomCode] || !roomFiles[roomCode][folderPath] || roomFiles[roomCode][folderPath].type !== 'folder') {
+            socket.emit('file-error', { message: 'Folder not found' });
+            return;
+        }
+        
+        const currentState = roomFiles[roomCode][folderPath].isExpanded || false;
+        roomFiles[roomCode][folderPath].isExpanded = !currentState;
+        roomPersistence.markDirty(roomCode, [folderPath]);
+        
+        io.to(roomCode).emit('files-update', roomFiles[roomCode]);
+        io.to(roomCode).emit('folder-toggled', { 
+            folderPath, 
+            isExpanded: roomFiles[roomCode][folderPath].isExpanded 
+        });
+        
+        console.log(`Folder ${folderPath} toggled to ${roomFiles[roomCode][folderPath].isExpanded ? 'expanded' : 'collapsed'} in room ${roomCode}`);
+    });
+
+    // Switch File (for file selection)
+    socket.on('switch-file', ({ roomCode, fileName }) => {
+        console.log(`User ${socket.id} switching to file: ${fileName} in room: ${roomCode}`);
+        
+        if (!roomFiles[roomCode] || !roomFiles[roomCode][fileName] || roomFiles[roomCode][fileName].type !== 'file') {
+            socket.emit('file-error', { message: 'File not found' });
+            return;
+        }
+        
+        // Opening another file than the leader's means the user stopped following
+        const leaderId = following[socket.id];
+        if (leaderId && userActiveFiles[leaderId] !== fileName) {
+            stopFollowing(socket.id, 'switched-file');
+        }
+        
+        setActiveFile(roomCode, socket.id, fileName);
+        
+        socket.emit('file-content-update', fileContentPayload(roomCode, fileName));
+        
+        socket.emit('active-file-changed', { fileName: fileName });
+        
+        // Start diagnostics for the file if a language server handles it
+        if (!roomFiles[roomCode][fileName].binary) {
+            languageServers.openDocument(roomCode, fileName, roomFiles[roomCode][fileName].content || '').catch(error => {
+                console.log(`Language server not available for ${fileName} in room ${roomCode}: ${error.message}`);
+            });
+        }
+        
+        console.log(`User ${socket.id} switched to file ${fileName} in room ${roomCode}`);
+    });
+
+    // Follow mode: mirror another user's active file and viewport
+    socket.on('follow-user', ({ roomCode, userId: leaderId }, callback = () => {}) => {
+        if (socket.roomCode !== roomCode || !rooms[roomCode]) {
+            return callback({ success: false, error: 'You are not in this room' });
+        }
+        if (leaderId === socket.id || !rooms[roomCode].includes(leaderId)) {
+            return callback({ success: false, error: 'User not found in this room' });
+        }
+        for (let id = following[leaderId]; id; id = following[id]) {
+            if (id === socket.id) {
+                return callback({ success: false, error: `${getUsername(leaderId)} is already following you` });
+            }
+        }
+
+        stopFollowing(socket.id, 'switched-leader');
+        following[socket.id] = leaderId;
+        notifyLeader(leaderId);
+
+        const fileName = userActiveFiles[leaderId];
+        if (fileName && roomFiles[roomCode][fileName] && userActiveFiles[socket.id] !== fileName) {
+            setActiveFile(roomCode, socket.id, fileName);
+            socket.emit('file-content-update', fileContentPayload(roomCode, fileName));
+            socket.emit('active-file-changed', { fileName, following: true });
+        }
+
+        const viewport = userViewports[leaderId];
+        if (viewport && viewport.fileName === fileName) {
+            socket.emit('follow-viewport', { userId: leaderId, ...viewport });
+        }
+
+        callback({ success: true, userId: leaderId, username: getUsername(leaderId), fileName });
+        console.log(`${socket.username} is following ${getUsername(leaderId)} in room ${roomCode}`);
+    });
+
+    socket.on('unfollow-user', ({ roomCode }, callback = () => {}) => {
+        stopFollowing(socket.id, 'unfollowed');
+        callback({ success: true });
+    });
+
+    // Where a user is scrolled to in their active file. Only relayed to followers.
+    socket.on('viewport-update', ({ roomCode, fileName, viewport }) => {
+        if (socket.roomCode !== roomCode || !viewport || typeof viewport !== 'object') return;
+
+        const clean = {};
+        ['firstLine', 'lastLine', 'scrollTop', 'scrollLeft'].forEach(key => {
+            if (Number.isFinite(viewport[key])) clean[key] = viewport[key];
+        });
+
+        userViewports[socket.id] = { fileName, viewport: clean };
+        relayViewport(socket.id, { userId: socket.id, fileName, viewport: clean });
+    });
+
+    // Completion, hover, go-to-definition etc. forwarded to the room's language server
+    socket.on('lsp-request', async ({ roomCode, fileName, method, params }, callback) => {
+        if (typeof callback !== 'function') return;
+        
+        if (socket.roomCode !== roomCode) {
+            return callback({ success: false, error: 'Not in this room' });
+        }
+        
+        const fileEntry = roomFiles[roomCode]?.[fileName];
+        if (!fileEntry || fileEntry.type !== 'file' || fileEntry.binary) {
+            return callback({ success: false, error: 'File not found' });
+        }
+        
+        try {
+            const result = await languageServers.request(roomCode, fileName, fileEntry.content || '', method, params);
+            callback({ success: true, result });
+        } catch (error) {
+            callback({ success: false, error: error.message });
+        }
+    });
+
+    // Current diagnostics of every open file, for clients that just joined
+    socket.on('get-lsp-diagnostics', ({ roomCode }, callback) => {
+        if (typeof callback !== 'function') return;
+        
+        if (socket.roomCode !== roomCode) {
+            return callback({ success: false, error: 'Not in this room' });
+        }
+        
+        callback({ success: true, diagnostics: languageServers.getDiagnostics(roomCode) });
+    });
+
+    // Real-time code change handler
+    socket.on('code-change', ({ roomCode, code, fileName }) => {
+        console.log(`Code change in room ${roomCode}, file ${fileName || 'current'} from user ${socket.id}`);
+        
+        const targetFileName = fileName || userActiveFiles[socket.id];
+        
+        if (!targetFileName) {
+            console.log('No active file found for user');
+            return;
+        }
+        
+        if (rejectReadOnly(roomCode, 'code-change')) {
+            // Put the viewer's editor back to the shared content
+            if (roomFiles[roomCode]?.[targetFileName]?.type === 'file') {
+                socket.emit('file-content-update', fileContentPayload(roomCode, targetFileName));
+            }
+            return;
+        }
+        
+        if (roomFiles[roomCode] && roomFiles[roomCode][targetFileName] && roomFiles[roomCode][targetFileName].type === 'file') {
+            // Whole-buffer updates are turned into an operation on the latest revision
+            const result = setFileContent(roomCode, targetFileName, code, { fromUser: socket.id });
+            if (!result.success) {
+                console.error(`Failed to apply code change to ${targetFileName}: ${result.error}`);
+                return;
+            }
+            
+            console.log(`Code updated and broadcasted for file ${targetFileName} in room ${roomCode}`);
+        } else {
+            console.log(`File ${targetFileName} not found in room ${roomCode}`);
+        }
+    });
+
+    // Subscribe to operation-based editing and fetch the state of a file.
+    // Clients pass the last revision they saw to replay what they missed.
+    socket.on('sync-document', ({ roomCode, fileName, revision }, callback) => {
+        if (socket.roomCode !== roomCode) {
+            return callback({ success: false, error: 'You are not in this room' });
+        }
+        const fileEntry = roomFiles[roomCode]?.[fileName];
+        if (!fileEntry || fileEntry.type !== 'file') {
+            return callback({ success: false, error: 'File not found' });
+        }
+        if (fileEntry.binary) {
+            return callback({ success: false, error: 'Binary files cannot be edited' });
+        }
+
+        socket.join(operationRoom(roomCode));
+
+        const doc = getFileDocument(roomCode, fileName);
+        if (Number.isInteger(revision) && revision >= doc.historyStart && revision <= doc.revision) {
+            return callback({
+                success: true,
+                fileName,
+                revision: doc.revision,
+                operations: doc.history.slice(revision - doc.historyStart).map(entry => entry.operation)
+            });
+        }
+
+        callback({
+            success: true,
+            fileName,
+            revision: doc.revision,
+            content: fileEntry.content
+        });
+    });
+
+    // Operation-based code change handler
+    socket.on('code-operation', ({ roomCode, fileName, revision, operation, clientId, seq }, callback) => {
+        const targetFileName = fileName || userActiveFiles[socket.id];
+
+        if (socket.roomCode !== roomCode || !canEdit(socket.role)) {
+            // Resync drops the local edit on the client
+            return callback({ success: false, error: 'You do not have permission to make changes in this room', resync: true });
+        }
+
+        socket.join(operationRoom(roomCode));
+
+        const result = commitOperation(roomCode, targetFileName, revision, operation, {
+            fromUser: socket.id,
+            clientId,
+            seq
+        });
+
+        if (!result.success) {
+            console.log(`Rejected operation on ${targetFileName} in room ${roomCode}: ${result.error}`);
+            return callback({ success: false, error: result.error, resync: !!result.resync });
+        }
+
+        callback({ success: true, revision: result.revision });
+    });
+
+    // Search across every file of the room (in a worker, see utils/fileSearch.js)
+    socket.on('search-files', async ({ roomCode, query, isRegex, caseSensitive, wholeWord, include, exclude }, callback) => {
+        if (socket.roomCode !== roomCode) {
+            return callback({ success: false, error: 'You are not in this room' });
+        }
+        if (!roomFiles[roomCode]) {
+            return callback({ success: false, error: 'Room not found' });
+        }
+
+        try {
+            const { results, totalMatches, truncated } = await searchFilesInWorker(roomFiles[roomCode], {
+                query, isRegex, caseSensitive, wholeWord, include, exclude
+            });
+            callback({ success: true, results, totalMatches, truncated });
+        } catch (error) {
+            callback({ success: false, error: error.message });
+        }
+    });
+
+    // Replace across files. All new contents are computed before anything is
+    // applied, so a bad (or too slow) pattern leaves every file untouched.
+    socket.on('replace-in-files', async ({ roomCode, query, isRegex, caseSensitive, wholeWord, include, exclude, replacement, fileNames }, callback) => {
+        if (rejectReadOnly(roomCode, 'replace-in-files', callback)) return;
+
+        const files = roomFiles[roomCode];
+        if (!files) {
+            return callback({ success: false, error: 'Room not found' });
+        }
+
+        // What the worker saw, to notice edits made while it ran
+        const contentsBefore = Object.fromEntries(
+            Object.entries(files).map(([fileName, entry]) => [fileName, entry.content])
+        );
+
+        let changes;
+        try {
+            changes = await computeReplacementsInWorker(files, {
+                query, isRegex, caseSensitive, wholeWord, include, exclude
+            }, replacement, fileNames);
+        } catch (error) {
+            return callback({ success: false, error: error.message });
+        }
+
+        const changedMeanwhile = changes.some(({ fileName }) =>
+            roomFiles[roomCode]?.[fileName]?.content !== contentsBefore[fileName]);
+        if (changedMeanwhile) {
+            return callback({ success: false, error: 'Files changed during the replace, please try again' });
+        }
+
+        // setFileContent writes through to the working directory and sends
+        // code-update / remote-operation to everyone, including the requester
+        changes.forEach(({ fileName, content }) => {
+            setFileContent(roomCode, fileName, content, { author: socket.id });
+        });
+
+        const replaced = changes.map(({ fileName, count }) => ({ fileName, count }));
+        const totalReplacements = changes.reduce((sum, { count }) => sum + count, 0);
+
+        if (changes.length > 0) {
+            io.to(roomCode).emit('files-update', roomFiles[roomCode]);
+            io.to(roomCode).emit('files-replaced', { files: replaced, totalReplacements, replacedBy: socket.username });
         }
+
+        callback({ success: true, files: replaced, totalReplacements });
+        console.log(`${totalReplacements} replacements in ${changes.length} files in room ${roomCode}`);
     });
 
-    // Handle client's initial file fetch requests
-    socket.on('get-files', ({ roomCode }, callback) => {
-        console.log(`Getting files for room: ${roomCode}`);
-        const files = roomFiles[roomCode] || {};
-        callback({ files });
+    // Version history: list, diff and restore revisions of a file
+    socket.on('list-revisions', async ({ roomCode, fileName, limit, before }, callback) => {
+        if (socket.roomCode !== roomCode) {
+            return callback({ success: false, error: 'You are not in this room' });
+        }
+        try {
+            const revisions = await revisionHistory.list(roomCode, fileName, { limit, before });
+            callback({ success: true, fileName, revisions });
+        } catch (error) {
+            console.error(`Error listing revisions of ${fileName}:`, error);
+            callback({ success: false, error: 'Failed to load revisions' });
+        }
     });
 
-    socket.on('get-file-content', ({ roomCode, fileName }, callback) => {
-        console.log(`Getting content for file: ${fileName} in room: ${roomCode}`);
+    socket.on('get-revision-diff', async ({ roomCode, fileName, fromRevision, toRevision }, callback) => {
+        if (socket.roomCode !== roomCode) {
+            return callback({ success: false, error: 'You are not in this room' });
+        }
         const fileEntry = roomFiles[roomCode]?.[fileName];
-        const content = fileEntry && fileEntry.type === 'file' ? fileEntry.content : '';
-        callback({ content });
+        try {
+            const diff = await revisionHistory.diff(
+                roomCode,
+                fileName,
+                fromRevision,
+                toRevision,
+                fileEntry?.type === 'file' ? fileEntry.content : ''
+            );
+            callback({ success: true, fileName, fromRevision, toRevision: toRevision || 'current', diff });
+        } catch (error) {
+            console.error(`Error diffing revisions of ${fileName}:`, error);
+            callback({ success: false, error: error.message });
+        }
     });
 
-    // Terminal events
-    socket.on('terminal-init', ({ roomCode }) => {
-        console.log(`Initializing terminal for user ${socket.id} in room: ${roomCode}`);
-        terminalManager.initializeTerminal(roomCode, socket.id);
-    });
+    socket.on('restore-revision', async ({ roomCode, fileName, revisionId }, callback) => {
+        if (rejectReadOnly(roomCode, 'restore-revision', callback)) return;
 
-    socket.on('terminal-input', ({ roomCode, input }) => {
-        terminalManager.handleInput(socket.id, input);
-    });
+        try {
+            const revision = await revisionHistory.get(roomCode, fileName, revisionId);
+            if (!revision) {
+                return callback({ success: false, error: 'Revision not found' });
+            }
 
-    socket.on('terminal-resize', ({ roomCode, cols, rows }) => {
-        terminalManager.handleResize(socket.id, cols, rows);
-    });
+            // Everyone, including the requester, gets the restored content
+            const result = setFileContent(roomCode, fileName, revision.content, {
+                author: socket.id,
+                source: 'restore'
+            });
+            if (!result.success) {
+                return callback({ success: false, error: result.error });
+            }
 
-    socket.on('execute-command', ({ roomCode, command }) => {
-        terminalManager.executeCommand(socket.id, command);
+            io.to(roomCode).emit('revision-restored', {
+                fileName,
+                revisionId,
+                revision: result.revision,
+                restoredBy: socket.username
+            });
+            callback({ success: true, revision: result.revision });
+            console.log(`${socket.username} restored ${fileName} to revision ${revisionId} in room ${roomCode}`);
+        } catch (error) {
+            console.error(`Error restoring revision of ${fileName}:`, error);
+            callback({ success: false, error: 'Failed to restore revision' });
+        }
     });
 
-    socket.on('run-file', ({ roomCode, fileName }) => {
-        if (roomFiles[roomCode] && roomFiles[roomCode][fileName] && roomFiles[roomCode][fileName].type === 'file') {
-            // Ensure file is written to working directory before running
-            terminalManager.writeFileToWorkingDir(roomCode, fileName, roomFiles[roomCode][fileName].content);
-            terminalManager.runFile(socket.id, fileName);
-        } else {
-            io.to(socket.id).emit('terminal-output', `\x1b[31mError: File ${fileName} not found\x1b[0m\r\n`);
+    // Review threads anchored to lines of a file. Anyone in the room can
+    // comment; resolving is up to editors and the thread's author.
+    const reviewAuthor = () => ({ userId: getUserId(socket.id), username: socket.username });
+
+    const handleReviewError = (action, callback) => (error) => {
+        if (error.statusCode) {
+            return callback({ success: false, error: error.message });
         }
-    });
+        console.error(`Error trying to ${action}:`, error);
+        callback({ success: false, error: `Failed to ${action}` });
+    };
 
-    socket.on('save-and-run', ({ roomCode, fileName }) => {
-        const targetFileName = fileName || userActiveFiles[socket.id];
-        if (targetFileName && roomFiles[roomCode] && roomFiles[roomCode][targetFileName] && roomFiles[roomCode][targetFileName].type === 'file') {
-            terminalManager.writeFileToWorkingDir(roomCode, targetFileName, roomFiles[roomCode][targetFileName].content);
-            terminalManager.runFile(socket.id, targetFileName);
+    socket.on('list-review-threads', ({ roomCode, fileName }, callback) => {
+        if (socket.roomCode !== roomCode) {
+            return callback({ success: false, error: 'You are not in this room' });
+        }
+        try {
+            callback({ success: true, threads: reviewThreads.list(roomCode, fileName) });
+        } catch (error) {
+            handleReviewError('load review threads', callback)(error);
         }
     });
 
-    socket.on('clear-terminal', ({ roomCode }) => {
-        terminalManager.executeCommand(socket.id, 'clear');
+    socket.on('create-review-thread', ({ roomCode, fileName, startLine, endLine, text }, callback) => {
+        if (socket.roomCode !== roomCode) {
+            return callback({ success: false, error: 'You are not in this room' });
+        }
+        const fileEntry = roomFiles[roomCode]?.[fileName];
+        if (!fileEntry || fileEntry.type !== 'file' || fileEntry.binary) {
+            return callback({ success: false, error: `File ${fileName} not found` });
+        }
+
+        reviewThreads.create(roomCode, fileName, fileEntry.content || '', { startLine, endLine, text }, reviewAuthor())
+            .then(thread => {
+                io.to(roomCode).emit('review-thread-updated', { thread });
+                callback({ success: true, thread });
+            })
+            .catch(handleReviewError('create review thread', callback));
     });
 
-    socket.on('kill-process', ({ roomCode }) => {
-        const ptyProcess = terminalManager.terminals.get(socket.id);
-        if (ptyProcess) {
-            ptyProcess.write('\x03'); // Send Ctrl+C
+    socket.on('reply-review-thread', ({ roomCode, threadId, text }, callback) => {
+        if (socket.roomCode !== roomCode) {
+            return callback({ success: false, error: 'You are not in this room' });
         }
-    });
 
-    socket.on('get-working-directory', ({ roomCode }, callback) => {
-        const workDir = terminalManager.getWorkingDirectory(roomCode);
-        callback({ workingDirectory: workDir });
+        reviewThreads.reply(roomCode, threadId, text, reviewAuthor())
+            .then(thread => {
+                io.to(roomCode).emit('review-thread-updated', { thread });
+                callback({ success: true, thread });
+            })
+            .catch(handleReviewError('reply to review thread', callback));
     });
 
-    // Enhanced File Management Events with Folder Support
-
-    // Create File
-    socket.on('create-file', ({ roomCode, fileName, parentFolder = '' }) => {
-        console.log(`Creating file: ${fileName} in folder: ${parentFolder} for room: ${roomCode}`);
-        
-        if (!roomFiles[roomCode]) {
-            roomFiles[roomCode] = {};
+    // resolved: false reopens the thread
+    socket.on('resolve-review-thread', ({ roomCode, threadId, resolved = true }, callback) => {
+        if (socket.roomCode !== roomCode) {
+            return callback({ success: false, error: 'You are not in this room' });
         }
-        
-        const fullPath = parentFolder ? `${parentFolder}/${fileName}` : fileName;
-        
-        if (roomFiles[roomCode][fullPath]) {
-            socket.emit('file-error', { message: 'File already exists' });
-            return;
+        try {
+            const thread = reviewThreads.findThread(roomCode, threadId);
+            if (!canEdit(socket.role) && thread.author?.userId !== getUserId(socket.id)) {
+                return callback({ success: false, error: 'Only editors and the thread author can resolve it' });
+            }
+        } catch (error) {
+            return handleReviewError('resolve review thread', callback)(error);
         }
-        
-        const extension = fileName.split('.').pop() || 'txt';
-        
-        roomFiles[roomCode][fullPath] = {
-            content: getDefaultContent(extension),
-            type: 'file',
-            extension: extension,
-            isExpanded: false
-        };
-        
-        // Write to working directory
-        terminalManager.writeFileToWorkingDir(roomCode, fullPath, roomFiles[roomCode][fullPath].content);
-        
-        io.to(roomCode).emit('files-update', roomFiles[roomCode]);
-        io.to(roomCode).emit('file-created', { fileName: fullPath });
-        
-        console.log(`File ${fullPath} created in room ${roomCode}`);
+
+        reviewThreads.setResolved(roomCode, threadId, resolved, reviewAuthor())
+            .then(thread => {
+                io.to(roomCode).emit('review-thread-updated', { thread });
+                callback({ success: true, thread });
+            })
+            .catch(handleReviewError('resolve review thread', callback));
     });
 
-    // Create Folder
-    socket.on('create-folder', ({ roomCode, folderName, parentFolder = '' }) => {
-        console.log(`Creating folder: ${folderName} in parent: ${parentFolder} for room: ${roomCode}`);
-        
-        if (!roomFiles[roomCode]) {
-            roomFiles[roomCode] = {};
+    // Git integration for the shared working directory. Every handler answers
+    // through the callback; changes to the repository are pushed to the room.
+    const handleGit = (eventName, action, { broadcast = false, mutates = false } = {}) => {
+        socket.on(eventName, async (payload = {}, callback) => {
+            const { roomCode } = payload;
+            if (mutates && rejectReadOnly(roomCode, eventName, callback)) return;
+            try {
+                const result = await action(roomCode, payload);
+                callback({ success: true, ...result });
+                if (broadcast) {
+                    gitManager.broadcastStatus(roomCode);
+                }
+            } catch (error) {
+                console.error(`${eventName} failed in room ${roomCode}:`, error.message);
+                callback({ success: false, error: error.message });
+            }
+        });
+    };
+
+    handleGit('git-init', async (roomCode) => {
+        await gitManager.init(roomCode);
+        return {};
+    }, { broadcast: true, mutates: true });
+
+    handleGit('git-clone-bundle', async (roomCode, { bundlePath }) => {
+        await gitManager.cloneBundle(roomCode, bundlePath);
+        return {};
+    }, { broadcast: true, mutates: true });
+
+    handleGit('git-status', async (roomCode) => ({
+        status: await gitManager.status(roomCode)
+    }));
+
+    handleGit('git-diff', async (roomCode, { paths, staged = true }) => ({
+        diff: await gitManager.diff(roomCode, { paths, staged })
+    }));
+
+    handleGit('git-stage', async (roomCode, { paths }) => {
+        await gitManager.stage(roomCode, paths);
+        return {};
+    }, { broadcast: true, mutates: true });
+
+    handleGit('git-unstage', async (roomCode, { paths }) => {
+        await gitManager.unstage(roomCode, paths);
+        return {};
+    }, { broadcast: true, mutates: true });
+
+    handleGit('git-commit', async (roomCode, { message }) => {
+        const username = socket.username || 'Anonymous';
+        const hash = await gitManager.commit(roomCode, message, {
+            name: username,
+            email: socket.user?.email || `${username.toLowerCase().replace(/[^a-z0-9._-]+/g, '.')}@users.codetogether.local`
+        });
+        io.to(roomCode).emit('git-committed', { hash, message, author: username });
+        return { hash };
+    }, { broadcast: true, mutates: true });
+
+    handleGit('git-branches', async (roomCode) => ({
+        branches: await gitManager.branches(roomCode)
+    }));
+
+    handleGit('git-switch-branch', async (roomCode, { branch, create = false }) => {
+        await gitManager.switchBranch(roomCode, branch, create);
+        io.to(roomCode).emit('git-branch-switched', { branch, switchedBy: socket.username });
+        return { branch };
+    }, { broadcast: true, mutates: true });
+
+    handleGit('git-log', async (roomCode, { limit, paths }) => ({
+        commits: await gitManager.log(roomCode, { limit, paths })
+    }));
+
+    // Members of the room with their roles and whether they are online
+    socket.on('get-room-members', async ({ roomCode }, callback) => {
+        if (socket.roomCode !== roomCode) {
+            return callback({ success: false, error: 'Not in this room' });
         }
-        
-        const fullPath = parentFolder ? `${parentFolder}/${folderName}` : folderName;
-        
-        if (roomFiles[roomCode][fullPath]) {
-            socket.emit('file-error', { message: 'Folder already exists' });
-            return;
+
+        try {
+            const room = await roomModel.findOne({ roomCode });
+            if (!room) {
+                return callback({ success: false, error: 'Room not found' });
+            }
+
+            const online = new Set((rooms[roomCode] || []).map(socketId => getUserId(socketId)));
+            callback({
+                success: true,
+                defaultRole: room.defaultRole,
+                members: room.members.map(({ userId, username, role }) => ({
+                    userId: userId.toString(),
+                    username,
+                    role,
+                    online: online.has(userId.toString())
+                }))
+            });
+        } catch (error) {
+            console.error(`Error loading members of room ${roomCode}:`, error);
+            callback({ success: false, error: 'Failed to load members' });
         }
-        
-        roomFiles[roomCode][fullPath] = {
-            type: 'folder',
-            isExpanded: false
-        };
-        
-        // Create folder in working directory
-        terminalManager.createFolderInWorkingDir(roomCode, fullPath);
-        
-        io.to(roomCode).emit('files-update', roomFiles[roomCode]);
-        io.to(roomCode).emit('folder-created', { folderPath: fullPath });
-        
-        console.log(`Folder ${fullPath} created in room ${roomCode}`);
     });
 
-    // Delete Item (File or Folder)
-    socket.on('delete-item', ({ roomCode, itemPath }) => {
-        console.log(`Deleting item: ${itemPath} in room: ${roomCode}`);
-        
-        if (!roomFiles[roomCode] || !roomFiles[roomCode][itemPath]) {
-            socket.emit('file-error', { message: 'Item not found' });
-            return;
+    const isRoomOwner = (roomCode) => socket.roomCode === roomCode && isOwner(socket.role);
+
+    // Owner only: make a member an editor or a viewer, effective immediately
+    socket.on('set-member-role', async ({ roomCode, userId, role }, callback) => {
+        if (!isRoomOwner(roomCode)) {
+            return callback({ success: false, error: 'Only the room owner can change roles' });
         }
-        
-        const itemType = roomFiles[roomCode][itemPath].type;
-        
-        // For files, check if it's the last file
-        if (itemType === 'file') {
-            const fileCount = Object.keys(roomFiles[roomCode]).filter(key => 
-                roomFiles[roomCode][key].type === 'file'
-            ).length;
-            if (fileCount <= 1) {
-                socket.emit('file-error', { message: 'Cannot delete the last file' });
-                return;
+        if (!ASSIGNABLE_ROLES.includes(role)) {
+            return callback({ success: false, error: `Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}` });
+        }
+
+        try {
+            const room = await roomModel.findOne({ roomCode });
+            const member = room?.members.find(m => m.userId.toString() === userId);
+            if (!member) {
+                return callback({ success: false, error: 'Member not found' });
+            }
+            if (isOwner(member.role)) {
+                return callback({ success: false, error: 'The owner role cannot be changed' });
             }
+
+            await roomModel.updateOne(
+                { roomCode, 'members.userId': member.userId },
+                { $set: { 'members.$.role': role } }
+            );
+
+            applyMemberRole(roomCode, userId, role);
+            io.to(roomCode).emit('member-role-changed', {
+                userId,
+                username: member.username,
+                role,
+                changedBy: socket.username
+            });
+
+            callback({ success: true, userId, role });
+            console.log(`${socket.username} made ${member.username} ${role} in room ${roomCode}`);
+        } catch (error) {
+            console.error(`Error changing role in room ${roomCode}:`, error);
+            callback({ success: false, error: 'Failed to change role' });
         }
-        
-        // Get all items to delete (for folders, include all contents)
-        const itemsToDelete = [];
-        if (itemType === 'folder') {
-            // Delete folder and all its contents
-            itemsToDelete.push(...Object.keys(roomFiles[roomCode]).filter(key => 
-                key === itemPath || key.startsWith(itemPath + '/')
-            ));
-        } else {
-            itemsToDelete.push(itemPath);
+    });
+
+    // Owner only: role for people joining the room for the first time
+    socket.on('set-default-role', async ({ roomCode, role }, callback) => {
+        if (!isRoomOwner(roomCode)) {
+            return callback({ success: false, error: 'Only the room owner can change roles' });
         }
-        
-        // Delete from working directory
-        const workDir = terminalManager.getWorkingDirectory(roomCode);
-        if (workDir) {
-            itemsToDelete.forEach(item => {
-                const fullPath = path.join(workDir, item);
-                try {
-                    if (fs.existsSync(fullPath)) {
-                        const stats = fs.statSync(fullPath);
-                        if (stats.isDirectory()) {
-                            fs.rmSync(fullPath, { recursive: true, force: true });
-                        } else {
-                            fs.unlinkSync(fullPath);
-                        }
-                    }
-                } catch (error) {
-                    console.error(`Error deleting ${item} from working directory:`, error);
-                }
-            });
+        if (!ASSIGNABLE_ROLES.includes(role)) {
+            return callback({ success: false, error: `Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}` });
         }
-        
-        // Delete from roomFiles
-        itemsToDelete.forEach(item => {
-            delete roomFiles[roomCode][item];
-        });
-        
-        // Handle active file switching if deleted file was active
-        if (itemType === 'file' || itemsToDelete.includes(userActiveFiles[socket.id])) {
-            const remainingFiles = Object.keys(roomFiles[roomCode]).filter(key => 
-                roomFiles[roomCode][key].type === 'file'
-            );
-            
-            if (remainingFiles.length > 0) {
-                const newActiveFile = remainingFiles[0];
-                
-                rooms[roomCode].forEach(userId => {
-                    if (itemsToDelete.includes(userActiveFiles[userId])) {
-                        userActiveFiles[userId] = newActiveFile;
-                        io.to(userId).emit('file-content-update', {
-                            fileName: newActiveFile,
-                            content: roomFiles[roomCode][newActiveFile].content
-                        });
-                        io.to(userId).emit('active-file-changed', { fileName: newActiveFile });
-                    }
-                });
-            }
+
+        try {
+            await roomModel.updateOne({ roomCode }, { $set: { defaultRole: role } });
+            io.to(roomCode).emit('default-role-changed', { role, changedBy: socket.username });
+            callback({ success: true, role });
+        } catch (error) {
+            console.error(`Error changing default role in room ${roomCode}:`, error);
+            callback({ success: false, error: 'Failed to change default role' });
         }
-        
-        io.to(roomCode).emit('files-update', roomFiles[roomCode]);
-        io.to(roomCode).emit('item-deleted', { itemPath, type: itemType });
-        
-        console.log(`${itemType} ${itemPath} deleted from room ${roomCode}`);
     });
 
-    // Rename Item (File or Folder)
-    socket.on('rename-item', ({ roomCode, oldPath, newPath }) => {
-        console.log(`Renaming item: ${oldPath} to ${newPath} in room: ${roomCode}`);
-        
-        if (!roomFiles[roomCode] || !roomFiles[roomCode][oldPath]) {
-            socket.emit('file-error', { message: 'Item not found' });
-            return;
+    // Moderation (owner only). Targets are connected sockets, by the socket id
+    // the room sees in user-joined and presence events.
+    const findTarget = (roomCode, socketId) => {
+        if (!rooms[roomCode]?.includes(socketId)) return null;
+        return io.sockets.sockets.get(socketId) || null;
+    };
+
+    socket.on('kick-user', ({ roomCode, socketId, reason = '' }, callback) => {
+        if (!isRoomOwner(roomCode)) {
+            return callback({ success: false, error: 'Only the room owner can remove people' });
         }
-        
-        if (roomFiles[roomCode][newPath]) {
-            socket.emit('file-error', { message: 'Item with new name already exists' });
-            return;
+
+        const target = findTarget(roomCode, socketId);
+        if (!target) {
+            return callback({ success: false, error: 'User is not in this room' });
+        }
+        if (target.id === socket.id || isOwner(target.role)) {
+            return callback({ success: false, error: 'The owner cannot be kicked' });
+        }
+
+        const kicked = socketsOfUser(roomCode, target);
+        kicked.forEach(kickedSocket => {
+            kickedSocket.emit('kicked', { roomCode, reason, by: socket.username });
+            forceLeaveRoom(kickedSocket, roomCode);
+        });
+        io.to(roomCode).emit('user-kicked', {
+            userIds: kicked.map(kickedSocket => kickedSocket.id),
+            username: target.username,
+            reason,
+            by: socket.username
+        });
+
+        callback({ success: true });
+        console.log(`${socket.username} kicked ${target.username} from room ${roomCode}`);
+    });
+
+    // Ban a connected user (their account, or their connection fingerprint for
+    // guests) or a member account by userId. Bans last as long as the room.
+    socket.on('ban-user', async ({ roomCode, socketId, userId, reason = '' }, callback) => {
+        if (!isRoomOwner(roomCode)) {
+            return callback({ success: false, error: 'Only the room owner can ban people' });
         }
-        
-        const itemType = roomFiles[roomCode][oldPath].type;
-        
-        // Rename in working directory
-        const workDir = terminalManager.getWorkingDirectory(roomCode);
-        if (workDir) {
-            const oldFullPath = path.join(workDir, oldPath);
-            const newFullPath = path.join(workDir, newPath);
-            try {
-                if (fs.existsSync(oldFullPath)) {
-                    // Create parent directory if it doesn't exist
-                    const newDir = path.dirname(newFullPath);
-                    if (!fs.existsSync(newDir)) {
-                        fs.mkdirSync(newDir, { recursive: true });
-                    }
-                    fs.renameSync(oldFullPath, newFullPath);
+
+        try {
+            const room = await roomModel.findOne({ roomCode });
+            if (!room) {
+                return callback({ success: false, error: 'Room not found' });
+            }
+
+            let ban;
+            let connected = [];
+            if (socketId) {
+                const target = findTarget(roomCode, socketId);
+                if (!target) {
+                    return callback({ success: false, error: 'User is not in this room' });
                 }
-            } catch (error) {
-                console.error('Error renaming item in working directory:', error);
-                socket.emit('file-error', { message: 'Failed to rename item in working directory' });
-                return;
+                ban = target.user
+                    ? { userId: target.user._id, username: target.username }
+                    : { fingerprint: target.fingerprint, username: target.username };
+                connected = socketsOfUser(roomCode, target);
+            } else {
+                const member = room.members.find(m => m.userId.toString() === userId);
+                if (!member) {
+                    return callback({ success: false, error: 'Member not found' });
+                }
+                ban = { userId: member.userId, username: member.username };
+                connected = (rooms[roomCode] || [])
+                    .map(id => io.sockets.sockets.get(id))
+                    .filter(memberSocket => memberSocket && memberSocket.userId === userId);
             }
-        }
-        
-        if (itemType === 'folder') {
-            // For folders, we need to rename the folder and all its contents
-            const itemsToRename = Object.keys(roomFiles[roomCode]).filter(key => 
-                key === oldPath || key.startsWith(oldPath + '/')
-            ).sort();
-            
-            // Create new entries
-            itemsToRename.forEach(itemPath => {
-                const relativePath = itemPath === oldPath ? '' : itemPath.substring(oldPath.length + 1);
-                const newItemPath = relativePath ? `${newPath}/${relativePath}` : newPath;
-                
-                roomFiles[roomCode][newItemPath] = { ...roomFiles[roomCode][itemPath] };
-                
-                // Update active files for users
-                rooms[roomCode].forEach(userId => {
-                    if (userActiveFiles[userId] === itemPath) {
-                        userActiveFiles[userId] = newItemPath;
-                        io.to(userId).emit('active-file-changed', { fileName: newItemPath });
-                    }
-                });
+
+            if ((ban.userId && ban.userId.equals(socket.user?._id)) || isOwner(room.roleOf(ban.userId))) {
+                return callback({ success: false, error: 'The owner cannot be banned' });
+            }
+
+            await roomModel.updateOne({ roomCode }, {
+                $push: { bans: { ...ban, reason, bannedBy: socket.username } },
+                // Banned accounts lose their membership (and with it password-free access)
+                ...(ban.userId ? { $pull: { members: { userId: ban.userId } } } : {})
             });
-            
-            // Delete old entries
-            itemsToRename.forEach(itemPath => {
-                delete roomFiles[roomCode][itemPath];
+
+            connected.forEach(bannedSocket => {
+                bannedSocket.emit('kicked', { roomCode, reason, by: socket.username, banned: true });
+                forceLeaveRoom(bannedSocket, roomCode);
             });
-        } else {
-            // For files, simple rename
-            roomFiles[roomCode][newPath] = { ...roomFiles[roomCode][oldPath] };
-            
-            // Update extension if changed
-            const newExtension = newPath.split('.').pop() || 'txt';
-            roomFiles[roomCode][newPath].extension = newExtension;
-            
-            delete roomFiles[roomCode][oldPath];
-            
-            // Update active files for users
-            rooms[roomCode].forEach(userId => {
-                if (userActiveFiles[userId] === oldPath) {
-                    userActiveFiles[userId] = newPath;
-                    io.to(userId).emit('active-file-changed', { fileName: newPath });
-                }
+            io.to(roomCode).emit('user-banned', {
+                userIds: connected.map(bannedSocket => bannedSocket.id),
+                username: ban.username,
+                reason,
+                by: socket.username
             });
+
+            callback({ success: true });
+            console.log(`${socket.username} banned ${ban.username} from room ${roomCode}`);
+        } catch (error) {
+            console.error(`Error banning user in room ${roomCode}:`, error);
+            callback({ success: false, error: 'Failed to ban user' });
         }
-        
-        io.to(roomCode).emit('files-update', roomFiles[roomCode]);
-        io.to(roomCode).emit('item-renamed', { oldPath, newPath, type: itemType });
-        
-        console.log(`${itemType} ${oldPath} renamed to ${newPath} in room ${roomCode}`);
     });
 
-    // Move Item (File or Folder)
-    socket.on('move-item', ({ roomCode, sourcePath, targetPath, itemType }) => {
-        console.log(`Moving ${itemType}: ${sourcePath} to ${targetPath} in room: ${roomCode}`);
-        
-        if (!roomFiles[roomCode] || !roomFiles[roomCode][sourcePath]) {
-            socket.emit('file-error', { message: 'Source item not found' });
-            return;
+    socket.on('get-room-bans', async ({ roomCode }, callback) => {
+        if (!isRoomOwner(roomCode)) {
+            return callback({ success: false, error: 'Only the room owner can see bans' });
         }
-        
-        // Prevent moving a folder into itself
-        if (itemType === 'folder' && targetPath.startsWith(sourcePath + '/')) {
-            socket.emit('file-error', { message: 'Cannot move a folder into itself' });
-            return;
+
+        try {
+            const room = await roomModel.findOne({ roomCode });
+            callback({
+                success: true,
+                bans: (room?.bans || []).map(ban => ({
+                    id: ban._id.toString(),
+                    username: ban.username,
+                    guest: !ban.userId,
+                    reason: ban.reason,
+                    bannedBy: ban.bannedBy,
+                    createdAt: ban.createdAt
+                }))
+            });
+        } catch (error) {
+            console.error(`Error loading bans of room ${roomCode}:`, error);
+            callback({ success: false, error: 'Failed to load bans' });
         }
-        
-        if (roomFiles[roomCode][targetPath]) {
-            socket.emit('file-error', { message: 'Target location already exists' });
-            return;
+    });
+
+    socket.on('unban-user', async ({ roomCode, banId }, callback) => {
+        if (!isRoomOwner(roomCode)) {
+            return callback({ success: false, error: 'Only the room owner can lift bans' });
         }
-        
-        // Move in working directory
-        const workDir = terminalManager.getWorkingDirectory(roomCode);
-        if (workDir) {
-            const sourceFullPath = path.join(workDir, sourcePath);
-            const targetFullPath = path.join(workDir, targetPath);
-            try {
-                if (fs.existsSync(sourceFullPath)) {
-                    // Create parent directory if it doesn't exist
-                    const targetDir = path.dirname(targetFullPath);
-                    if (!fs.existsSync(targetDir)) {
-                        fs.mkdirSync(targetDir, { recursive: true });
-                    }
-                    fs.renameSync(sourceFullPath, targetFullPath);
-                }
-            } catch (error) {
-                console.error('Error moving item in working directory:', error);
-                socket.emit('file-error', { message: 'Failed to move item in working directory' });
-                return;
+
+        try {
+            const room = await roomModel.findOne({ roomCode });
+            const ban = room?.bans.find(b => b._id.toString() === banId);
+            if (!ban) {
+                return callback({ success: false, error: 'Ban not found' });
             }
+
+            await roomModel.updateOne({ roomCode }, { $pull: { bans: { _id: ban._id } } });
+            io.to(roomCode).emit('user-unbanned', { username: ban.username, by: socket.username });
+
+            callback({ success: true });
+            console.log(`${socket.username} lifted the ban on ${ban.username} in room ${roomCode}`);
+        } catch (error) {
+            console.error(`Error lifting ban in room ${roomCode}:`, error);
+            callback({ success: false, error: 'Failed to lift ban' });
         }
-        
-        if (itemType === 'folder') {
-            // For folders, move the folder and all its contents
-            const itemsToMove = Object.keys(roomFiles[roomCode]).filter(key => 
-                key === sourcePath || key.startsWith(sourcePath + '/')
-            ).sort();
-            
-            // Create new entries
-            itemsToMove.forEach(itemPath => {
-                const relativePath = itemPath === sourcePath ? '' : itemPath.substring(sourcePath.length + 1);
-                const newItemPath = relativePath ? `${targetPath}/${relativePath}` : targetPath;
-                
-                roomFiles[roomCode][newItemPath] = { ...roomFiles[roomCode][itemPath] };
-                
-                // Update active files for users
-                rooms[roomCode].forEach(userId => {
-                    if (userActiveFiles[userId] === itemPath) {
-                        userActiveFiles[userId] = newItemPath;
-                        io.to(userId).emit('active-file-changed', { fileName: newItemPath });
-                    }
-                });
-            });
-            
-            // Delete old entries
-            itemsToMove.forEach(itemPath => {
-                delete roomFiles[roomCode][itemPath];
+    });
+
+    // Hand the room over to another signed-in member; the old owner becomes an editor
+    socket.on('transfer-ownership', async ({ roomCode, userId }, callback) => {
+        if (!isRoomOwner(roomCode)) {
+            return callback({ success: false, error: 'Only the room owner can transfer ownership' });
+        }
+
+        try {
+            const room = await roomModel.findOne({ roomCode });
+            const member = room?.members.find(m => m.userId.toString() === userId);
+            if (!member) {
+                return callback({ success: false, error: 'Member not found' });
+            }
+            if (member.userId.equals(socket.user._id)) {
+                return callback({ success: false, error: 'You already own this room' });
+            }
+
+            room.members.forEach(m => {
+                if (m.userId.equals(member.userId)) m.role = 'owner';
+                else if (isOwner(m.role)) m.role = 'editor';
             });
-        } else {
-            // For files, simple move
-            roomFiles[roomCode][targetPath] = { ...roomFiles[roomCode][sourcePath] };
-            delete roomFiles[roomCode][sourcePath];
-            
-            // Update active files for users
-            rooms[roomCode].forEach(userId => {
-                if (userActiveFiles[userId] === sourcePath) {
-                    userActiveFiles[userId] = targetPath;
-                    io.to(userId).emit('active-file-changed', { fileName: targetPath });
-                }
+            await room.save();
+
+            applyMemberRole(roomCode, socket.userId, 'editor');
+            applyMemberRole(roomCode, userId, 'owner');
+            io.to(roomCode).emit('ownership-transferred', {
+                userId,
+                username: member.username,
+                previousOwner: socket.username
             });
+
+            callback({ success: true });
+            console.log(`${socket.username} transferred room ${roomCode} to ${member.username}`);
+        } catch (error) {
+            console.error(`Error transferring ownership of room ${roomCode}:`, error);
+            callback({ success: false, error: 'Failed to transfer ownership' });
         }
-        
-        io.to(roomCode).emit('files-update', roomFiles[roomCode]);
-        io.to(roomCode).emit('item-moved', { sourcePath, targetPath, itemType });
-        
-        console.log(`${itemType} ${sourcePath} moved to ${targetPath} in room ${roomCode}`);
     });
 
-    // Toggle Folder Expand/Collapse
-    socket.on('toggle-folder', ({ roomCode, folderPath }) => {
-        console.log(`Toggling folder: ${folderPath} in room: ${roomCode}`);
-        
-        if (!roomFiles[roomCode] || !roomFiles[roomCode][folderPath] || roomFiles[roomCode][folderPath].type !== 'folder') {
-            socket.emit('file-error', { message: 'Folder not found' });
+    // Caret and selection updates, relayed to the room at most every few ms
+    socket.on('cursor-update', ({ roomCode, fileName, cursor, selections }) => {
+        if (socket.roomCode !== roomCode) {
             return;
         }
-        
-        const currentState = roomFiles[roomCode][folderPath].isExpanded || false;
-        roomFiles[roomCode][folderPath].isExpanded = !currentState;
-        
-        io.to(roomCode).emit('files-update', roomFiles[roomCode]);
-        io.to(roomCode).emit('folder-toggled', { 
-            folderPath, 
-            isExpanded: roomFiles[roomCode][folderPath].isExpanded 
-        });
-        
-        console.log(`Folder ${folderPath} toggled to ${roomFiles[roomCode][folderPath].isExpanded ? 'expanded' : 'collapsed'} in room ${roomCode}`);
+        presenceManager.updateCursor(socket.id, { fileName, cursor, selections });
     });
 
-    // Switch File (for file selection)
-    socket.on('switch-file', ({ roomCode, fileName }) => {
-        console.log(`User ${socket.id} switching to file: ${fileName} in room: ${roomCode}`);
-        
-        if (!roomFiles[roomCode] || !roomFiles[roomCode][fileName] || roomFiles[roomCode][fileName].type !== 'file') {
-            socket.emit('file-error', { message: 'File not found' });
-            return;
+    // Snapshot of who is in the room, which file they have open and where their caret is
+    socket.on('get-room-presence', ({ roomCode }, callback) => {
+        if (socket.roomCode !== roomCode) {
+            return callback({ success: false, error: 'You are not in this room' });
         }
-        
-        userActiveFiles[socket.id] = fileName;
-        
-        socket.emit('file-content-update', {
-            fileName: fileName,
-            content: roomFiles[roomCode][fileName].content
-        });
-        
-        socket.emit('active-file-changed', { fileName: fileName });
-        
-        console.log(`User ${socket.id} switched to file ${fileName} in room ${roomCode}`);
+        callback({ success: true, users: presenceManager.getRoomPresence(roomCode) });
     });
 
-    // Real-time code change handler
-    socket.on('code-change', ({ roomCode, code, fileName }) => {
-        console.log(`Code change in room ${roomCode}, file ${fileName || 'current'} from user ${socket.id}`);
-        
-        const targetFileName = fileName || userActiveFiles[socket.id];
-        
-        if (!targetFileName) {
-            console.log('No active file found for user');
-            return;
+    // Room chat. Messages are kept in MongoDB; @name pings the people named
+    // and a codeRef points at lines of a file.
+    socket.on('send-chat-message', async ({ roomCode, text, codeRef }, callback) => {
+        if (socket.roomCode !== roomCode) {
+            return callback({ success: false, error: 'You are not in this room' });
         }
-        
-        if (roomFiles[roomCode] && roomFiles[roomCode][targetFileName] && roomFiles[roomCode][targetFileName].type === 'file') {
-            // Update the file content immediately
-            roomFiles[roomCode][targetFileName].content = code;
-            
-            // Write to working directory for terminal use (async to avoid blocking)
-            setImmediate(() => {
-                terminalManager.writeFileToWorkingDir(roomCode, targetFileName, code);
-            });
-            
-            // Broadcast to ALL other users in the room immediately
-            socket.to(roomCode).emit('code-update', { 
-                code, 
-                fileName: targetFileName,
-                fromUser: socket.id 
-            });
-            
-            console.log(`Code updated and broadcasted for file ${targetFileName} in room ${roomCode}`);
-        } else {
-            console.log(`File ${targetFileName} not found in room ${roomCode}`);
+
+        try {
+            const saved = await postMessage(
+                roomCode,
+                { userId: getUserId(socket.id), username: socket.username },
+                { text, codeRef },
+                { files: roomFiles[roomCode], usernames: (rooms[roomCode] || []).map(getUsername) }
+            );
+            const message = describeMessage(saved);
+
+            io.to(roomCode).emit('chat-message', message);
+            socket.to(roomCode).emit('chat-typing', { userId: socket.id, username: socket.username, typing: false });
+
+            // Every connection of a mentioned user gets a notification
+            if (message.mentions.length > 0) {
+                (rooms[roomCode] || [])
+                    .filter(socketId => socketId !== socket.id && message.mentions.includes(getUsername(socketId)))
+                    .forEach(socketId => {
+                        io.to(socketId).emit('chat-mention', { roomCode, message, from: socket.username });
+                    });
+            }
+
+            callback({ success: true, message });
+        } catch (error) {
+            if (error.statusCode) {
+                return callback({ success: false, error: error.message });
+            }
+            console.error(`Error sending chat message in room ${roomCode}:`, error);
+            callback({ success: false, error: 'Failed to send message' });
+        }
+    });
+
+    // Older chat messages, newest first; pass the createdAt of the oldest one seen as `before`
+    socket.on('get-chat-history', async ({ roomCode, before, limit }, callback) => {
+        if (socket.roomCode !== roomCode) {
+            return callback({ success: false, error: 'You are not in this room' });
+        }
+
+        try {
+            const { messages, hasMore } = await listMessages(roomCode, { before, limit });
+            callback({ success: true, messages, hasMore });
+        } catch (error) {
+            if (error.statusCode) {
+                return callback({ success: false, error: error.message });
+            }
+            console.error(`Error loading chat history of room ${roomCode}:`, error);
+            callback({ success: false, error: 'Failed to load messages' });
         }
     });
 
+    socket.on('chat-typing', ({ roomCode, typing }) => {
+        if (socket.roomCode !== roomCode) return;
+        socket.to(roomCode).emit('chat-typing', { userId: socket.id, username: socket.username, typing: !!typing });
+    });
+
     // Handle disconnect
     socket.on('disconnect', () => {
         console.log('User disconnected:', socket.id);
 
+        // Keep the user's place, terminal and active file for a while in
+        // case they are only reconnecting
+        const roomCode = socket.roomCode;
+        if (socket.sessionId && rooms[roomCode]?.includes(socket.id) && sessionManager.detach(socket.sessionId)) {
+            socket.to(roomCode).emit('user-disconnected', {
+                username: socket.username,
+                userId: socket.id,
+                gracePeriodMs: sessionManager.gracePeriodMs
+            });
+            return;
+        }
+        sessionManager.end(socket.sessionId);
+        endFollowMode(socket.id);
+
         // Clean up user session
         userSession.delete(socket.id);
+        presenceManager.leave(socket.id);
         
-        // Clean up user's terminal
+        // Clean up user's terminal and runs
         terminalManager.cleanupUser(socket.id);
+        codeRunner.cancelUser(socket.id);
         
         // Remove user from rooms
         for (const roomCode in rooms) {
-            const userIndex = rooms[roomCode].indexOf(socket.id);
-            if (userIndex !== -1) {
-                rooms[roomCode].splice(userIndex, 1);
-                
-                // Notify other users in the room
-                socket.to(roomCode).emit('user-left', { 
-                    username: socket.username,
-                    userId: socket.id 
-                });
-                
-                // If room is empty, clean up the room
-                if (rooms[roomCode].length === 0) {
-                    terminalManager.cleanupRoom(roomCode);
-                    delete rooms[roomCode];
-                    delete roomFiles[roomCode];
-                    console.log(`Room ${roomCode} cleaned up - no users remaining`);
-                }
-            }
+            removeFromRoom(socket.id, socket.username, roomCode);
         }
         
         // Clean up user's active file
@@ -1192,7 +3407,9 @@ function getDefaultContent(extension) {
 
 const startServer = async () => {
     try {
+        sandbox.detectMode();
         await connectDB();
+        await roomLifecycle.start();
         const PORT = process.env.PORT || 5000;
         
         server.listen(PORT, '0.0.0.0', () => {
@@ -1223,20 +3440,28 @@ process.on('unhandledRejection', (reason, promise) => {
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
     console.log('SIGTERM received, shutting down gracefully');
+    await roomPersistence.flushAll();
     server.close(() => {
         console.log('Server closed');
         process.exit(0);
     });
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
     console.log('SIGINT received, shutting down gracefully');
+    await roomPersistence.flushAll();
     server.close(() => {
         console.log('Server closed');
         process.exit(0);
     });
 });
 
-startServer();
\ No newline at end of file
+// Tests (node --test) import the server without connecting to the database
+// or listening on PORT
+if (!process.env.NODE_TEST_CONTEXT) {
+    startServer();
+}
+
+export { server, terminalManager };
\ No newline at end of file
@@ -0,0 +1,113 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    searchFiles,
+    computeReplacements,
+    searchFilesInWorker,
+    computeReplacementsInWorker
+} from '../utils/fileSearch.js';
+
+const files = {
+    'src': { type: 'folder' },
+    'src/app.js': { type: 'file', content: 'const total = 1;\nconsole.log(total);\nconst subtotal = 2;\n' },
+    'src/util.py': { type: 'file', content: 'def total():\n    return TOTAL\n' },
+    'README.md': { type: 'file', content: 'Total of everything\n' },
+    'logo.png': { type: 'file', binary: true, size: 10 }
+};
+
+const matchedFiles = (result) => result.results.map(({ fileName }) => fileName);
+
+describe('searchFiles', () => {
+    test('finds plain text case-insensitively, with 1-based positions', () => {
+        const result = searchFiles(files, { query: 'total' });
+        assert.equal(result.totalMatches, 6);
+        assert.deepEqual(matchedFiles(result), ['README.md', 'src/app.js', 'src/util.py']);
+
+        const [first] = result.results.find(({ fileName }) => fileName === 'src/app.js').matches;
+        assert.deepEqual(first, { line: 1, column: 7, length: 5, matchText: 'total', lineText: 'const total = 1;' });
+    });
+
+    test('treats regex characters literally in plain searches', () => {
+        assert.equal(searchFiles(files, { query: 'log(' }).totalMatches, 1);
+        assert.equal(searchFiles(files, { query: 'l.g' }).totalMatches, 0);
+    });
+
+    test('honours case sensitivity', () => {
+        assert.equal(searchFiles(files, { query: 'TOTAL', caseSensitive: true }).totalMatches, 1);
+    });
+
+    test('searches with regular expressions, ^ and $ at line boundaries', () => {
+        const result = searchFiles(files, { query: '^const (\\w+)', isRegex: true, caseSensitive: true });
+        assert.equal(result.totalMatches, 2);
+        assert.deepEqual(result.results[0].matches.map(({ line }) => line), [1, 3]);
+    });
+
+    test('skips empty regex matches', () => {
+        assert.equal(searchFiles(files, { query: '^', isRegex: true }).totalMatches, 0);
+    });
+
+    test('matches whole words only', () => {
+        const result = searchFiles(files, { query: 'total', wholeWord: true, include: '*.js' });
+        assert.equal(result.totalMatches, 2);
+        assert.ok(result.results[0].matches.every(({ lineText }) => !lineText.includes('subtotal')));
+    });
+
+    test('filters paths with include and exclude globs', () => {
+        assert.deepEqual(matchedFiles(searchFiles(files, { query: 'total', include: '*.py, *.md' })), ['README.md', 'src/util.py']);
+        assert.deepEqual(matchedFiles(searchFiles(files, { query: 'total', include: ['src/**'], exclude: '*.py' })), ['src/app.js']);
+    });
+
+    test('rejects an empty query and invalid patterns', () => {
+        assert.throws(() => searchFiles(files, { query: '' }), /query is required/);
+        assert.throws(() => searchFiles(files, { query: '(', isRegex: true }), SyntaxError);
+    });
+});
+
+describe('computeReplacements', () => {
+    test('replaces plain text literally, $ signs included', () => {
+        const changes = computeReplacements(files, { query: 'total', caseSensitive: true }, '$1sum', ['src/app.js']);
+        assert.deepEqual(changes, [{
+            fileName: 'src/app.js',
+            content: 'const $1sum = 1;\nconsole.log($1sum);\nconst sub$1sum = 2;\n',
+            count: 3
+        }]);
+    });
+
+    test('expands groups in regex replacements', () => {
+        const [change] = computeReplacements(files, { query: 'const (\\w+) =', isRegex: true }, 'let $1 =', ['src/app.js']);
+        assert.equal(change.content, 'let total = 1;\nconsole.log(total);\nlet subtotal = 2;\n');
+        assert.equal(change.count, 2);
+    });
+
+    test('changes nothing when the pattern is bad', () => {
+        const before = JSON.stringify(files);
+        assert.throws(() => computeReplacements(files, { query: '[', isRegex: true }, 'x'), SyntaxError);
+        assert.throws(() => computeReplacements(files, { query: 'total' }), /Replacement text is required/);
+        assert.equal(JSON.stringify(files), before);
+    });
+});
+
+describe('in a worker', () => {
+    test('gives the same results as searching directly', async () => {
+        const options = { query: 'total', wholeWord: true };
+        assert.deepEqual(await searchFilesInWorker(files, options), searchFiles(files, options));
+        assert.deepEqual(
+            await computeReplacementsInWorker(files, options, 'sum'),
+            computeReplacements(files, options, 'sum')
+        );
+    });
+
+    test('passes errors on', async () => {
+        await assert.rejects(searchFilesInWorker(files, { query: '(', isRegex: true }), /Invalid regular expression/);
+    });
+
+    test('stops patterns that take too long', async () => {
+        const slowFiles = { 'slow.txt': { type: 'file', content: `${'a'.repeat(40)}!` } };
+        const startedAt = Date.now();
+        await assert.rejects(
+            computeReplacementsInWorker(slowFiles, { query: '(a+)+$', isRegex: true }, 'b', undefined, 300),
+            /took too long/
+        );
+        assert.ok(Date.now() - startedAt < 3000);
+    });
+});
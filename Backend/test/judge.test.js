@@ -0,0 +1,98 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import JudgeRun, { compareOutput } from '../utils/judge.js';
+
+// Stands in for the CodeRunner: answers every execute() from a list of
+// results, or through a function of the options it was called with
+function fakeRunner(results) {
+    const calls = [];
+    return {
+        calls,
+        execute: async (options) => {
+            calls.push(options);
+            const result = typeof results === 'function' ? results(options) : results.shift();
+            return { exitCode: 0, signal: null, timedOut: false, stdout: '', stderr: '', durationMs: 5, ...result };
+        }
+    };
+}
+
+const testCases = [
+    { id: 'case1', name: 'small', stdin: '1 2\n', expectedOutput: '3\n', timeLimitMs: 1000 },
+    { id: 'case2', name: 'large', stdin: '100 200\n', expectedOutput: '300\n', timeLimitMs: 2000 }
+];
+
+const judge = (codeRunner, { commands = { compile: null, run: 'node sum.js' }, settings = {} } = {}) =>
+    new JudgeRun({ codeRunner, roomCode: 'ROOM1', workDir: '/tmp/x', fileName: 'sum.js', commands, testCases, settings }).judge();
+
+describe('compareOutput', () => {
+    test('ignores trailing whitespace and blank lines by default', () => {
+        assert.ok(compareOutput('1 2  \n3\r\n\n\n', '1 2\n3'));
+        assert.ok(!compareOutput(' 1 2\n3', '1 2\n3'));
+        assert.ok(!compareOutput('1  2\n3', '1 2\n3'));
+    });
+
+    test('compares exactly, or word by word when asked to', () => {
+        assert.ok(!compareOutput('3\n', '3', { whitespace: 'exact' }));
+        assert.ok(compareOutput('3\r\n', '3\n', { whitespace: 'exact' }));
+        assert.ok(compareOutput('  1\n\n 2 3 ', '1 2\t3', { whitespace: 'all' }));
+        assert.ok(!compareOutput('1 2', '1 2 3', { whitespace: 'all' }));
+    });
+
+    test('accepts numbers within the float tolerance', () => {
+        assert.ok(compareOutput('3.1415927\n', '3.14159265', { floatTolerance: 1e-6 }));
+        assert.ok(!compareOutput('3.1416\n', '3.14159265', { floatTolerance: 1e-6 }));
+        // Relative for large numbers
+        assert.ok(compareOutput('1000000.5', '1000000', { floatTolerance: 1e-6 }));
+        assert.ok(compareOutput('x = 0.3000001', 'x = 0.3', { floatTolerance: 1e-6 }));
+        assert.ok(!compareOutput('y = 0.3', 'x = 0.3', { floatTolerance: 1e-6 }));
+        assert.ok(!compareOutput('0.3000001', '0.3'));
+    });
+});
+
+describe('JudgeRun', () => {
+    test('gives AC and WA by comparing output', async () => {
+        const codeRunner = fakeRunner([{ stdout: '3\n' }, { stdout: '299\n' }]);
+        const { results, summary } = await judge(codeRunner);
+        assert.deepEqual(results.map(({ verdict }) => verdict), ['AC', 'WA']);
+        assert.deepEqual(summary, { total: 2, passed: 1, verdicts: { AC: 1, WA: 1 } });
+        assert.deepEqual(codeRunner.calls.map(({ stdin, timeoutMs }) => [stdin, timeoutMs]), [['1 2\n', 1000], ['100 200\n', 2000]]);
+    });
+
+    test('gives TLE to runs that time out and RE to runs that fail', async () => {
+        const codeRunner = fakeRunner([{ timedOut: true, exitCode: null, signal: 'SIGTERM' }, { exitCode: 1, stderr: 'boom' }]);
+        const { results } = await judge(codeRunner);
+        assert.deepEqual(results.map(({ verdict }) => verdict), ['TLE', 'RE']);
+        assert.equal(results[1].stderr, 'boom');
+    });
+
+    test('gives every case CE when the build fails, without running any', async () => {
+        const codeRunner = fakeRunner([{ exitCode: 1, stderr: 'sum.c:1: error' }]);
+        const { results, compileOutput } = await judge(codeRunner, { commands: { compile: 'gcc sum.c', run: './sum' } });
+        assert.deepEqual(results.map(({ verdict }) => verdict), ['CE', 'CE']);
+        assert.equal(compileOutput, 'sum.c:1: error');
+        assert.equal(codeRunner.calls.length, 1);
+    });
+
+    test('gives CE when the build times out', async () => {
+        const codeRunner = fakeRunner([{ timedOut: true }]);
+        const { results } = await judge(codeRunner, { commands: { compile: 'gcc sum.c', run: './sum' } });
+        assert.deepEqual(results.map(({ verdict }) => verdict), ['CE', 'CE']);
+    });
+
+    test('stops when a run is cancelled', async () => {
+        const codeRunner = fakeRunner([{ stdout: '3\n' }, { cancelled: true }]);
+        const { results, cancelled } = await judge(codeRunner);
+        assert.equal(cancelled, true);
+        assert.equal(results.length, 1);
+    });
+
+    test('uses the room\'s comparison settings', async () => {
+        const codeRunner = fakeRunner(({ stdin }) => ({ stdout: stdin === '1 2\n' ? '3.0000001' : '300' }));
+        const { summary } = await judge(codeRunner, { settings: { floatTolerance: 1e-6 } });
+        assert.equal(summary.passed, 2);
+    });
+
+    test('needs test cases', () => {
+        assert.throws(() => new JudgeRun({ codeRunner: fakeRunner([]), commands: {}, testCases: [] }), /no test cases/);
+    });
+});
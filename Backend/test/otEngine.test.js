@@ -0,0 +1,108 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    isValidOperation,
+    baseLength,
+    targetLength,
+    isNoop,
+    applyOperation,
+    transform,
+    operationFromDiff,
+    transformIndex
+} from '../utils/otEngine.js';
+
+// Small seeded generator, so a failing case can be replayed
+function randomSource(seed) {
+    let state = seed;
+    return (max) => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state % max;
+    };
+}
+
+// A random edit of `doc`, made the way an editor would (through a diff)
+function randomOperation(doc, random) {
+    const start = random(doc.length + 1);
+    const end = start + random(doc.length - start + 1);
+    const inserted = 'xyz\n'.slice(0, random(5));
+    return operationFromDiff(doc, doc.slice(0, start) + inserted + doc.slice(end));
+}
+
+describe('otEngine', () => {
+    test('applies retains, inserts and deletes', () => {
+        assert.equal(applyOperation('hello world', [6, 'there ', -5]), 'hello there ');
+        assert.throws(() => applyOperation('short', [10]), /base length/);
+    });
+
+    test('knows the lengths of an operation', () => {
+        const operation = [2, 'abc', -3, 1];
+        assert.equal(baseLength(operation), 6);
+        assert.equal(targetLength(operation), 6);
+        assert.ok(isNoop([]));
+        assert.ok(isNoop([4]));
+        assert.ok(!isNoop(operation));
+    });
+
+    test('only accepts well formed operations', () => {
+        assert.ok(isValidOperation([1, 'a', -1]));
+        assert.ok(!isValidOperation([0]));
+        assert.ok(!isValidOperation(['']));
+        assert.ok(!isValidOperation([1.5]));
+        assert.ok(!isValidOperation('insert'));
+    });
+
+    test('builds the smallest operation from a diff', () => {
+        assert.deepEqual(operationFromDiff('hello world', 'hello brave world'), [6, 'brave ', 5]);
+        assert.deepEqual(operationFromDiff('abcdef', 'abef'), [2, -2, 2]);
+        assert.deepEqual(operationFromDiff('same', 'same'), [4]);
+    });
+
+    test('concurrent edits converge in either order', () => {
+        const random = randomSource(42);
+        for (let round = 0; round < 500; round++) {
+            const doc = 'the quick\nbrown fox\njumps'.slice(0, random(26));
+            const a = randomOperation(doc, random);
+            const b = randomOperation(doc, random);
+            const [aPrime, bPrime] = transform(a, b);
+
+            const viaA = applyOperation(applyOperation(doc, a), bPrime);
+            const viaB = applyOperation(applyOperation(doc, b), aPrime);
+            assert.equal(viaA, viaB, `round ${round}: ${JSON.stringify({ doc, a, b })}`);
+        }
+    });
+
+    test('a chain of edits converges against a concurrent one', () => {
+        // A client sends b while the server already applied a1 then a2
+        const doc = 'function add(a, b) {}';
+        const a1 = operationFromDiff(doc, 'function sum(a, b) {}');
+        const a2 = operationFromDiff('function sum(a, b) {}', 'function sum(a, b) { return a + b; }');
+        const b = operationFromDiff(doc, 'export function add(a, b) {}');
+
+        const [a1Prime, b1] = transform(a1, b);
+        const [a2Prime, b2] = transform(a2, b1);
+        const server = applyOperation(applyOperation(applyOperation(doc, a1), a2), b2);
+        const client = applyOperation(applyOperation(applyOperation(doc, b), a1Prime), a2Prime);
+
+        assert.equal(server, 'export function sum(a, b) { return a + b; }');
+        assert.equal(client, server);
+    });
+
+    test('puts the first operation\'s insert first when both insert at one place', () => {
+        const [aPrime, bPrime] = transform([1, 'A', 1], [1, 'B', 1]);
+        assert.equal(applyOperation(applyOperation('xy', [1, 'A', 1]), bPrime), 'xABy');
+        assert.equal(applyOperation(applyOperation('xy', [1, 'B', 1]), aPrime), 'xABy');
+    });
+
+    test('refuses operations on documents of different lengths', () => {
+        assert.throws(() => transform([3], [4]), /same base length/);
+    });
+
+    test('moves cursor offsets through an operation', () => {
+        const operation = [2, 'abc', -3, 1];
+        assert.equal(transformIndex(0, operation), 0);
+        assert.equal(transformIndex(2, operation), 5);
+        assert.equal(transformIndex(2, operation, true), 2);
+        assert.equal(transformIndex(4, operation), 5);
+        assert.equal(transformIndex(6, operation), 6);
+    });
+});
@@ -0,0 +1,75 @@
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fileRevisionModel from '../models/fileRevisionModel.js';
+import RevisionHistory from '../utils/revisionHistory.js';
+
+// Revisions go to a list instead of the database
+let saved;
+
+beforeEach(() => {
+    saved = [];
+    mock.method(fileRevisionModel, 'create', async (revision) => { saved.push(revision); });
+    mock.method(fileRevisionModel, 'exists', async () => saved.length > 0);
+    mock.method(fileRevisionModel, 'find', () => ({ select: () => ({ lean: async () => [] }) }));
+    mock.method(fileRevisionModel, 'deleteMany', async () => {});
+    mock.timers.enable({ apis: ['setTimeout'] });
+});
+
+afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+});
+
+// Let the saves started by a timer finish
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('revisionHistory', () => {
+    test('saves a burst of edits once the author pauses', async () => {
+        const history = new RevisionHistory();
+        history.record('ROOM1', 'a.js', 'one', 'one two');
+        history.record('ROOM1', 'a.js', 'one two', 'one two three');
+        assert.equal(saved.length, 0);
+
+        mock.timers.tick(10 * 1000);
+        await settle();
+        assert.deepEqual(saved.map(({ content, source }) => [content, source]), [
+            ['one', 'snapshot'],
+            ['one two three', 'editor']
+        ]);
+    });
+
+    test('keeps a burst whose file was renamed before the pause', async () => {
+        const history = new RevisionHistory();
+        history.record('ROOM1', 'src/a.js', 'old', 'new');
+        await history.move('ROOM1', 'src', 'lib');
+
+        mock.timers.tick(10 * 1000);
+        await settle();
+        assert.equal(history.pending.size, 0);
+        assert.deepEqual(saved.map(({ fileName }) => fileName), ['lib/a.js', 'lib/a.js']);
+    });
+
+    test('saves open bursts and forgets baselines when a room is unloaded', async () => {
+        const history = new RevisionHistory();
+        history.record('ROOM1', 'a.js', 'old', 'new');
+        history.record('ROOM2', 'b.js', 'old', 'new', { source: 'import' });
+        await history.unloadRoom('ROOM1');
+
+        assert.equal(history.pending.size, 0);
+        assert.ok(saved.some(({ roomCode, content }) => roomCode === 'ROOM1' && content === 'new'));
+        assert.deepEqual(Array.from(history.baselines), ['ROOM2/b.js']);
+    });
+
+    test('forgets bursts and baselines of a deleted room', async () => {
+        const history = new RevisionHistory();
+        history.record('ROOM1', 'a.js', 'old', 'new', { source: 'import' });
+        history.record('ROOM1', 'a.js', 'new', 'newer');
+        await history.deleteRoom('ROOM1');
+
+        mock.timers.tick(10 * 1000);
+        await settle();
+        assert.equal(history.pending.size, 0);
+        assert.equal(history.baselines.size, 0);
+        assert.ok(saved.every(({ content }) => content !== 'newer'));
+    });
+});
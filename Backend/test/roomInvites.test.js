@@ -0,0 +1,122 @@
+import mongoose from 'mongoose';
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import roomModel from '../models/roomModel.js';
+import roomInviteModel from '../models/roomInviteModel.js';
+import { createInvite, inviteRoomCode, listInvites, redeemInvite, revokeInvite } from '../utils/roomInvites.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'room-invites-test-secret';
+
+const owner = { _id: new mongoose.Types.ObjectId(), userName: 'owner' };
+const guest = null;
+
+// Just enough of a MongoDB filter for the queries roomInvites makes
+const valueOf = (invite, operand) => (typeof operand === 'string' && operand.startsWith('$') ? invite[operand.slice(1)] : operand);
+const matches = (invite, filter) => Object.entries(filter).every(([field, condition]) => {
+    if (field === '$or') return condition.some(alternative => matches(invite, alternative));
+    if (field === '$expr') return valueOf(invite, condition.$lt[0]) < valueOf(invite, condition.$lt[1]);
+    if (condition?.$gt) return invite[field] > condition.$gt;
+    if (condition === null) return invite[field] === null || invite[field] === undefined;
+    return String(invite[field]) === String(condition);
+});
+
+// Invites are kept in memory, the room always exists
+let invites;
+let room;
+
+beforeEach(() => {
+    invites = [];
+    room = new roomModel({ roomCode: 'ROOM1', password: 'hash', members: [{ userId: owner._id, username: 'owner', role: 'owner' }] });
+
+    mock.method(roomInviteModel, 'create', async (fields) => {
+        const invite = new roomInviteModel(fields);
+        invites.push(invite);
+        return invite;
+    });
+    mock.method(roomInviteModel, 'findOneAndUpdate', async (filter, update) => {
+        const invite = invites.find(candidate => matches(candidate, filter));
+        if (invite) invite.uses += update.$inc.uses;
+        return invite || null;
+    });
+    mock.method(roomInviteModel, 'deleteOne', async (filter) => {
+        const before = invites.length;
+        invites = invites.filter(invite => !matches(invite, filter));
+        return { deletedCount: before - invites.length };
+    });
+    mock.method(roomInviteModel, 'find', (filter) => ({
+        sort: () => ({ lean: async () => invites.filter(invite => matches(invite, filter)) })
+    }));
+    mock.method(roomModel, 'findOne', async ({ roomCode }) => (roomCode === room.roomCode ? room : null));
+    mock.method(roomModel, 'updateOne', async () => ({}));
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+describe('room invites', () => {
+    test('redeem to the room and role they were made for', async () => {
+        const { token } = await createInvite('ROOM1', { role: 'viewer' }, owner);
+        assert.equal(inviteRoomCode(token), 'ROOM1');
+        assert.deepEqual(await redeemInvite(token, guest), { roomCode: 'ROOM1', role: 'viewer' });
+    });
+
+    test('stop working once used up', async () => {
+        const { token, invite } = await createInvite('ROOM1', { maxUses: 2 }, owner);
+        await redeemInvite(token, guest);
+        await redeemInvite(token, guest);
+        await assert.rejects(redeemInvite(token, guest), { statusCode: 410, message: /used up/ });
+        assert.equal(invite.uses, 2);
+        assert.deepEqual(await listInvites('ROOM1'), []);
+    });
+
+    test('stop working once revoked', async () => {
+        const { token, invite } = await createInvite('ROOM1', {}, owner);
+        assert.equal(await revokeInvite('ROOM2', invite._id), false);
+        assert.equal(await revokeInvite('ROOM1', invite._id), true);
+        await assert.rejects(redeemInvite(token, guest), { statusCode: 410, message: /revoked/ });
+    });
+
+    test('stop working once expired', async () => {
+        const { token, invite } = await createInvite('ROOM1', { expiresIn: 60 }, owner);
+        // The invite document runs out even if the token has not yet
+        invite.expiresAt = new Date(Date.now() - 1000);
+        await assert.rejects(redeemInvite(token, guest), { statusCode: 410 });
+        assert.deepEqual(await listInvites('ROOM1'), []);
+
+        mock.timers.enable({ apis: ['Date'], now: Date.now() + 61 * 1000 });
+        try {
+            assert.throws(() => inviteRoomCode(token), { statusCode: 410, message: /expired/ });
+        } finally {
+            mock.timers.reset();
+        }
+    });
+
+    test('reject tokens that are not invites', async () => {
+        assert.throws(() => inviteRoomCode('not-a-token'), { statusCode: 410 });
+        await assert.rejects(redeemInvite('not-a-token', guest), { statusCode: 410 });
+    });
+
+    test('only accept sensible limits and roles', async () => {
+        await assert.rejects(createInvite('ROOM1', { expiresIn: 10 }, owner), /expiresIn/);
+        await assert.rejects(createInvite('ROOM1', { maxUses: 0 }, owner), /maxUses/);
+        await assert.rejects(createInvite('ROOM1', { role: 'owner' }, owner), /Role must be one of/);
+    });
+
+    test('add signed-in users as members, and never demote one', async () => {
+        const user = { _id: new mongoose.Types.ObjectId(), userName: 'ada' };
+        const { token } = await createInvite('ROOM1', { role: 'editor' }, owner);
+        assert.deepEqual(await redeemInvite(token, user), { roomCode: 'ROOM1', role: 'editor' });
+        assert.equal(roomModel.updateOne.mock.calls[0].arguments[1].$push.members.userId, user._id);
+
+        assert.deepEqual(await redeemInvite(token, owner), { roomCode: 'ROOM1', role: 'owner' });
+    });
+
+    test('turn banned users away', async () => {
+        const user = { _id: new mongoose.Types.ObjectId(), userName: 'mallory' };
+        room.bans.push({ userId: user._id, username: 'mallory' });
+        const { token, invite } = await createInvite('ROOM1', {}, owner);
+        await assert.rejects(redeemInvite(token, user), { statusCode: 403 });
+        assert.equal(invite.uses, 0);
+    });
+});
@@ -0,0 +1,110 @@
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import roomFileModel from '../models/roomFileModel.js';
+import RoomPersistence from '../utils/roomPersistence.js';
+
+// What reached the "database", in order
+let log;
+let roomFiles;
+let persistence;
+// Resolves the bulk write currently in flight
+let finishWrite;
+
+beforeEach(() => {
+    log = [];
+    roomFiles = {
+        ROOM1: {
+            'main.js': { type: 'file', content: 'console.log(1);', extension: 'js' },
+            'src': { type: 'folder', isExpanded: true }
+        }
+    };
+    persistence = new RoomPersistence(roomFiles, () => null);
+
+    mock.method(roomFileModel, 'bulkWrite', (operations) => new Promise(resolve => {
+        finishWrite = () => {
+            log.push(['bulkWrite', operations]);
+            resolve();
+        };
+    }));
+    mock.method(roomFileModel, 'deleteMany', async (filter) => {
+        log.push(['deleteMany', filter]);
+    });
+    mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+});
+
+afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+});
+
+const operationsOf = (entry) => entry[1].map(operation => {
+    const [kind, { filter }] = Object.entries(operation)[0];
+    return [kind, filter.path];
+});
+
+describe('roomPersistence', () => {
+    test('saves a second after the last edit', () => {
+        persistence.markDirty('ROOM1', ['main.js']);
+        mock.timers.tick(900);
+        persistence.markDirty('ROOM1', ['src']);
+        mock.timers.tick(900);
+        assert.equal(roomFileModel.bulkWrite.mock.callCount(), 0);
+
+        mock.timers.tick(100);
+        assert.equal(roomFileModel.bulkWrite.mock.callCount(), 1);
+        const [operations] = roomFileModel.bulkWrite.mock.calls[0].arguments;
+        assert.deepEqual(operations.map(operation => operation.updateOne.filter.path), ['main.js', 'src']);
+    });
+
+    test('saves at least every five seconds while edits keep coming', () => {
+        for (let elapsed = 0; elapsed < 5000; elapsed += 500) {
+            persistence.markDirty('ROOM1', ['main.js']);
+            mock.timers.tick(500);
+        }
+        assert.equal(roomFileModel.bulkWrite.mock.callCount(), 1);
+    });
+
+    test('upserts files that exist and deletes the ones that are gone', async () => {
+        persistence.markDirty('ROOM1', ['main.js', 'old.js']);
+        const flushed = persistence.flush('ROOM1');
+        finishWrite();
+        await flushed;
+
+        assert.deepEqual(operationsOf(log[0]), [['updateOne', 'main.js'], ['deleteOne', 'old.js']]);
+        assert.equal(log[0][1][0].updateOne.update.$set.content, 'console.log(1);');
+    });
+
+    test('a flush still saves when the room is unloaded right after it', async () => {
+        persistence.markDirty('ROOM1', ['main.js']);
+        const flushed = persistence.flush('ROOM1');
+        delete roomFiles.ROOM1;
+        finishWrite();
+        await flushed;
+
+        assert.deepEqual(operationsOf(log[0]), [['updateOne', 'main.js']]);
+    });
+
+    test('deleting a room waits for saves in flight', async () => {
+        persistence.markDirty('ROOM1', ['main.js']);
+        persistence.flush('ROOM1');
+        const deleted = persistence.deleteRoom('ROOM1');
+
+        // Let deleteRoom get as far as it can before the save lands
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepEqual(log, []);
+
+        finishWrite();
+        await deleted;
+        assert.deepEqual(log.map(([operation]) => operation), ['bulkWrite', 'deleteMany']);
+        assert.equal(persistence.writing.size, 0);
+    });
+
+    test('deleting a room drops its pending saves', async () => {
+        persistence.markDirty('ROOM1', ['main.js']);
+        await persistence.deleteRoom('ROOM1');
+        mock.timers.tick(5000);
+
+        assert.equal(roomFileModel.bulkWrite.mock.callCount(), 0);
+        assert.deepEqual(log, [['deleteMany', { roomCode: 'ROOM1' }]]);
+    });
+});
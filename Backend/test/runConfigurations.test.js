@@ -0,0 +1,81 @@
+import { spawnSync } from 'child_process';
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeRunConfigurations, resolveRun, runCommandLine } from '../utils/runConfigurations.js';
+
+// Run a resolved command line in bash and get the words it printed, one per line
+const words = (commandLine) => {
+    const { status, stdout } = spawnSync('bash', ['-c', commandLine], { encoding: 'utf8', timeout: 5000 });
+    assert.equal(status, 0);
+    return stdout.split('\n').slice(0, -1);
+};
+
+const echo = (overrides = {}) => normalizeRunConfigurations([{
+    name: 'Echo',
+    match: ['*.txt'],
+    command: "printf '%s\\n' {file}",
+    ...overrides
+}]);
+
+describe('resolveRun', () => {
+    test('falls back to the built-in table by extension', () => {
+        assert.deepEqual(resolveRun('src/main.PY'), { configuration: null, compile: null, run: "python3 'src/main.PY'" });
+        assert.deepEqual(resolveRun('Main.java'), {
+            configuration: null,
+            compile: "javac 'Main.java'",
+            run: "java -cp '.' 'Main'"
+        });
+        assert.throws(() => resolveRun('notes.ps1'), /Unsupported file type: \.ps1/);
+    });
+
+    test('keeps file names with spaces and quotes as one word', () => {
+        const fileName = "my notes/it's done.txt";
+        assert.deepEqual(words(resolveRun(fileName, echo()).run), [fileName]);
+    });
+
+    test('never runs $(...) or backticks in file names', () => {
+        const fileName = '$(touch /tmp/pwned)`id`.txt';
+        assert.deepEqual(words(resolveRun(fileName, echo()).run), [fileName]);
+    });
+
+    test('adds arguments at the end, quoted', () => {
+        const resolved = resolveRun('a.txt', echo({ args: ['--fixed'] }), { args: ['two words', '$HOME'] });
+        assert.deepEqual(words(resolved.run), ['a.txt', '--fixed', 'two words', '$HOME']);
+    });
+
+    test('puts arguments where {args} is', () => {
+        const configurations = echo({ command: "printf '%s\\n' {args} {file}" });
+        const resolved = resolveRun('a.txt', configurations, { args: ['first'] });
+        assert.deepEqual(words(resolved.run), ['first', 'a.txt']);
+    });
+
+    test('runs in the working directory with the configured environment', () => {
+        const configurations = echo({
+            command: "printf '%s\\n' {file} {dir} {stem} {ext} \"$GREETING\"",
+            workingDirectory: 'src',
+            env: { GREETING: 'hi $(there)' }
+        });
+        const { run } = resolveRun('src/lib/a b.txt', configurations);
+        assert.ok(run.startsWith("export GREETING='hi $(there)' && cd 'src' && "));
+        assert.deepEqual(words(run.replace("cd 'src' && ", '')), ['lib/a b.txt', 'lib', 'a b', '.txt', 'hi $(there)']);
+    });
+
+    test('uses a configuration by name, and only if it exists', () => {
+        assert.equal(resolveRun('main.py', echo(), { configuration: 'Echo' }).configuration, 'Echo');
+        assert.throws(() => resolveRun('main.py', echo(), { configuration: 'Missing' }), /not found/);
+    });
+
+    test('joins the build and run steps', () => {
+        assert.equal(runCommandLine(resolveRun('a.c')), "gcc 'a.c' -o 'a' && ./'a'");
+        assert.equal(runCommandLine(resolveRun('a.js')), "node 'a.js'");
+    });
+});
+
+describe('normalizeRunConfigurations', () => {
+    test('rejects working directories outside the room and bad variables', () => {
+        assert.throws(() => echo({ workingDirectory: '../other' }), /must be inside the room/);
+        assert.throws(() => echo({ workingDirectory: '/etc' }), /must be inside the room/);
+        assert.throws(() => echo({ env: { 'BAD-NAME': 'x' } }), /Invalid environment variable/);
+        assert.throws(() => normalizeRunConfigurations([{ name: 'A', command: 'x' }, { name: 'A', command: 'y' }]), /two run configurations/);
+    });
+});
@@ -0,0 +1,199 @@
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import Sandbox from '../utils/sandbox.js';
+
+// Exercises the real isolation (bwrap, or uid when run as root), so these
+// are skipped on hosts that have neither
+
+const sandbox = new Sandbox({
+    mode: 'auto',
+    cpuSeconds: 1,
+    memoryMb: 256,
+    maxProcesses: 32,
+    maxFileMb: 1,
+    runTimeoutSeconds: 5,
+    uidBase: Number(process.env.SANDBOX_UID_BASE) || 100000,
+    pidsCgroup: process.env.SANDBOX_PIDS_CGROUP || null
+});
+
+let unavailable = false;
+try {
+    sandbox.detectMode();
+} catch (error) {
+    unavailable = error.message;
+}
+
+const hasCommand = (command) => spawnSync('sh', ['-c', `command -v ${command}`], { stdio: 'ignore' }).status === 0;
+
+// Working directories sit where the server puts them, next to real rooms
+const roomCodes = [`SBXTEST${process.pid}A`, `SBXTEST${process.pid}B`];
+const workDirs = roomCodes.map(roomCode => path.join(os.tmpdir(), `compiler_${roomCode}`));
+
+// Run a shell script in a room's sandbox, like a run of a room file
+function run(script, { room = 0, timeoutSeconds = 10 } = {}) {
+    const { file, args, cwd, env } = sandbox.command(roomCodes[room], workDirs[room], 'bash', ['-c', script], { timeoutSeconds });
+    const startedAt = Date.now();
+    const result = spawnSync(file, args, { cwd, env, encoding: 'utf8', timeout: (timeoutSeconds + 10) * 1000 });
+    return { ...result, durationMs: Date.now() - startedAt };
+}
+
+describe('sandbox', { skip: unavailable }, () => {
+    before(() => {
+        workDirs.forEach((workDir, index) => {
+            fs.mkdirSync(workDir, { recursive: true });
+            fs.writeFileSync(path.join(workDir, 'secret.txt'), `secret of ${roomCodes[index]}`);
+            sandbox.prepareWorkingDirectory(roomCodes[index], workDir);
+        });
+    });
+
+    after(() => {
+        workDirs.forEach((workDir, index) => {
+            fs.rmSync(workDir, { recursive: true, force: true });
+            sandbox.release(roomCodes[index]);
+        });
+    });
+
+    test('rooms get their own users', () => {
+        if (sandbox.mode !== 'uid') return;
+        assert.notEqual(sandbox.uidOf(roomCodes[0], workDirs[0]), sandbox.uidOf(roomCodes[1], workDirs[1]));
+    });
+
+    test('passes none of the server environment on', () => {
+        process.env.SANDBOX_TEST_SECRET = 'do-not-leak';
+        try {
+            const { status, stdout } = run('env');
+            assert.equal(status, 0);
+            assert.doesNotMatch(stdout, /SANDBOX_TEST_SECRET|do-not-leak/);
+            const names = stdout.trim().split('\n').map(line => line.split('=')[0]);
+            ['PATH', 'HOME', 'LANG'].forEach(name => assert.ok(names.includes(name), `${name} is set`));
+        } finally {
+            delete process.env.SANDBOX_TEST_SECRET;
+        }
+    });
+
+    test('cannot read the server\'s env files', () => {
+        // The server directory may sit in a private home, so a world-readable
+        // stand-in makes sure it is the sandbox keeping the file out of reach
+        const serverDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sandboxtest-server-'));
+        const envFile = path.join(serverDir, '.env.production.local');
+        fs.chmodSync(serverDir, 0o755);
+        fs.writeFileSync(envFile, 'JWT_SECRET=do-not-leak\n', { mode: 0o644 });
+        sandbox.hiddenPaths.push(serverDir);
+        try {
+            const { status, stdout } = run(`cat ${envFile}`);
+            assert.notEqual(status, 0);
+            assert.doesNotMatch(stdout, /do-not-leak/);
+        } finally {
+            sandbox.hiddenPaths.pop();
+            fs.rmSync(serverDir, { recursive: true, force: true });
+        }
+    });
+
+    test('stops programs at the CPU limit', () => {
+        const { status, signal, durationMs } = run('while :; do :; done');
+        assert.ok(status !== 0 || signal, 'the loop was stopped');
+        assert.notEqual(status, 124, 'stopped by the CPU limit, not the timeout');
+        assert.ok(durationMs < 9000);
+    });
+
+    test('stops programs at the memory limit', { skip: !hasCommand('python3') && 'needs python3' }, () => {
+        const { status, stderr } = run('python3 -c "data = bytearray(512 * 1024 * 1024)"');
+        assert.notEqual(status, 0);
+        assert.match(stderr, /MemoryError/);
+    });
+
+    test('limits how many processes a room can have', { skip: !hasCommand('python3') && 'needs python3' }, () => {
+        const { stdout } = run([
+            'python3 -c "',
+            'import os, time',
+            'for count in range(100):',
+            '    try:',
+            '        if os.fork() == 0:',
+            '            time.sleep(2)',
+            '            os._exit(0)',
+            '    except OSError:',
+            '        print(count)',
+            '        break',
+            '"'
+        ].join('\n'));
+        const forked = Number(stdout.trim());
+        assert.ok(stdout.trim() !== '' && forked < 32, `forking failed after ${stdout.trim() || 'all'} processes`);
+    });
+
+    test('limits the size of files', () => {
+        const { status } = run('head -c 4M /dev/zero > big.bin');
+        assert.notEqual(status, 0);
+        assert.ok(fs.statSync(path.join(workDirs[0], 'big.bin')).size <= 1024 * 1024);
+    });
+
+    test('ends runs at the wall-clock timeout', () => {
+        const { status, durationMs } = run('sleep 30', { timeoutSeconds: 1 });
+        assert.equal(status, 124);
+        assert.ok(durationMs < 8000);
+    });
+
+    test('has no network by default', () => {
+        // Interfaces of the process's own network namespace
+        const { status, stdout } = run("tail -n +3 /proc/net/dev | cut -d: -f1 | tr -d ' '");
+        assert.equal(status, 0);
+        assert.deepEqual(stdout.trim().split('\n'), ['lo']);
+    });
+
+    test('cannot reach other rooms\' working directories', () => {
+        // Under bwrap the directory does not exist at all, under uid it
+        // belongs to another user
+        const read = run(`cat ${workDirs[1]}/secret.txt`);
+        assert.notEqual(read.status, 0);
+        assert.doesNotMatch(read.stdout, /secret of/);
+
+        const write = run(`echo hacked > ${workDirs[1]}/secret.txt`);
+        assert.notEqual(write.status, 0);
+        assert.equal(fs.readFileSync(path.join(workDirs[1], 'secret.txt'), 'utf8'), `secret of ${roomCodes[1]}`);
+
+        const list = run(`ls ${workDirs[1]}`);
+        assert.notEqual(list.status, 0);
+    });
+});
+
+describe('room terminals', { skip: unavailable }, () => {
+    let server;
+    let terminalManager;
+    let port;
+
+    before(async () => {
+        // The server never connects under node --test, but the database
+        // module wants a URI
+        process.env.DB_URL = process.env.DB_URL || 'mongodb://127.0.0.1:1/test';
+        ({ server, terminalManager } = await import('../server.js'));
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        port = server.address().port;
+        fs.mkdirSync(workDirs[1], { recursive: true });
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(workDirs[1], { recursive: true, force: true });
+    });
+
+    test('a socket cannot open a terminal in a room it is not in', async () => {
+        const { io } = await import('socket.io-client');
+        const socket = io(`http://127.0.0.1:${port}`, { transports: ['websocket'], reconnection: false });
+        try {
+            await new Promise((resolve, reject) => {
+                socket.on('connect', resolve);
+                socket.on('connect_error', reject);
+            });
+
+            const denied = new Promise(resolve => socket.on('permission-denied', resolve));
+            socket.emit('terminal-init', { roomCode: roomCodes[1] });
+            assert.equal((await denied).action, 'terminal-init');
+            assert.equal(terminalManager.terminals.has(socket.id), false);
+        } finally {
+            socket.disconnect();
+        }
+    });
+});
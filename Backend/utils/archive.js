@@ -0,0 +1,206 @@
+import path from 'path';
+import zlib from 'zlib';
+import { Readable } from 'stream';
+import yauzl from 'yauzl';
+import tar from 'tar-stream';
+
+// Limits for uploaded archives
+export const MAX_ARCHIVE_BYTES = 20 * 1024 * 1024;
+export const MAX_ENTRY_BYTES = 5 * 1024 * 1024;
+export const MAX_TOTAL_BYTES = 50 * 1024 * 1024;
+export const MAX_ENTRIES = 2000;
+
+// Entries that never belong in a room's file tree
+const IGNORED_SEGMENTS = new Set(['__MACOSX', '.git', '.DS_Store']);
+
+const archiveError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+// Turn an archive entry name into a safe relative room path.
+// Returns null for entries that should be skipped, throws on traversal.
+export function normalizeEntryPath(entryName) {
+    const unixName = entryName.replace(/\\/g, '/');
+
+    if (unixName.startsWith('/') || /^[a-zA-Z]:/.test(unixName)) {
+        throw archiveError(`Absolute path not allowed in archive: ${entryName}`);
+    }
+
+    const segments = unixName.split('/').filter(segment => segment && segment !== '.');
+    if (segments.includes('..')) {
+        throw archiveError(`Path traversal not allowed in archive: ${entryName}`);
+    }
+    if (segments.length === 0 || segments.some(segment => IGNORED_SEGMENTS.has(segment))) {
+        return null;
+    }
+
+    return path.posix.join(...segments);
+}
+
+// Keep running totals and reject archives that are too large
+function createBudget() {
+    let entries = 0;
+    let totalBytes = 0;
+
+    return (entryName, size) => {
+        entries++;
+        totalBytes += size;
+        if (entries > MAX_ENTRIES) {
+            throw archiveError(`Archive has more than ${MAX_ENTRIES} entries`);
+        }
+        if (size > MAX_ENTRY_BYTES) {
+            throw archiveError(`Entry ${entryName} is larger than ${MAX_ENTRY_BYTES} bytes`);
+        }
+        if (totalBytes > MAX_TOTAL_BYTES) {
+            throw archiveError(`Archive expands to more than ${MAX_TOTAL_BYTES} bytes`);
+        }
+    };
+}
+
+function readZip(buffer) {
+    return new Promise((resolve, reject) => {
+        yauzl.fromBuffer(buffer, { lazyEntries: true, validateEntrySizes: true }, (openError, zipFile) => {
+            if (openError) {
+                return reject(archiveError(`Invalid zip archive: ${openError.message}`));
+            }
+
+            const entries = [];
+            const checkBudget = createBudget();
+            const fail = (error) => {
+                zipFile.close();
+                reject(error.statusCode ? error : archiveError(error.message));
+            };
+
+            zipFile.on('error', fail);
+            zipFile.on('end', () => resolve(entries));
+            zipFile.on('entry', (entry) => {
+                try {
+                    const entryPath = normalizeEntryPath(entry.fileName);
+                    const isDirectory = entry.fileName.endsWith('/');
+                    const mode = (entry.externalFileAttributes >>> 16) & 0o170000;
+                    if (mode === 0o120000) {
+                        throw archiveError(`Symbolic links are not allowed in archive: ${entry.fileName}`);
+                    }
+                    checkBudget(entry.fileName, entry.uncompressedSize);
+
+                    if (!entryPath) {
+                        return zipFile.readEntry();
+                    }
+                    if (isDirectory) {
+                        entries.push({ path: entryPath, type: 'folder' });
+                        return zipFile.readEntry();
+                    }
+
+                    zipFile.openReadStream(entry, (streamError, stream) => {
+                        if (streamError) return fail(streamError);
+                        const chunks = [];
+                        stream.on('data', chunk => chunks.push(chunk));
+                        stream.on('error', fail);
+                        stream.on('end', () => {
+                            entries.push({ path: entryPath, type: 'file', data: Buffer.concat(chunks) });
+                            zipFile.readEntry();
+                        });
+                    });
+                } catch (error) {
+                    fail(error);
+                }
+            });
+
+            zipFile.readEntry();
+        });
+    });
+}
+
+function readTar(buffer, gzipped) {
+    return new Promise((resolve, reject) => {
+        const entries = [];
+        const checkBudget = createBudget();
+        const extract = tar.extract();
+        let failed = false;
+
+        const fail = (error) => {
+            if (failed) return;
+            failed = true;
+            extract.destroy();
+            reject(error.statusCode ? error : archiveError(`Invalid tar archive: ${error.message}`));
+        };
+
+        extract.on('entry', (header, stream, next) => {
+            try {
+                checkBudget(header.name, header.size || 0);
+
+                if (header.type !== 'file' && header.type !== 'directory') {
+                    if (header.type === 'symlink' || header.type === 'link') {
+                        throw archiveError(`Links are not allowed in archive: ${header.name}`);
+                    }
+                    // pax headers and the like carry no file data for us
+                    stream.resume();
+                    return next();
+                }
+
+                const entryPath = normalizeEntryPath(header.name);
+
+                if (!entryPath || header.type === 'directory') {
+                    if (entryPath) {
+                        entries.push({ path: entryPath, type: 'folder' });
+                    }
+                    stream.resume();
+                    return next();
+                }
+
+                const chunks = [];
+                stream.on('data', chunk => chunks.push(chunk));
+                stream.on('end', () => {
+                    entries.push({ path: entryPath, type: 'file', data: Buffer.concat(chunks) });
+                    next();
+                });
+            } catch (error) {
+                fail(error);
+            }
+        });
+        extract.on('finish', () => {
+            if (!failed) resolve(entries);
+        });
+        extract.on('error', fail);
+
+        let source = Readable.from([buffer]);
+        if (gzipped) {
+            const gunzip = zlib.createGunzip();
+            let inflatedBytes = 0;
+            gunzip.on('data', chunk => {
+                inflatedBytes += chunk.length;
+                // Headers and padding included, a sane archive stays well below this
+                if (inflatedBytes > MAX_TOTAL_BYTES * 2) {
+                    gunzip.destroy();
+                    fail(archiveError(`Archive expands to more than ${MAX_TOTAL_BYTES} bytes`));
+                }
+            });
+            gunzip.on('error', fail);
+            source = source.pipe(gunzip);
+        }
+        source.pipe(extract);
+    });
+}
+
+// Read a zip, tar or tar.gz archive held in memory into a list of
+// { path, type: 'file' | 'folder', data } entries
+export async function readArchive(buffer) {
+    if (!buffer || buffer.length === 0) {
+        throw archiveError('Archive is empty');
+    }
+
+    // PK\x03\x04 (or PK\x05\x06 for an empty zip)
+    if (buffer[0] === 0x50 && buffer[1] === 0x4b) {
+        return readZip(buffer);
+    }
+    if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+        return readTar(buffer, true);
+    }
+    if (buffer.length > 262 && buffer.toString('ascii', 257, 262) === 'ustar') {
+        return readTar(buffer, false);
+    }
+
+    throw archiveError('Unsupported archive format, expected zip, tar or tar.gz');
+}
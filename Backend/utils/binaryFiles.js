@@ -0,0 +1,37 @@
+import crypto from 'crypto';
+import path from 'path';
+import mime from 'mime-types';
+
+// Only the start of a file is inspected, like git and most editors do
+const SNIFF_BYTES = 8000;
+
+// A file is binary when it contains NUL bytes or isn't valid UTF-8
+function isBinaryBuffer(buffer) {
+    const sample = buffer.subarray(0, SNIFF_BYTES);
+    if (sample.includes(0)) {
+        return true;
+    }
+
+    try {
+        // Streaming mode tolerates a multi-byte character cut off at the end of the sample
+        new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: buffer.length > SNIFF_BYTES });
+        return false;
+    } catch (error) {
+        return true;
+    }
+}
+
+// roomFiles entry for a binary file: metadata only, the bytes stay on disk
+function describeBinaryFile(fileName, buffer) {
+    return {
+        type: 'file',
+        binary: true,
+        extension: path.extname(fileName).slice(1) || 'bin',
+        size: buffer.length,
+        mimeType: mime.lookup(fileName) || 'application/octet-stream',
+        hash: crypto.createHash('sha256').update(buffer).digest('hex'),
+        isExpanded: false
+    };
+}
+
+export { isBinaryBuffer, describeBinaryFile };
@@ -0,0 +1,265 @@
+import { spawn } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+
+// Runs a user may have going at the same time
+const MAX_RUNS_PER_USER = 3;
+// Output beyond this is dropped (the program keeps running until it ends)
+const MAX_OUTPUT_BYTES = 1024 * 1024;
+const MAX_STDIN_BYTES = 1024 * 1024;
+const MEMORY_SAMPLE_MS = 200;
+
+const runError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Peak resident memory of every process in a process group, in kB. The peaks
+// of processes that already ended are lost, so this is a sampled estimate.
+function groupPeakMemoryKb(pgid) {
+    let total = 0;
+    for (const entry of fs.readdirSync('/proc')) {
+        if (!/^\d+$/.test(entry)) continue;
+        try {
+            const stat = fs.readFileSync(`/proc/${entry}/stat`, 'utf8');
+            // Fields after "pid (comm) ": state, ppid, pgrp...
+            const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+            if (Number(fields[2]) !== pgid) continue;
+
+            const match = fs.readFileSync(`/proc/${entry}/status`, 'utf8').match(/^VmHWM:\s+(\d+)/m);
+            if (match) total += Number(match[1]);
+        } catch (error) {
+            // The process ended while being read
+        }
+    }
+    return total;
+}
+
+// Non-interactive runs of room files outside the terminals. Output streams
+// to the user who started the run as `run-output` events, with stdout and
+// stderr kept apart, and `run-finished` reports how it ended. The judge
+// runs its commands through here too.
+class CodeRunner {
+    constructor(io, sandbox) {
+        this.io = io;
+        this.sandbox = sandbox;
+        this.runs = new Map(); // runId -> { child, roomCode, userId, ... }
+    }
+
+    // Start the command that runs a file (see resolveRun). Returns the runId
+    // that output and the result refer to.
+    start({ roomCode, userId, workDir, fileName, command, stdin = '', timeoutSeconds = this.sandbox.runTimeoutSeconds }) {
+        if (typeof stdin !== 'string') {
+            throw runError('Input must be text');
+        }
+        if (Buffer.byteLength(stdin) > MAX_STDIN_BYTES) {
+            throw runError('Input is too large');
+        }
+        if (this.listRuns(userId).length >= MAX_RUNS_PER_USER) {
+            throw runError(`You can have at most ${MAX_RUNS_PER_USER} runs going at once`, 429);
+        }
+
+        const run = this.launch({
+            roomCode,
+            userId,
+            workDir,
+            fileName,
+            command,
+            stdin,
+            timeoutMs: timeoutSeconds * 1000,
+            onOutput: (stream, data) => {
+                this.io.to(run.userId).emit('run-output', { runId: run.runId, stream, data });
+            }
+        });
+        run.done.then(result => {
+            this.io.to(run.userId).emit('run-finished', { runId: run.runId, fileName, ...result });
+        });
+        return run.runId;
+    }
+
+    // Run a command to completion and collect its output, for callers that
+    // need the whole result (the judge). Resolves like `run-finished`, plus
+    // stdout and stderr.
+    execute({ roomCode, userId, workDir, fileName, command, stdin = '', timeoutMs }) {
+        const output = { stdout: '', stderr: '' };
+        const run = this.launch({
+            roomCode,
+            userId,
+            workDir,
+            fileName,
+            command,
+            stdin,
+            timeoutMs,
+            onOutput: (stream, data) => {
+                output[stream] += data;
+            }
+        });
+        return run.done.then(result => ({ ...result, ...output }));
+    }
+
+    // Spawn a command in the room's sandbox and track it until it ends.
+    // `run.done` resolves with how it ended.
+    launch({ roomCode, userId, workDir, fileName, command, stdin, timeoutMs, onOutput }) {
+        // The sandbox needs Linux; Windows is only used for local development.
+        // Its timeout only matters if the server goes away before our own timer.
+        const { file, args, cwd, env } = os.platform() === 'win32'
+            ? { file: 'powershell.exe', args: ['-Command', command], cwd: workDir, env: process.env }
+            : this.sandbox.command(roomCode, workDir, 'bash', ['-c', command], {
+                timeoutSeconds: Math.ceil(timeoutMs / 1000) + 1
+            });
+
+        // Its own process group, so cancelling reaches everything it started
+        const child = spawn(file, args, { cwd, env, detached: true, stdio: ['pipe', 'pipe', 'pipe'] });
+
+        const run = {
+            runId: crypto.randomUUID(),
+            roomCode,
+            userId,
+            fileName,
+            child,
+            startedAt: Date.now(),
+            durationMs: null,
+            exitCode: null,
+            signal: null,
+            error: null,
+            timedOut: false,
+            cancelled: false,
+            outputBytes: 0,
+            outputTruncated: false,
+            peakMemoryKb: null,
+            timer: null,
+            sampler: null
+        };
+        run.done = new Promise(resolve => {
+            run.resolve = resolve;
+        });
+        this.runs.set(run.runId, run);
+
+        const forward = (stream) => (data) => {
+            if (run.outputTruncated) return;
+
+            run.outputBytes += Buffer.byteLength(data);
+            if (run.outputBytes > MAX_OUTPUT_BYTES) {
+                run.outputTruncated = true;
+                return;
+            }
+            onOutput(stream, data);
+        };
+        child.stdout.setEncoding('utf8');
+        child.stderr.setEncoding('utf8');
+        child.stdout.on('data', forward('stdout'));
+        child.stderr.on('data', forward('stderr'));
+
+        // Programs that never read their input close the pipe early
+        child.stdin.on('error', () => {});
+        child.stdin.end(stdin);
+
+        run.timer = setTimeout(() => {
+            run.timedOut = true;
+            this.kill(run);
+        }, timeoutMs);
+
+        if (os.platform() === 'linux' && child.pid) {
+            const sample = () => {
+                run.peakMemoryKb = Math.max(run.peakMemoryKb || 0, groupPeakMemoryKb(child.pid));
+            };
+            sample();
+            run.sampler = setInterval(sample, MEMORY_SAMPLE_MS);
+        }
+
+        child.on('error', error => {
+            console.error(`Error running ${fileName} in room ${roomCode}:`, error.message);
+            run.error = error.message;
+            this.finish(run);
+        });
+
+        child.on('exit', (exitCode, signal) => {
+            run.durationMs = Date.now() - run.startedAt;
+            run.exitCode = exitCode;
+            run.signal = signal;
+            clearInterval(run.sampler);
+            // Nothing the program left in the background outlives it
+            this.kill(run);
+        });
+
+        // Output is complete once the pipes close
+        child.on('close', () => this.finish(run));
+
+        return run;
+    }
+
+    kill(run) {
+        try {
+            process.kill(-run.child.pid, 'SIGKILL');
+        } catch (error) {
+            // Already gone
+        }
+    }
+
+    finish(run) {
+        if (!this.runs.has(run.runId)) return;
+
+        this.runs.delete(run.runId);
+        clearTimeout(run.timer);
+        clearInterval(run.sampler);
+
+        run.resolve({
+            exitCode: run.exitCode,
+            signal: run.signal,
+            durationMs: run.durationMs ?? Date.now() - run.startedAt,
+            peakMemoryKb: run.peakMemoryKb,
+            timedOut: run.timedOut,
+            cancelled: run.cancelled,
+            outputTruncated: run.outputTruncated,
+            error: run.error
+        });
+    }
+
+    // Runs a user has going, oldest first
+    listRuns(userId) {
+        return Array.from(this.runs.values())
+            .filter(run => run.userId === userId)
+            .map(run => ({ runId: run.runId, fileName: run.fileName, startedAt: run.startedAt }));
+    }
+
+    cancel(userId, runId) {
+        const run = this.runs.get(runId);
+        if (!run || run.userId !== userId) {
+            throw runError('Run not found', 404);
+        }
+        run.cancelled = true;
+        this.kill(run);
+    }
+
+    // The user left for good
+    cancelUser(userId) {
+        for (const run of this.runs.values()) {
+            if (run.userId === userId) {
+                run.cancelled = true;
+                this.kill(run);
+            }
+        }
+    }
+
+    cleanupRoom(roomCode) {
+        for (const run of this.runs.values()) {
+            if (run.roomCode === roomCode) {
+                run.cancelled = true;
+                this.kill(run);
+            }
+        }
+    }
+
+    // A resumed session keeps its runs on the new socket
+    transferUser(oldUserId, newUserId) {
+        for (const run of this.runs.values()) {
+            if (run.userId === oldUserId) {
+                run.userId = newUserId;
+            }
+        }
+    }
+}
+
+export default CodeRunner;
@@ -0,0 +1,199 @@
+import { Worker, isMainThread, parentPort, workerData } from 'worker_threads';
+import picomatch from 'picomatch';
+
+const MAX_MATCHES = 2000;
+const MAX_LINE_PREVIEW = 500;
+// Patterns come from users, and one like /(a+)+$/ can run for ages; searches
+// run in a worker that is stopped after this long
+const SEARCH_TIMEOUT_MS = 5000;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Globs may come as an array or a comma separated string ("src/**, *.js")
+function toGlobList(globs) {
+    if (!globs) return [];
+    const list = Array.isArray(globs) ? globs : String(globs).split(',');
+    return list.map(glob => glob.trim()).filter(Boolean);
+}
+
+// Build the regular expression for a search request. Throws on bad input.
+function buildMatcher({ query, isRegex = false, caseSensitive = false, wholeWord = false }) {
+    if (typeof query !== 'string' || query.length === 0) {
+        throw new Error('Search query is required');
+    }
+
+    let source = isRegex ? query : escapeRegex(query);
+    if (wholeWord) {
+        source = `\\b(?:${source})\\b`;
+    }
+
+    // Multiline so ^ and $ match at line boundaries, like editor search
+    return new RegExp(source, caseSensitive ? 'gm' : 'gim');
+}
+
+// Returns a predicate for file paths. Patterns without a slash match the
+// file name anywhere in the tree, like most editors do.
+function buildPathFilter({ include, exclude }) {
+    const compile = (globs) => {
+        const list = toGlobList(globs).map(glob => (glob.includes('/') ? glob : `**/${glob}`));
+        return list.length > 0 ? picomatch(list, { dot: true }) : null;
+    };
+    const isIncluded = compile(include);
+    const isExcluded = compile(exclude);
+
+    return (filePath) => (!isIncluded || isIncluded(filePath)) && !(isExcluded && isExcluded(filePath));
+}
+
+// Text files of a room that pass the path filters, in a stable order
+function searchableFiles(files, options) {
+    const matchesPath = buildPathFilter(options);
+    return Object.keys(files)
+        .filter(filePath => files[filePath].type === 'file' && typeof files[filePath].content === 'string')
+        .filter(matchesPath)
+        .sort();
+}
+
+// Offsets at which every line starts, for offset -> line/column conversion
+function lineStarts(content) {
+    const starts = [0];
+    for (let i = 0; i < content.length; i++) {
+        if (content.charCodeAt(i) === 10) starts.push(i + 1);
+    }
+    return starts;
+}
+
+function findLine(starts, offset) {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (starts[mid] <= offset) low = mid;
+        else high = mid - 1;
+    }
+    return low;
+}
+
+// Search every file; lines and columns in the result are 1-based
+function searchFiles(files, options) {
+    const matcher = buildMatcher(options);
+    const results = [];
+    let totalMatches = 0;
+    let truncated = false;
+
+    for (const fileName of searchableFiles(files, options)) {
+        const content = files[fileName].content;
+        const starts = lineStarts(content);
+        const matches = [];
+
+        matcher.lastIndex = 0;
+        let match;
+        while ((match = matcher.exec(content)) !== null) {
+            if (match[0].length === 0) {
+                // Empty matches (e.g. /^/) would loop forever
+                matcher.lastIndex++;
+                continue;
+            }
+
+            const line = findLine(starts, match.index);
+            const lineEnd = content.indexOf('\n', starts[line]);
+            matches.push({
+                line: line + 1,
+                column: match.index - starts[line] + 1,
+                length: match[0].length,
+                matchText: match[0],
+                lineText: content.slice(starts[line], lineEnd === -1 ? content.length : lineEnd).slice(0, MAX_LINE_PREVIEW)
+            });
+
+            if (++totalMatches >= MAX_MATCHES) {
+                truncated = true;
+                break;
+            }
+        }
+
+        if (matches.length > 0) {
+            results.push({ fileName, matches });
+        }
+        if (truncated) break;
+    }
+
+    return { results, totalMatches, truncated };
+}
+
+// Work out the new content of every file affected by a replace, without
+// changing anything. `fileNames` optionally limits the replace to a subset.
+function computeReplacements(files, options, replacement, fileNames) {
+    if (typeof replacement !== 'string') {
+        throw new Error('Replacement text is required');
+    }
+
+    const matcher = buildMatcher(options);
+    const onlyFiles = Array.isArray(fileNames) && fileNames.length > 0 ? new Set(fileNames) : null;
+    const changes = [];
+
+    searchableFiles(files, options)
+        .filter(fileName => !onlyFiles || onlyFiles.has(fileName))
+        .forEach(fileName => {
+            const content = files[fileName].content;
+            const count = (content.match(matcher) || []).length;
+            if (count === 0) return;
+
+            // $1, $<name> etc. only mean something in regex mode
+            const newContent = content.replace(matcher, options.isRegex ? replacement : () => replacement);
+
+            if (newContent !== content) {
+                changes.push({ fileName, content: newContent, count });
+            }
+        });
+
+    return changes;
+}
+
+// Run searchFiles or computeReplacements in a worker thread, so a slow
+// pattern never blocks the server. Only the text files go to the worker.
+function inWorker(task, files, args, timeoutMs = SEARCH_TIMEOUT_MS) {
+    const textFiles = {};
+    Object.keys(files)
+        .filter(filePath => files[filePath].type === 'file' && typeof files[filePath].content === 'string')
+        .forEach(filePath => {
+            textFiles[filePath] = { type: 'file', content: files[filePath].content };
+        });
+
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(new URL(import.meta.url), { workerData: { fileSearchTask: task, files: textFiles, args } });
+        const timer = setTimeout(() => {
+            worker.terminate();
+            reject(new Error('Search took too long, try a simpler pattern'));
+        }, timeoutMs);
+
+        worker.once('message', ({ result, error }) => {
+            clearTimeout(timer);
+            worker.terminate();
+            if (error) reject(new Error(error));
+            else resolve(result);
+        });
+        worker.once('error', (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        worker.once('exit', () => {
+            clearTimeout(timer);
+            reject(new Error('Search failed'));
+        });
+    });
+}
+
+const searchFilesInWorker = (files, options, timeoutMs) => inWorker('search', files, [options], timeoutMs);
+const computeReplacementsInWorker = (files, options, replacement, fileNames, timeoutMs) =>
+    inWorker('replace', files, [options, replacement, fileNames], timeoutMs);
+
+if (!isMainThread && workerData?.fileSearchTask) {
+    const { fileSearchTask, files, args } = workerData;
+    try {
+        const run = fileSearchTask === 'search' ? searchFiles : computeReplacements;
+        parentPort.postMessage({ result: run(files, ...args) });
+    } catch (error) {
+        parentPort.postMessage({ error: error.message });
+    }
+}
+
+export { buildMatcher, searchFiles, computeReplacements, searchFilesInWorker, computeReplacementsInWorker };
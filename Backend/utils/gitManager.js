@@ -0,0 +1,320 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs';
+import path from 'path';
+
+const execFileAsync = promisify(execFile);
+
+const GIT_TIMEOUT_MS = 30 * 1000;
+const STATUS_DEBOUNCE_MS = 500;
+
+// Room members can edit .git/config from their terminal. Git runs in the
+// room's sandbox anyway, but the server's own git calls still never run
+// hooks, pagers, fsmonitor, signing or ssh commands from it.
+const SAFE_CONFIG = [
+    '-c', 'core.hooksPath=/dev/null',
+    '-c', 'core.fsmonitor=false',
+    '-c', 'core.pager=cat',
+    '-c', 'core.sshCommand=false',
+    '-c', 'commit.gpgsign=false',
+    '-c', 'tag.gpgsign=false',
+    '-c', 'safe.directory=*'
+];
+// Config from outside the repository is never read
+const SAFE_ENV = {
+    GIT_TERMINAL_PROMPT: '0',
+    GIT_CONFIG_NOSYSTEM: '1',
+    GIT_CONFIG_GLOBAL: '/dev/null'
+};
+const FILTER_COMMAND_KEYS = /^filter\..+\.(clean|smudge|process)$/;
+
+const STATUS_LABELS = {
+    M: 'modified',
+    T: 'modified',
+    A: 'added',
+    D: 'deleted',
+    R: 'renamed',
+    C: 'copied',
+    U: 'conflicted',
+    '?': 'untracked',
+    '!': 'ignored'
+};
+
+// Runs git inside a room's shared working directory and keeps everyone's
+// file tree markers up to date
+class GitManager {
+    constructor(io, getWorkingDirectory, sandbox) {
+        this.io = io;
+        this.getWorkingDirectory = getWorkingDirectory;
+        this.sandbox = sandbox;
+        this.statusTimers = new Map(); // Pending status broadcasts by roomCode
+    }
+
+    workDir(roomCode) {
+        const workDir = this.getWorkingDirectory(roomCode);
+        if (!workDir || !fs.existsSync(workDir)) {
+            throw new Error('Working directory not found');
+        }
+        return workDir;
+    }
+
+    isRepository(roomCode) {
+        const workDir = this.getWorkingDirectory(roomCode);
+        return !!workDir && fs.existsSync(path.join(workDir, '.git'));
+    }
+
+    // git as the room's sandboxed user, with the sandbox's scrubbed environment
+    async exec(roomCode, args, env = {}) {
+        const workDir = this.workDir(roomCode);
+        const { file, args: commandArgs, cwd, env: sandboxEnv } = this.sandbox.command(
+            roomCode, workDir, 'git', [...SAFE_CONFIG, ...args],
+            { timeoutSeconds: GIT_TIMEOUT_MS / 1000 }
+        );
+        try {
+            const { stdout } = await execFileAsync(file, commandArgs, {
+                cwd,
+                timeout: GIT_TIMEOUT_MS,
+                maxBuffer: 10 * 1024 * 1024,
+                env: { ...sandboxEnv, ...env, ...SAFE_ENV }
+            });
+            return stdout;
+        } catch (error) {
+            throw new Error((error.stderr || '').trim() || error.message);
+        }
+    }
+
+    // Blank out every clean/smudge/process filter command the repository
+    // configures (.gitattributes decides which files go through them)
+    async filterOverrides(roomCode) {
+        let keys;
+        try {
+            keys = await this.exec(roomCode, ['config', '--name-only', '--get-regexp', '^filter\\.']);
+        } catch (error) {
+            // No filters configured
+            return [];
+        }
+        return keys.split('\n')
+            .filter(key => FILTER_COMMAND_KEYS.test(key))
+            .flatMap(key => ['-c', `${key}=`]);
+    }
+
+    async run(roomCode, args, { env = {} } = {}) {
+        const filters = this.isRepository(roomCode) ? await this.filterOverrides(roomCode) : [];
+        return this.exec(roomCode, [...filters, ...args], env);
+    }
+
+    async hasCommits(roomCode) {
+        try {
+            await this.run(roomCode, ['rev-parse', '--verify', '--quiet', 'HEAD']);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Keep paths from clients inside the working directory
+    resolvePaths(roomCode, paths = []) {
+        const workDir = this.workDir(roomCode);
+        return paths.map(filePath => {
+            const fullPath = path.resolve(workDir, filePath);
+            if (fullPath !== workDir && !fullPath.startsWith(workDir + path.sep)) {
+                throw new Error(`Path ${filePath} is outside the working directory`);
+            }
+            return path.relative(workDir, fullPath) || '.';
+        });
+    }
+
+    async init(roomCode) {
+        if (this.isRepository(roomCode)) {
+            throw new Error('Working directory is already a git repository');
+        }
+        await this.run(roomCode, ['init']);
+    }
+
+    // Turn the working directory into a clone of a git bundle that was
+    // uploaded into it. Its branches are fetched in place, so files already
+    // in the room stay where they are.
+    async cloneBundle(roomCode, bundlePath) {
+        if (this.isRepository(roomCode)) {
+            throw new Error('Working directory is already a git repository');
+        }
+
+        const workDir = this.workDir(roomCode);
+        const [relativeBundle] = this.resolvePaths(roomCode, [bundlePath]);
+        if (!fs.existsSync(path.join(workDir, relativeBundle))) {
+            throw new Error(`Bundle ${bundlePath} not found`);
+        }
+
+        // Fails early on files that are not bundles
+        const heads = (await this.run(roomCode, ['bundle', 'list-heads', relativeBundle]))
+            .split('\n')
+            .filter(Boolean)
+            .map(line => line.split(' '));
+
+        await this.run(roomCode, ['init']);
+        try {
+            await this.run(roomCode, ['fetch', '--quiet', '--update-head-ok', relativeBundle, '+refs/heads/*:refs/heads/*']);
+
+            // Check out the branch the bundle's HEAD points at
+            const head = heads.find(([, ref]) => ref === 'HEAD');
+            const branch = heads.find(([hash, ref]) => ref.startsWith('refs/heads/') && (!head || hash === head[0]));
+            if (branch) {
+                await this.run(roomCode, ['symbolic-ref', 'HEAD', branch[1]]);
+                await this.run(roomCode, ['reset', '--hard', 'HEAD']);
+            }
+        } catch (error) {
+            fs.rmSync(path.join(workDir, '.git'), { recursive: true, force: true });
+            throw error;
+        }
+    }
+
+    async status(roomCode) {
+        if (!this.isRepository(roomCode)) {
+            return { isRepository: false, branch: null, files: [] };
+        }
+
+        const output = await this.run(roomCode, ['status', '--porcelain=v1', '--branch', '-z', '--untracked-files=all']);
+        const records = output.split('\0');
+        let branch = null;
+        let ahead = 0;
+        let behind = 0;
+        const files = [];
+
+        for (let i = 0; i < records.length; i++) {
+            const record = records[i];
+            if (!record) continue;
+
+            if (record.startsWith('## ')) {
+                const header = record.substring(3);
+                branch = header.replace(/^No commits yet on /, '').split('...')[0].split(' ')[0];
+                ahead = parseInt((header.match(/ahead (\d+)/) || [])[1] || 0, 10);
+                behind = parseInt((header.match(/behind (\d+)/) || [])[1] || 0, 10);
+                continue;
+            }
+
+            const index = record[0];
+            const workTree = record[1];
+            const filePath = record.substring(3);
+            const untracked = index === '?' || index === '!';
+            const entry = {
+                path: filePath,
+                index: index === ' ' || untracked ? null : STATUS_LABELS[index] || index,
+                workTree: workTree === ' ' ? null : STATUS_LABELS[workTree] || workTree,
+                staged: index !== ' ' && !untracked
+            };
+
+            // Renames and copies are followed by the original path
+            if (index === 'R' || index === 'C') {
+                entry.originalPath = records[++i];
+            }
+            entry.status = entry.workTree || entry.index;
+            files.push(entry);
+        }
+
+        return { isRepository: true, branch, ahead, behind, files };
+    }
+
+    async diff(roomCode, { staged = true, paths = [] } = {}) {
+        const args = ['diff', '--no-color', '--no-ext-diff', '--no-textconv'];
+        if (staged) args.push('--cached');
+        return this.run(roomCode, [...args, '--', ...this.resolvePaths(roomCode, paths)]);
+    }
+
+    async stage(roomCode, paths = []) {
+        const targets = paths.length > 0 ? this.resolvePaths(roomCode, paths) : ['.'];
+        await this.run(roomCode, ['add', '--all', '--', ...targets]);
+    }
+
+    async unstage(roomCode, paths = []) {
+        const targets = paths.length > 0 ? this.resolvePaths(roomCode, paths) : ['.'];
+        if (await this.hasCommits(roomCode)) {
+            await this.run(roomCode, ['reset', '--quiet', 'HEAD', '--', ...targets]);
+        } else {
+            await this.run(roomCode, ['rm', '--cached', '-r', '--quiet', '--ignore-unmatch', '--', ...targets]);
+        }
+    }
+
+    async commit(roomCode, message, { name, email }) {
+        if (!message || !message.trim()) {
+            throw new Error('Commit message is required');
+        }
+
+        await this.run(roomCode, ['commit', '--no-verify', '-m', message], {
+            env: {
+                GIT_AUTHOR_NAME: name,
+                GIT_AUTHOR_EMAIL: email,
+                GIT_COMMITTER_NAME: name,
+                GIT_COMMITTER_EMAIL: email
+            }
+        });
+        return (await this.run(roomCode, ['rev-parse', 'HEAD'])).trim();
+    }
+
+    async branches(roomCode) {
+        const output = await this.run(roomCode, ['branch', '--list', '--format=%(HEAD)%00%(refname:short)']);
+        const branches = output.split('\n').filter(Boolean).map(line => {
+            const [head, name] = line.split('\0');
+            return { name, current: head === '*' };
+        });
+
+        // A fresh repository has no branch refs yet but HEAD still names one
+        if (branches.length === 0) {
+            const current = (await this.run(roomCode, ['symbolic-ref', '--short', 'HEAD'])).trim();
+            branches.push({ name: current, current: true });
+        }
+        return branches;
+    }
+
+    async switchBranch(roomCode, branch, create = false) {
+        await this.run(roomCode, ['check-ref-format', '--branch', branch]);
+        await this.run(roomCode, create ? ['checkout', '-b', branch] : ['checkout', branch]);
+    }
+
+    async log(roomCode, { limit = 50, paths = [] } = {}) {
+        if (!(await this.hasCommits(roomCode))) {
+            return [];
+        }
+
+        const count = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+        const output = await this.run(roomCode, [
+            'log',
+            `-n${count}`,
+            '--format=%H%x1f%an%x1f%ae%x1f%aI%x1f%s%x1e',
+            '--',
+            ...this.resolvePaths(roomCode, paths)
+        ]);
+
+        return output.split('\x1e').map(record => record.trim()).filter(Boolean).map(record => {
+            const [hash, authorName, authorEmail, date, subject] = record.split('\x1f');
+            return { hash, authorName, authorEmail, date, subject };
+        });
+    }
+
+    // Push the current status to everyone in the room
+    async broadcastStatus(roomCode) {
+        try {
+            const status = await this.status(roomCode);
+            this.io.to(roomCode).emit('git-status-update', status);
+        } catch (error) {
+            console.error(`Error reading git status for room ${roomCode}:`, error.message);
+        }
+    }
+
+    // Debounced status push, called on every file system change
+    scheduleStatusBroadcast(roomCode) {
+        if (!this.isRepository(roomCode)) return;
+
+        clearTimeout(this.statusTimers.get(roomCode));
+        this.statusTimers.set(roomCode, setTimeout(() => {
+            this.statusTimers.delete(roomCode);
+            this.broadcastStatus(roomCode);
+        }, STATUS_DEBOUNCE_MS));
+    }
+
+    cleanupRoom(roomCode) {
+        clearTimeout(this.statusTimers.get(roomCode));
+        this.statusTimers.delete(roomCode);
+    }
+}
+
+export default GitManager;
@@ -0,0 +1,221 @@
+import crypto from 'crypto';
+import roomModel, { JUDGE_WHITESPACE_MODES } from '../models/roomModel.js';
+
+const MAX_TEST_CASES = 50;
+const COMPILE_TIMEOUT_MS = 60 * 1000;
+// Output sent back with each verdict
+const MAX_PREVIEW_LENGTH = 4000;
+
+const judgeError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const preview = (text) => (text || '').slice(0, MAX_PREVIEW_LENGTH);
+
+// What clients get to see of the room's test cases
+export const describeTestCases = (room) => ({
+    testCases: (room.testCases || []).map(testCase => ({
+        id: testCase._id.toString(),
+        name: testCase.name,
+        stdin: testCase.stdin,
+        expectedOutput: testCase.expectedOutput,
+        timeLimitMs: testCase.timeLimitMs
+    })),
+    settings: {
+        whitespace: room.judgeSettings?.whitespace || 'trailing',
+        floatTolerance: room.judgeSettings?.floatTolerance || 0
+    }
+});
+
+export async function getTestCases(roomCode) {
+    const room = await roomModel.findOne({ roomCode }).select('testCases judgeSettings').lean();
+    if (!room) {
+        throw judgeError('Room not found', 404);
+    }
+    return describeTestCases(room);
+}
+
+// Replace the test cases of a room, and optionally how output is compared
+export async function setTestCases(roomCode, { testCases, settings } = {}) {
+    if (!Array.isArray(testCases)) {
+        throw judgeError('Test cases must be a list');
+    }
+    if (testCases.length > MAX_TEST_CASES) {
+        throw judgeError(`A room can have at most ${MAX_TEST_CASES} test cases`);
+    }
+
+    const update = {
+        testCases: testCases.map(({ name = '', stdin = '', expectedOutput = '', timeLimitMs } = {}) => {
+            if (typeof stdin !== 'string' || typeof expectedOutput !== 'string') {
+                throw judgeError('Input and expected output must be text');
+            }
+            return { name: String(name), stdin, expectedOutput, timeLimitMs };
+        })
+    };
+    if (settings?.whitespace !== undefined) {
+        if (!JUDGE_WHITESPACE_MODES.includes(settings.whitespace)) {
+            throw judgeError(`Whitespace must be one of: ${JUDGE_WHITESPACE_MODES.join(', ')}`);
+        }
+        update['judgeSettings.whitespace'] = settings.whitespace;
+    }
+    if (settings?.floatTolerance !== undefined) {
+        update['judgeSettings.floatTolerance'] = settings.floatTolerance;
+    }
+
+    const room = await roomModel.findOneAndUpdate(
+        { roomCode },
+        { $set: update },
+        { new: true, runValidators: true }
+    ).select('testCases judgeSettings').lean().catch(error => {
+        throw error.name === 'ValidationError' || error.name === 'CastError'
+            ? judgeError(error.message)
+            : error;
+    });
+    if (!room) {
+        throw judgeError('Room not found', 404);
+    }
+    return describeTestCases(room);
+}
+
+const tokensMatch = (actual, expected, floatTolerance) => {
+    if (actual === expected) return true;
+    if (floatTolerance <= 0) return false;
+
+    const actualNumber = Number(actual);
+    const expectedNumber = Number(expected);
+    return Number.isFinite(actualNumber) && Number.isFinite(expectedNumber) &&
+        Math.abs(actualNumber - expectedNumber) <= floatTolerance * Math.max(1, Math.abs(expectedNumber));
+};
+
+// Whether a program's output counts as the expected output. With a float
+// tolerance lines are compared word by word.
+export function compareOutput(actual, expected, { whitespace = 'trailing', floatTolerance = 0 } = {}) {
+    const linesOf = (text) => {
+        const unified = text.replace(/\r\n?/g, '\n');
+        if (whitespace === 'all') return [unified];
+
+        const lines = unified.split('\n');
+        if (whitespace === 'exact') return lines;
+
+        const trimmed = lines.map(line => line.trimEnd());
+        while (trimmed.length > 0 && trimmed[trimmed.length - 1] === '') {
+            trimmed.pop();
+        }
+        return trimmed;
+    };
+
+    const actualLines = linesOf(actual);
+    const expectedLines = linesOf(expected);
+    if (actualLines.length !== expectedLines.length) return false;
+
+    return actualLines.every((line, index) => {
+        if (whitespace !== 'all' && floatTolerance <= 0) {
+            return line === expectedLines[index];
+        }
+        const words = line.split(/\s+/).filter(Boolean);
+        const expectedWords = expectedLines[index].split(/\s+/).filter(Boolean);
+        return words.length === expectedWords.length &&
+            words.every((word, wordIndex) => tokensMatch(word, expectedWords[wordIndex], floatTolerance));
+    });
+}
+
+const summarize = (results) => {
+    const verdicts = {};
+    results.forEach(result => {
+        verdicts[result.verdict] = (verdicts[result.verdict] || 0) + 1;
+    });
+    return { total: results.length, passed: verdicts.AC || 0, verdicts };
+};
+
+// Judge a file that is already in the working directory with the commands
+// resolveRun gave for it: build it once, then run every case as its own
+// sandboxed process. Verdicts are AC
+// (accepted), WA (wrong answer), TLE (time limit exceeded), RE (runtime
+// error) and CE (compilation error). `onCaseResult` sees each case as it
+// finishes.
+class JudgeRun {
+    constructor({ codeRunner, roomCode, userId, workDir, fileName, commands, testCases, settings }) {
+        this.judgeId = crypto.randomUUID();
+        this.codeRunner = codeRunner;
+        this.runOptions = { roomCode, userId, workDir, fileName };
+        this.testCases = testCases;
+        this.settings = settings;
+        this.commands = commands;
+
+        if (testCases.length === 0) {
+            throw judgeError('This room has no test cases');
+        }
+    }
+
+    caseResult(testCase, index, verdict, run = null) {
+        return {
+            index,
+            testCaseId: testCase.id,
+            name: testCase.name,
+            verdict,
+            durationMs: run?.durationMs ?? null,
+            peakMemoryKb: run?.peakMemoryKb ?? null,
+            exitCode: run?.exitCode ?? null,
+            signal: run?.signal ?? null,
+            stdout: preview(run?.stdout),
+            stderr: preview(run?.stderr)
+        };
+    }
+
+    async judge(onCaseResult = () => {}) {
+        const results = [];
+        let compileOutput = '';
+        const finished = (cancelled = false) => ({ results, summary: summarize(results), compileOutput, cancelled });
+
+        if (this.commands.compile) {
+            const compile = await this.codeRunner.execute({
+                ...this.runOptions,
+                command: this.commands.compile,
+                timeoutMs: COMPILE_TIMEOUT_MS
+            });
+            if (compile.cancelled) {
+                return finished(true);
+            }
+            // Warnings too, when it compiled
+            compileOutput = preview(compile.stderr || compile.stdout || compile.error);
+            if (compile.timedOut || compile.error || compile.exitCode !== 0) {
+                this.testCases.forEach((testCase, index) => {
+                    const result = this.caseResult(testCase, index, 'CE');
+                    results.push(result);
+                    onCaseResult(result);
+                });
+                return finished();
+            }
+        }
+
+        for (const [index, testCase] of this.testCases.entries()) {
+            const run = await this.codeRunner.execute({
+                ...this.runOptions,
+                command: this.commands.run,
+                stdin: testCase.stdin,
+                timeoutMs: testCase.timeLimitMs
+            });
+            if (run.cancelled) {
+                return finished(true);
+            }
+
+            let verdict;
+            if (run.timedOut) {
+                verdict = 'TLE';
+            } else if (run.error || run.exitCode !== 0 || run.signal) {
+                verdict = 'RE';
+            } else {
+                verdict = compareOutput(run.stdout, testCase.expectedOutput, this.settings) ? 'AC' : 'WA';
+            }
+
+            const result = this.caseResult(testCase, index, verdict, run);
+            results.push(result);
+            onCaseResult(result);
+        }
+        return finished();
+    }
+}
+
+export default JudgeRun;
@@ -0,0 +1,511 @@
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL, fileURLToPath } from 'url';
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const INITIALIZE_TIMEOUT_MS = 30 * 1000;
+// Edits are sent to the server once typing pauses (or right before a request)
+const CHANGE_DEBOUNCE_MS = 300;
+const SHUTDOWN_GRACE_MS = 2000;
+
+// Language servers by name, with the file extensions they handle and the
+// LSP language id of each extension
+const LANGUAGE_SERVERS = {
+    typescript: {
+        command: 'typescript-language-server',
+        args: ['--stdio'],
+        languages: {
+            js: 'javascript',
+            mjs: 'javascript',
+            cjs: 'javascript',
+            jsx: 'javascriptreact',
+            ts: 'typescript',
+            tsx: 'typescriptreact'
+        }
+    },
+    python: {
+        command: 'pylsp',
+        args: [],
+        languages: { py: 'python' }
+    },
+    cpp: {
+        command: 'clangd',
+        args: ['--background-index=false'],
+        languages: { c: 'c', h: 'c', cpp: 'cpp', cc: 'cpp', hpp: 'cpp' }
+    },
+    go: {
+        command: 'gopls',
+        args: [],
+        languages: { go: 'go' }
+    }
+};
+
+// Requests clients may send through the proxy. Documents are only ever
+// changed through the room's own editing pipeline.
+const ALLOWED_REQUESTS = new Set([
+    'textDocument/completion',
+    'completionItem/resolve',
+    'textDocument/hover',
+    'textDocument/signatureHelp',
+    'textDocument/definition',
+    'textDocument/typeDefinition',
+    'textDocument/implementation',
+    'textDocument/references',
+    'textDocument/documentHighlight',
+    'textDocument/documentSymbol'
+]);
+
+const CLIENT_CAPABILITIES = {
+    textDocument: {
+        synchronization: { didSave: false, willSave: false, dynamicRegistration: false },
+        completion: {
+            completionItem: {
+                snippetSupport: false,
+                documentationFormat: ['markdown', 'plaintext'],
+                resolveSupport: { properties: ['documentation', 'detail'] }
+            },
+            contextSupport: true
+        },
+        hover: { contentFormat: ['markdown', 'plaintext'] },
+        signatureHelp: { signatureInformation: { documentationFormat: ['markdown', 'plaintext'] } },
+        definition: { linkSupport: true },
+        typeDefinition: { linkSupport: true },
+        implementation: { linkSupport: true },
+        references: {},
+        documentHighlight: {},
+        documentSymbol: { hierarchicalDocumentSymbolSupport: true },
+        publishDiagnostics: { relatedInformation: true }
+    },
+    workspace: {
+        workspaceFolders: true,
+        configuration: true
+    }
+};
+
+// Whether a command is on a search path. The sandbox wrapper itself always
+// starts, so a missing server has to be found out before.
+const isInstalled = (command, searchPath) => searchPath.split(':').some(dir => {
+    try {
+        fs.accessSync(path.join(dir, command), fs.constants.X_OK);
+        return true;
+    } catch (error) {
+        return false;
+    }
+});
+
+// One language server process, speaking JSON-RPC over stdio. `launch` is how
+// the room's sandbox starts it and `workDir` where the server sees the
+// working directory, which is what URIs refer to.
+class LanguageServerProcess {
+    constructor(config, launch, workDir, { onNotification, onExit }) {
+        this.config = config;
+        this.workDir = workDir;
+        this.onNotification = onNotification;
+        this.onExit = onExit;
+        this.nextId = 1;
+        this.requests = new Map(); // Pending requests by id
+        this.documents = new Map(); // Open documents by fileName
+        this.buffer = Buffer.alloc(0);
+        this.exited = false;
+
+        // Its own process group, so a kill reaches everything it started
+        this.process = spawn(launch.file, launch.args, {
+            cwd: launch.cwd,
+            env: launch.env,
+            detached: true,
+            stdio: ['pipe', 'pipe', 'ignore']
+        });
+        this.process.stdout.on('data', chunk => this.receive(chunk));
+        // Writes after the process died are reported through 'exit' already
+        this.process.stdin.on('error', () => {});
+        this.process.on('error', error => this.handleExit(error));
+        this.process.on('exit', (code, signal) => {
+            this.handleExit(new Error(`Language server exited (${signal || `code ${code}`})`));
+        });
+
+        this.ready = this.initialize();
+        // Failures are reported to whoever awaits `ready`
+        this.ready.catch(() => {});
+    }
+
+    async initialize() {
+        const rootUri = pathToFileURL(this.workDir).href;
+        await this.request('initialize', {
+            // The server runs in its own PID namespace, where ours means nothing
+            processId: null,
+            rootUri,
+            rootPath: this.workDir,
+            workspaceFolders: [{ uri: rootUri, name: path.basename(this.workDir) }],
+            capabilities: CLIENT_CAPABILITIES
+        }, INITIALIZE_TIMEOUT_MS);
+        this.notify('initialized', {});
+    }
+
+    handleExit(error) {
+        if (this.exited) return;
+        this.exited = true;
+
+        if (error.code === 'ENOENT') {
+            error = new Error(`${this.config.command} is not installed on the server`);
+            error.notInstalled = true;
+        }
+
+        this.requests.forEach(({ reject, timer }) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        this.requests.clear();
+        this.documents.forEach(doc => clearTimeout(doc.changeTimer));
+        this.documents.clear();
+
+        this.onExit(error);
+    }
+
+    send(message) {
+        if (this.exited) return;
+        const body = JSON.stringify({ jsonrpc: '2.0', ...message });
+        this.process.stdin.write(`Content-Length: ${Buffer.byteLength(body, 'utf8')}\r\n\r\n${body}`);
+    }
+
+    // Split stdout into Content-Length framed messages
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        while (true) {
+            const headerEnd = this.buffer.indexOf('\r\n\r\n');
+            if (headerEnd === -1) return;
+
+            const header = this.buffer.toString('ascii', 0, headerEnd);
+            const length = parseInt((header.match(/Content-Length: *(\d+)/i) || [])[1], 10);
+            const bodyStart = headerEnd + 4;
+            if (Number.isNaN(length)) {
+                this.buffer = this.buffer.subarray(bodyStart);
+                continue;
+            }
+            if (this.buffer.length < bodyStart + length) return;
+
+            const body = this.buffer.toString('utf8', bodyStart, bodyStart + length);
+            this.buffer = this.buffer.subarray(bodyStart + length);
+
+            try {
+                this.handleMessage(JSON.parse(body));
+            } catch (error) {
+                console.error(`Invalid message from ${this.config.command}:`, error.message);
+            }
+        }
+    }
+
+    handleMessage(message) {
+        // Requests from the server: answer the ones that matter with defaults
+        if (message.id !== undefined && message.method) {
+            const result = message.method === 'workspace/configuration'
+                ? (message.params?.items || []).map(() => null)
+                : null;
+            this.send({ id: message.id, result });
+            return;
+        }
+
+        if (message.id !== undefined) {
+            const pending = this.requests.get(message.id);
+            if (!pending) return;
+            clearTimeout(pending.timer);
+            this.requests.delete(message.id);
+            if (message.error) {
+                pending.reject(new Error(message.error.message || 'Language server request failed'));
+            } else {
+                pending.resolve(message.result ?? null);
+            }
+            return;
+        }
+
+        if (message.method) {
+            this.onNotification(message.method, message.params);
+        }
+    }
+
+    request(method, params, timeout = REQUEST_TIMEOUT_MS) {
+        if (this.exited) {
+            return Promise.reject(new Error('Language server is not running'));
+        }
+
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.requests.delete(id);
+                this.notify('$/cancelRequest', { id });
+                reject(new Error(`${method} timed out`));
+            }, timeout);
+            this.requests.set(id, { resolve, reject, timer });
+            this.send({ id, method, params });
+        });
+    }
+
+    notify(method, params) {
+        this.send({ method, params });
+    }
+
+    uri(fileName) {
+        return pathToFileURL(path.join(this.workDir, fileName)).href;
+    }
+
+    // Room path of a file URI, null for files outside the working directory
+    fileNameFromUri(uri) {
+        try {
+            const relativePath = path.relative(this.workDir, fileURLToPath(uri));
+            if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+                return null;
+            }
+            return relativePath.split(path.sep).join('/');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    openDocument(fileName, languageId, content) {
+        if (this.documents.has(fileName)) {
+            this.updateDocument(fileName, content);
+            return;
+        }
+
+        this.documents.set(fileName, { version: 1, content, sentContent: content, changeTimer: null });
+        this.notify('textDocument/didOpen', {
+            textDocument: { uri: this.uri(fileName), languageId, version: 1, text: content }
+        });
+    }
+
+    updateDocument(fileName, content) {
+        const doc = this.documents.get(fileName);
+        if (!doc) return;
+
+        doc.content = content;
+        clearTimeout(doc.changeTimer);
+        doc.changeTimer = setTimeout(() => this.flushDocument(fileName), CHANGE_DEBOUNCE_MS);
+    }
+
+    // Send the latest content if the server hasn't seen it yet
+    flushDocument(fileName) {
+        const doc = this.documents.get(fileName);
+        if (!doc) return;
+
+        clearTimeout(doc.changeTimer);
+        doc.changeTimer = null;
+        if (doc.sentContent === doc.content) return;
+
+        doc.version++;
+        doc.sentContent = doc.content;
+        this.notify('textDocument/didChange', {
+            textDocument: { uri: this.uri(fileName), version: doc.version },
+            contentChanges: [{ text: doc.content }]
+        });
+    }
+
+    closeDocument(fileName) {
+        const doc = this.documents.get(fileName);
+        if (!doc) return;
+
+        clearTimeout(doc.changeTimer);
+        this.documents.delete(fileName);
+        this.notify('textDocument/didClose', { textDocument: { uri: this.uri(fileName) } });
+    }
+
+    async shutdown() {
+        if (this.exited) return;
+
+        try {
+            await this.request('shutdown', null, SHUTDOWN_GRACE_MS);
+        } catch (error) {
+            // Going away anyway
+        }
+        this.notify('exit');
+
+        setTimeout(() => {
+            if (this.exited) return;
+            try {
+                process.kill(-this.process.pid, 'SIGKILL');
+            } catch (error) {
+                // Already gone
+            }
+        }, SHUTDOWN_GRACE_MS).unref();
+    }
+}
+
+// Runs one language server per room and language against the room's shared
+// working directory, in the room's sandbox like its terminals (servers run
+// project code: build scripts, plugins, compile_commands.json...), and
+// bridges it to the room's sockets
+class LanguageServerManager {
+    constructor(io, getWorkingDirectory, sandbox) {
+        this.io = io;
+        this.getWorkingDirectory = getWorkingDirectory;
+        this.sandbox = sandbox;
+        this.servers = new Map(); // `${roomCode}:${serverName}` -> LanguageServerProcess
+        this.diagnostics = new Map(); // roomCode -> Map(fileName -> diagnostics)
+        this.notInstalled = new Set(); // Servers missing on this host
+    }
+
+    // The server that handles a file, null for unsupported files
+    languageFor(fileName) {
+        const extension = fileName.split('.').pop().toLowerCase();
+        for (const [serverName, config] of Object.entries(LANGUAGE_SERVERS)) {
+            if (config.languages[extension]) {
+                return { serverName, languageId: config.languages[extension] };
+            }
+        }
+        return null;
+    }
+
+    roomServers(roomCode) {
+        return Array.from(this.servers.entries())
+            .filter(([key]) => key.startsWith(`${roomCode}:`))
+            .map(([, server]) => server);
+    }
+
+    getServer(roomCode, serverName) {
+        const key = `${roomCode}:${serverName}`;
+        const existing = this.servers.get(key);
+        if (existing) return existing;
+
+        const config = LANGUAGE_SERVERS[serverName];
+        if (this.notInstalled.has(serverName)) {
+            throw new Error(`${config.command} is not installed on the server`);
+        }
+
+        const workDir = this.getWorkingDirectory(roomCode);
+        if (!workDir) {
+            throw new Error('Working directory not found');
+        }
+
+        const launch = this.sandbox.command(roomCode, workDir, config.command, config.args);
+        if (!isInstalled(config.command, launch.env.PATH)) {
+            this.notInstalled.add(serverName);
+            throw new Error(`${config.command} is not installed on the server`);
+        }
+
+        const server = new LanguageServerProcess(config, launch, this.sandbox.workspacePath(workDir), {
+            onNotification: (method, params) => this.handleNotification(roomCode, server, method, params),
+            onExit: (error) => {
+                if (this.servers.get(key) === server) {
+                    this.servers.delete(key);
+                }
+                if (error.notInstalled) {
+                    this.notInstalled.add(serverName);
+                }
+                console.log(`Language server ${serverName} for room ${roomCode} stopped: ${error.message}`);
+                this.io.to(roomCode).emit('lsp-server-stopped', { language: serverName, error: error.message });
+            }
+        });
+        this.servers.set(key, server);
+        console.log(`Language server ${serverName} started for room ${roomCode}`);
+        return server;
+    }
+
+    handleNotification(roomCode, server, method, params) {
+        if (method !== 'textDocument/publishDiagnostics' || !params) return;
+
+        const fileName = server.fileNameFromUri(params.uri);
+        if (!fileName) return;
+
+        if (!this.diagnostics.has(roomCode)) {
+            this.diagnostics.set(roomCode, new Map());
+        }
+        this.diagnostics.get(roomCode).set(fileName, params.diagnostics || []);
+        this.io.to(roomCode).emit('lsp-diagnostics', { fileName, diagnostics: params.diagnostics || [] });
+    }
+
+    // Open a file on its language server; resolves to null for unsupported files
+    async openDocument(roomCode, fileName, content) {
+        const language = this.languageFor(fileName);
+        if (!language) return null;
+
+        const server = this.getServer(roomCode, language.serverName);
+        await server.ready;
+        server.openDocument(fileName, language.languageId, content);
+        return server;
+    }
+
+    // Called on every edit; only files a server has open are forwarded
+    documentChanged(roomCode, fileName, content) {
+        const language = this.languageFor(fileName);
+        const server = language && this.servers.get(`${roomCode}:${language.serverName}`);
+        if (server) {
+            server.updateDocument(fileName, content);
+        }
+    }
+
+    // Close renamed or deleted files and clear their markers
+    closeDocuments(roomCode, fileNames) {
+        this.roomServers(roomCode).forEach(server => {
+            fileNames.forEach(fileName => server.closeDocument(fileName));
+        });
+
+        const roomDiagnostics = this.diagnostics.get(roomCode);
+        fileNames.forEach(fileName => {
+            if (roomDiagnostics?.delete(fileName)) {
+                this.io.to(roomCode).emit('lsp-diagnostics', { fileName, diagnostics: [] });
+            }
+        });
+    }
+
+    // Forward a client request about a file and return its result with room
+    // paths in place of file URIs
+    async request(roomCode, fileName, content, method, params = {}) {
+        if (!ALLOWED_REQUESTS.has(method)) {
+            throw new Error(`Unsupported language server request: ${method}`);
+        }
+
+        const server = await this.openDocument(roomCode, fileName, content);
+        if (!server) {
+            throw new Error(`No language server available for ${fileName}`);
+        }
+        server.flushDocument(fileName);
+
+        const requestParams = method.startsWith('textDocument/')
+            ? { ...params, textDocument: { uri: server.uri(fileName) } }
+            : params;
+        const result = await server.request(method, requestParams);
+        return this.toRoomPaths(server, result);
+    }
+
+    toRoomPaths(server, value) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.toRoomPaths(server, item));
+        }
+        if (!value || typeof value !== 'object') {
+            return value;
+        }
+
+        const result = {};
+        Object.entries(value).forEach(([key, item]) => {
+            if ((key === 'uri' || key === 'targetUri') && typeof item === 'string') {
+                const fileName = server.fileNameFromUri(item);
+                if (fileName) {
+                    result[key === 'uri' ? 'fileName' : 'targetFileName'] = fileName;
+                    return;
+                }
+            }
+            // Completion data goes back to the server untouched on resolve
+            result[key] = key === 'data' ? item : this.toRoomPaths(server, item);
+        });
+        return result;
+    }
+
+    getDiagnostics(roomCode) {
+        return Object.fromEntries(this.diagnostics.get(roomCode) || []);
+    }
+
+    cleanupRoom(roomCode) {
+        Array.from(this.servers.keys())
+            .filter(key => key.startsWith(`${roomCode}:`))
+            .forEach(key => {
+                const server = this.servers.get(key);
+                this.servers.delete(key);
+                server.shutdown().catch(error => {
+                    console.error(`Error stopping language server for room ${roomCode}:`, error);
+                });
+            });
+        this.diagnostics.delete(roomCode);
+    }
+}
+
+export default LanguageServerManager;
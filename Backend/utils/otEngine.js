@@ -0,0 +1,274 @@
+// Operational transformation for plain-text documents.
+//
+// An operation is an array of components applied left to right over the
+// document:
+//   - positive integer n : retain (skip over) n characters
+//   - string s           : insert s at the current position
+//   - negative integer -n: delete n characters
+// This is the same wire format used by ot.js, so existing editor adapters
+// (CodeMirror / Monaco) can talk to the server without conversion.
+
+const isRetain = (component) => typeof component === 'number' && component > 0;
+const isInsert = (component) => typeof component === 'string';
+const isDelete = (component) => typeof component === 'number' && component < 0;
+
+// Check that an operation only contains well formed components
+function isValidOperation(operation) {
+    if (!Array.isArray(operation)) return false;
+    return operation.every(component =>
+        (Number.isInteger(component) && component !== 0) ||
+        (typeof component === 'string' && component.length > 0)
+    );
+}
+
+// Length of the document an operation can be applied to
+function baseLength(operation) {
+    return operation.reduce((length, component) => {
+        if (isRetain(component)) return length + component;
+        if (isDelete(component)) return length - component;
+        return length;
+    }, 0);
+}
+
+// Length of the document after the operation has been applied
+function targetLength(operation) {
+    return operation.reduce((length, component) => {
+        if (isRetain(component)) return length + component;
+        if (isInsert(component)) return length + component.length;
+        return length;
+    }, 0);
+}
+
+// Builder that merges adjacent components of the same kind and keeps
+// inserts before deletes so equivalent operations have one representation
+class OperationBuilder {
+    constructor() {
+        this.ops = [];
+    }
+
+    retain(n) {
+        if (n <= 0) return this;
+        const last = this.ops[this.ops.length - 1];
+        if (isRetain(last)) {
+            this.ops[this.ops.length - 1] += n;
+        } else {
+            this.ops.push(n);
+        }
+        return this;
+    }
+
+    insert(str) {
+        if (!str) return this;
+        const ops = this.ops;
+        const last = ops[ops.length - 1];
+        if (isInsert(last)) {
+            ops[ops.length - 1] += str;
+        } else if (isDelete(last)) {
+            const beforeLast = ops[ops.length - 2];
+            if (isInsert(beforeLast)) {
+                ops[ops.length - 2] += str;
+            } else {
+                ops[ops.length] = last;
+                ops[ops.length - 2] = str;
+            }
+        } else {
+            ops.push(str);
+        }
+        return this;
+    }
+
+    delete(n) {
+        if (n <= 0) return this;
+        const last = this.ops[this.ops.length - 1];
+        if (isDelete(last)) {
+            this.ops[this.ops.length - 1] -= n;
+        } else {
+            this.ops.push(-n);
+        }
+        return this;
+    }
+
+    build() {
+        return this.ops;
+    }
+}
+
+// True when the operation does not change the document
+function isNoop(operation) {
+    return operation.length === 0 || (operation.length === 1 && isRetain(operation[0]));
+}
+
+// Apply an operation to a string and return the new string
+function applyOperation(doc, operation) {
+    if (baseLength(operation) !== doc.length) {
+        throw new Error('Operation base length does not match document length');
+    }
+
+    const parts = [];
+    let index = 0;
+    operation.forEach(component => {
+        if (isRetain(component)) {
+            parts.push(doc.slice(index, index + component));
+            index += component;
+        } else if (isInsert(component)) {
+            parts.push(component);
+        } else {
+            index -= component;
+        }
+    });
+    return parts.join('');
+}
+
+// Transform two concurrent operations a and b that apply to the same
+// document. Returns [a', b'] such that apply(apply(doc, a), b') equals
+// apply(apply(doc, b), a'). When both insert at the same position a wins.
+function transform(a, b) {
+    if (baseLength(a) !== baseLength(b)) {
+        throw new Error('Both operations have to have the same base length');
+    }
+
+    const aPrime = new OperationBuilder();
+    const bPrime = new OperationBuilder();
+    let i = 0;
+    let j = 0;
+    let opA = a[i++];
+    let opB = b[j++];
+
+    while (opA !== undefined || opB !== undefined) {
+        if (isInsert(opA)) {
+            aPrime.insert(opA);
+            bPrime.retain(opA.length);
+            opA = a[i++];
+            continue;
+        }
+        if (isInsert(opB)) {
+            aPrime.retain(opB.length);
+            bPrime.insert(opB);
+            opB = b[j++];
+            continue;
+        }
+
+        if (opA === undefined || opB === undefined) {
+            throw new Error('Cannot transform operations: first operation is too short');
+        }
+
+        let minLength;
+        if (isRetain(opA) && isRetain(opB)) {
+            minLength = Math.min(opA, opB);
+            aPrime.retain(minLength);
+            bPrime.retain(minLength);
+            if (opA > opB) {
+                opA -= opB;
+                opB = b[j++];
+            } else if (opA === opB) {
+                opA = a[i++];
+                opB = b[j++];
+            } else {
+                opB -= opA;
+                opA = a[i++];
+            }
+        } else if (isDelete(opA) && isDelete(opB)) {
+            // Both deleted the same text, nothing left to do for that span
+            if (-opA > -opB) {
+                opA -= opB;
+                opB = b[j++];
+            } else if (opA === opB) {
+                opA = a[i++];
+                opB = b[j++];
+            } else {
+                opB -= opA;
+                opA = a[i++];
+            }
+        } else if (isDelete(opA) && isRetain(opB)) {
+            minLength = Math.min(-opA, opB);
+            aPrime.delete(minLength);
+            if (-opA > opB) {
+                opA += opB;
+                opB = b[j++];
+            } else if (-opA === opB) {
+                opA = a[i++];
+                opB = b[j++];
+            } else {
+                opB += opA;
+                opA = a[i++];
+            }
+        } else if (isRetain(opA) && isDelete(opB)) {
+            minLength = Math.min(opA, -opB);
+            bPrime.delete(minLength);
+            if (opA > -opB) {
+                opA += opB;
+                opB = b[j++];
+            } else if (opA === -opB) {
+                opA = a[i++];
+                opB = b[j++];
+            } else {
+                opB += opA;
+                opA = a[i++];
+            }
+        } else {
+            throw new Error('Cannot transform operations: invalid components');
+        }
+    }
+
+    return [aPrime.build(), bPrime.build()];
+}
+
+// Build the smallest single-span operation that turns oldDoc into newDoc.
+// Used for clients that still send whole buffers.
+function operationFromDiff(oldDoc, newDoc) {
+    let prefix = 0;
+    const maxPrefix = Math.min(oldDoc.length, newDoc.length);
+    while (prefix < maxPrefix && oldDoc.charCodeAt(prefix) === newDoc.charCodeAt(prefix)) {
+        prefix++;
+    }
+
+    let suffix = 0;
+    const maxSuffix = maxPrefix - prefix;
+    while (
+        suffix < maxSuffix &&
+        oldDoc.charCodeAt(oldDoc.length - 1 - suffix) === newDoc.charCodeAt(newDoc.length - 1 - suffix)
+    ) {
+        suffix++;
+    }
+
+    return new OperationBuilder()
+        .retain(prefix)
+        .insert(newDoc.slice(prefix, newDoc.length - suffix))
+        .delete(oldDoc.length - prefix - suffix)
+        .retain(suffix)
+        .build();
+}
+
+// Map a character offset in the old document to the matching offset after
+// the operation. Inserts at the offset push it forward unless stickToStart.
+function transformIndex(index, operation, stickToStart = false) {
+    let newIndex = index;
+    let position = 0;
+
+    for (const component of operation) {
+        if (position > index) break;
+        if (isRetain(component)) {
+            position += component;
+        } else if (isInsert(component)) {
+            if (position < index || (position === index && !stickToStart)) {
+                newIndex += component.length;
+            }
+        } else {
+            newIndex -= Math.min(index - position, -component);
+            position -= component;
+        }
+    }
+
+    return newIndex;
+}
+
+export {
+    isValidOperation,
+    baseLength,
+    targetLength,
+    isNoop,
+    applyOperation,
+    transform,
+    operationFromDiff,
+    transformIndex
+};
@@ -0,0 +1,189 @@
+import { transformIndex } from './otEngine.js';
+
+// How often cursor/selection updates are relayed per user
+const CURSOR_THROTTLE_MS = 50;
+// Users without any activity for this long are reported as idle
+const IDLE_TIMEOUT_MS = 60 * 1000;
+const IDLE_CHECK_INTERVAL_MS = 15 * 1000;
+
+// Tracks where every connected user is working: active file, caret and
+// selections (as character offsets) and whether they are idle
+class PresenceManager {
+    constructor(io) {
+        this.io = io;
+        this.users = new Map(); // Presence entries by socket id
+
+        this.idleTimer = setInterval(() => this.checkIdleUsers(), IDLE_CHECK_INTERVAL_MS);
+        this.idleTimer.unref();
+    }
+
+    // Register a user in a room
+    join(socketId, roomCode, username, activeFile) {
+        this.leave(socketId);
+
+        this.users.set(socketId, {
+            roomCode,
+            username,
+            activeFile: activeFile || null,
+            cursor: null,
+            selections: [],
+            lastActivity: Date.now(),
+            idle: false,
+            lastBroadcast: 0,
+            throttleTimer: null
+        });
+
+        this.broadcastPresence(socketId);
+    }
+
+    // Remove a user and tell the room their caret is gone
+    leave(socketId) {
+        const entry = this.users.get(socketId);
+        if (!entry) return;
+
+        clearTimeout(entry.throttleTimer);
+        this.users.delete(socketId);
+        this.io.to(entry.roomCode).emit('presence-left', { userId: socketId });
+    }
+
+    // Mark a user as active, waking them up if they were idle
+    touch(socketId) {
+        const entry = this.users.get(socketId);
+        if (!entry) return;
+
+        entry.lastActivity = Date.now();
+        if (entry.idle) {
+            entry.idle = false;
+            this.broadcastPresence(socketId);
+        }
+    }
+
+    // Record the file a user is looking at (clears their caret)
+    setActiveFile(socketId, fileName) {
+        const entry = this.users.get(socketId);
+        if (!entry || entry.activeFile === fileName) return;
+
+        entry.activeFile = fileName || null;
+        entry.cursor = null;
+        entry.selections = [];
+        this.broadcastPresence(socketId);
+    }
+
+    // Store a caret/selection update and relay it to the room (throttled)
+    updateCursor(socketId, { fileName, cursor, selections }) {
+        const entry = this.users.get(socketId);
+        if (!entry) return false;
+
+        if (fileName && fileName !== entry.activeFile) {
+            entry.activeFile = fileName;
+        }
+        entry.cursor = Number.isInteger(cursor) && cursor >= 0 ? cursor : null;
+        entry.selections = Array.isArray(selections)
+            ? selections
+                .filter(selection => Number.isInteger(selection?.anchor) && Number.isInteger(selection?.head))
+                .map(({ anchor, head }) => ({ anchor, head }))
+            : [];
+
+        this.touch(socketId);
+        this.scheduleCursorBroadcast(socketId);
+        return true;
+    }
+
+    scheduleCursorBroadcast(socketId) {
+        const entry = this.users.get(socketId);
+        if (!entry || entry.throttleTimer) return; // Pending send picks up the latest state
+
+        const wait = entry.lastBroadcast + CURSOR_THROTTLE_MS - Date.now();
+        if (wait <= 0) {
+            this.broadcastCursor(socketId);
+            return;
+        }
+
+        entry.throttleTimer = setTimeout(() => {
+            entry.throttleTimer = null;
+            this.broadcastCursor(socketId);
+        }, wait);
+    }
+
+    broadcastCursor(socketId) {
+        const entry = this.users.get(socketId);
+        if (!entry) return;
+
+        entry.lastBroadcast = Date.now();
+        this.io.to(entry.roomCode).except(socketId).emit('remote-cursor', {
+            userId: socketId,
+            username: entry.username,
+            fileName: entry.activeFile,
+            cursor: entry.cursor,
+            selections: entry.selections
+        });
+    }
+
+    broadcastPresence(socketId) {
+        const entry = this.users.get(socketId);
+        if (!entry) return;
+
+        this.io.to(entry.roomCode).emit('presence-update', this.toSnapshot(socketId, entry));
+    }
+
+    // Shift stored carets in a file after an edit so snapshots stay accurate
+    transformCursors(roomCode, fileName, operation, fromUser) {
+        this.users.forEach((entry, socketId) => {
+            if (socketId === fromUser || entry.roomCode !== roomCode || entry.activeFile !== fileName) return;
+
+            if (entry.cursor !== null) {
+                entry.cursor = transformIndex(entry.cursor, operation);
+            }
+            entry.selections = entry.selections.map(({ anchor, head }) => ({
+                anchor: transformIndex(anchor, operation),
+                head: transformIndex(head, operation)
+            }));
+        });
+    }
+
+    // Follow files that were renamed or moved
+    moveFile(roomCode, remap) {
+        this.users.forEach(entry => {
+            if (entry.roomCode !== roomCode || !entry.activeFile) return;
+            const newPath = remap(entry.activeFile);
+            if (newPath) {
+                entry.activeFile = newPath;
+            }
+        });
+    }
+
+    checkIdleUsers() {
+        const now = Date.now();
+        this.users.forEach((entry, socketId) => {
+            if (!entry.idle && now - entry.lastActivity > IDLE_TIMEOUT_MS) {
+                entry.idle = true;
+                this.broadcastPresence(socketId);
+            }
+        });
+    }
+
+    toSnapshot(socketId, entry) {
+        return {
+            userId: socketId,
+            username: entry.username,
+            activeFile: entry.activeFile,
+            cursor: entry.cursor,
+            selections: entry.selections,
+            idle: entry.idle,
+            lastActivity: entry.lastActivity
+        };
+    }
+
+    // Presence of everyone in a room
+    getRoomPresence(roomCode) {
+        const snapshot = [];
+        this.users.forEach((entry, socketId) => {
+            if (entry.roomCode === roomCode) {
+                snapshot.push(this.toSnapshot(socketId, entry));
+            }
+        });
+        return snapshot;
+    }
+}
+
+export default PresenceManager;
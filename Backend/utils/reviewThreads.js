@@ -0,0 +1,283 @@
+import reviewThreadModel from '../models/reviewThreadModel.js';
+import { transformIndex } from './otEngine.js';
+
+// Anchors moved by edits are saved (and sent to the room) at most this often
+const ANCHOR_SAVE_INTERVAL_MS = 1000;
+const MAX_COMMENT_LENGTH = 4000;
+
+const reviewError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// 1-based line of a character offset
+const lineAt = (content, offset) => {
+    let line = 1;
+    for (let i = 0; i < offset && i < content.length; i++) {
+        if (content.charCodeAt(i) === 10) line++;
+    }
+    return line;
+};
+
+const describeThread = (thread) => ({
+    id: thread._id.toString(),
+    fileName: thread.fileName,
+    startLine: thread.startLine,
+    endLine: thread.endLine,
+    author: thread.author?.username || null,
+    authorId: thread.author?.userId || null,
+    resolved: thread.resolved,
+    resolvedBy: thread.resolvedBy?.username || null,
+    resolvedAt: thread.resolvedAt,
+    comments: thread.comments.map(comment => ({
+        id: comment._id.toString(),
+        author: comment.author?.username || null,
+        authorId: comment.author?.userId || null,
+        text: comment.text,
+        createdAt: comment.createdAt
+    })),
+    createdAt: thread.createdAt,
+    updatedAt: thread.updatedAt
+});
+
+const commentText = (text) => {
+    const body = typeof text === 'string' ? text.trim() : '';
+    if (!body) {
+        throw reviewError('Comment is empty');
+    }
+    if (body.length > MAX_COMMENT_LENGTH) {
+        throw reviewError(`Comments can be at most ${MAX_COMMENT_LENGTH} characters`);
+    }
+    return body;
+};
+
+// Review threads of the loaded rooms. Threads are kept in memory so their
+// anchors can follow every edit, the way carets do.
+class ReviewThreads {
+    constructor(io) {
+        this.io = io;
+        this.rooms = new Map(); // roomCode -> Map of threads by id
+        this.loading = new Map(); // roomCode -> pending load
+        this.movedAnchors = new Map(); // roomCode -> { threadIds, timer }
+    }
+
+    // Load the threads of a room, once
+    async loadRoom(roomCode) {
+        if (this.rooms.has(roomCode)) return;
+        if (!this.loading.has(roomCode)) {
+            this.loading.set(roomCode, reviewThreadModel.find({ roomCode }).then(threads => {
+                this.rooms.set(roomCode, new Map(threads.map(thread => [thread._id.toString(), thread])));
+            }).finally(() => {
+                this.loading.delete(roomCode);
+            }));
+        }
+        await this.loading.get(roomCode);
+    }
+
+    threadsOf(roomCode) {
+        const threads = this.rooms.get(roomCode);
+        if (!threads) {
+            throw reviewError('Room is not active', 404);
+        }
+        return threads;
+    }
+
+    findThread(roomCode, threadId) {
+        const thread = this.threadsOf(roomCode).get(threadId);
+        if (!thread) {
+            throw reviewError('Thread not found', 404);
+        }
+        return thread;
+    }
+
+    // Threads of a room, optionally of one file, oldest first
+    list(roomCode, fileName) {
+        return Array.from(this.threadsOf(roomCode).values())
+            .filter(thread => !fileName || thread.fileName === fileName)
+            .sort((a, b) => a.createdAt - b.createdAt)
+            .map(describeThread);
+    }
+
+    // Start a thread on lines startLine-endLine (1-based, inclusive) of a file
+    async create(roomCode, fileName, content, { startLine, endLine = startLine, text }, author) {
+        const threads = this.threadsOf(roomCode);
+        const lines = content.split('\n');
+        if (!Number.isInteger(startLine) || !Number.isInteger(endLine) ||
+            startLine < 1 || endLine < startLine || endLine > lines.length) {
+            throw reviewError(`Lines must be within 1-${lines.length} of ${fileName}`);
+        }
+
+        // The anchor runs from the start of the first line to the end of the last
+        const startOffset = lines.slice(0, startLine - 1).reduce((offset, line) => offset + line.length + 1, 0);
+        const endOffset = lines.slice(0, endLine).reduce((offset, line) => offset + line.length + 1, 0) - 1;
+
+        const thread = await reviewThreadModel.create({
+            roomCode,
+            fileName,
+            startOffset,
+            endOffset,
+            startLine,
+            endLine,
+            author,
+            comments: [{ author, text: commentText(text) }]
+        });
+        threads.set(thread._id.toString(), thread);
+        return describeThread(thread);
+    }
+
+    async reply(roomCode, threadId, text, author) {
+        const thread = this.findThread(roomCode, threadId);
+        thread.comments.push({ author, text: commentText(text) });
+        thread.updatedAt = new Date();
+        await thread.save();
+        return describeThread(thread);
+    }
+
+    async setResolved(roomCode, threadId, resolved, author) {
+        const thread = this.findThread(roomCode, threadId);
+        thread.resolved = !!resolved;
+        thread.resolvedBy = resolved ? author : undefined;
+        thread.resolvedAt = resolved ? new Date() : null;
+        thread.updatedAt = new Date();
+        await thread.save();
+        return describeThread(thread);
+    }
+
+    // Shift the anchors of a file through an operation applied to it
+    transform(roomCode, fileName, operation, content) {
+        const threads = this.rooms.get(roomCode);
+        if (!threads) return;
+
+        threads.forEach((thread, threadId) => {
+            if (thread.fileName !== fileName) return;
+
+            const startOffset = transformIndex(thread.startOffset, operation);
+            const endOffset = Math.max(startOffset, transformIndex(thread.endOffset, operation));
+            if (startOffset === thread.startOffset && endOffset === thread.endOffset) return;
+
+            thread.startOffset = startOffset;
+            thread.endOffset = endOffset;
+            thread.startLine = lineAt(content, startOffset);
+            thread.endLine = lineAt(content, endOffset);
+            this.markMoved(roomCode, threadId);
+        });
+    }
+
+    markMoved(roomCode, threadId) {
+        let entry = this.movedAnchors.get(roomCode);
+        if (!entry) {
+            entry = { threadIds: new Set(), timer: null };
+            this.movedAnchors.set(roomCode, entry);
+        }
+        entry.threadIds.add(threadId);
+
+        if (entry.timer) return; // Pending save picks this one up
+        entry.timer = setTimeout(() => {
+            this.saveAnchors(roomCode).catch(error => {
+                console.error(`Error saving review anchors for room ${roomCode}:`, error);
+            });
+        }, ANCHOR_SAVE_INTERVAL_MS);
+    }
+
+    // Save moved anchors and tell the room where its threads are now. The
+    // write batch is built synchronously, so the room can be unloaded right after.
+    async saveAnchors(roomCode) {
+        const entry = this.movedAnchors.get(roomCode);
+        const threads = this.rooms.get(roomCode);
+        if (!entry) return;
+
+        clearTimeout(entry.timer);
+        this.movedAnchors.delete(roomCode);
+
+        const moved = Array.from(entry.threadIds).map(threadId => threads?.get(threadId)).filter(Boolean);
+        if (moved.length === 0) return;
+
+        this.io.to(roomCode).emit('review-anchors-moved', {
+            anchors: moved.map(thread => ({
+                id: thread._id.toString(),
+                fileName: thread.fileName,
+                startLine: thread.startLine,
+                endLine: thread.endLine
+            }))
+        });
+
+        await reviewThreadModel.bulkWrite(moved.map(thread => ({
+            updateOne: {
+                filter: { _id: thread._id },
+                update: {
+                    $set: {
+                        startOffset: thread.startOffset,
+                        endOffset: thread.endOffset,
+                        startLine: thread.startLine,
+                        endLine: thread.endLine
+                    }
+                }
+            }
+        })), { ordered: false });
+    }
+
+    // Keep threads attached to files that are renamed or moved (remap returns
+    // the new path, or null for unrelated paths)
+    async move(roomCode, remap) {
+        const threads = this.rooms.get(roomCode);
+        if (!threads) return [];
+
+        const moved = [];
+        threads.forEach(thread => {
+            const newFileName = remap(thread.fileName);
+            if (newFileName) {
+                thread.fileName = newFileName;
+                moved.push(thread);
+            }
+        });
+
+        if (moved.length > 0) {
+            await reviewThreadModel.bulkWrite(moved.map(thread => ({
+                updateOne: {
+                    filter: { _id: thread._id },
+                    update: { $set: { fileName: thread.fileName } }
+                }
+            })), { ordered: false });
+        }
+        return moved.map(describeThread);
+    }
+
+    // Drop the threads of deleted files (or files under deleted folders),
+    // returning their ids
+    async remove(roomCode, itemPaths) {
+        const threads = this.rooms.get(roomCode);
+        if (!threads) return [];
+
+        const isRemoved = (fileName) => itemPaths.some(itemPath => fileName === itemPath || fileName.startsWith(itemPath + '/'));
+        const removed = Array.from(threads.entries())
+            .filter(([, thread]) => isRemoved(thread.fileName))
+            .map(([threadId]) => threadId);
+        removed.forEach(threadId => threads.delete(threadId));
+
+        if (removed.length > 0) {
+            await reviewThreadModel.deleteMany({ _id: { $in: removed } });
+        }
+        return removed;
+    }
+
+    // Save what is pending and forget the room's threads
+    unloadRoom(roomCode) {
+        this.saveAnchors(roomCode).catch(error => {
+            console.error(`Error saving review anchors for room ${roomCode}:`, error);
+        });
+        this.rooms.delete(roomCode);
+    }
+
+    async deleteRoom(roomCode) {
+        const entry = this.movedAnchors.get(roomCode);
+        if (entry) {
+            clearTimeout(entry.timer);
+            this.movedAnchors.delete(roomCode);
+        }
+        this.rooms.delete(roomCode);
+        await reviewThreadModel.deleteMany({ roomCode });
+    }
+}
+
+export default ReviewThreads;
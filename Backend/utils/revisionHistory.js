@@ -0,0 +1,240 @@
+import { createTwoFilesPatch } from 'diff';
+import fileRevisionModel from '../models/fileRevisionModel.js';
+
+// A burst of edits by one author becomes a single revision once they pause...
+const REVISION_IDLE_MS = 10 * 1000;
+// ...or once the burst has been going on for this long
+const REVISION_MAX_BURST_MS = 2 * 60 * 1000;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Records author-attributed snapshots of room files. Keystrokes are coalesced
+// per author so the history stays readable.
+class RevisionHistory {
+    constructor() {
+        this.pending = new Map(); // Open bursts by `${roomCode}/${fileName}`
+        this.baselines = new Set(); // Files known to have at least one revision
+    }
+
+    key(roomCode, fileName) {
+        return `${roomCode}/${fileName}`;
+    }
+
+    // Note a change to a file. previousContent is null for newly created files.
+    record(roomCode, fileName, previousContent, content, { author = null, source = 'editor' } = {}) {
+        const key = this.key(roomCode, fileName);
+        const now = Date.now();
+        let pending = this.pending.get(key);
+
+        if (pending && (
+            pending.author?.userId !== author?.userId ||
+            pending.source !== source ||
+            now - pending.startedAt > REVISION_MAX_BURST_MS
+        )) {
+            this.commit(key);
+            pending = null;
+        }
+
+        if (!pending) {
+            pending = {
+                roomCode,
+                fileName,
+                author,
+                source,
+                previousContent,
+                content,
+                startedAt: now,
+                timer: null
+            };
+            this.pending.set(key, pending);
+        }
+
+        pending.content = content;
+        clearTimeout(pending.timer);
+
+        // Restores, imports and terminal writes are single events, no need to wait
+        if (source !== 'editor') {
+            this.commit(key);
+        } else {
+            // Keyed when it fires, move() may have renamed the file since
+            pending.timer = setTimeout(() => this.commit(this.key(pending.roomCode, pending.fileName)), REVISION_IDLE_MS);
+        }
+    }
+
+    // Save an open burst
+    commit(key) {
+        const pending = this.pending.get(key);
+        if (!pending) return Promise.resolve();
+
+        clearTimeout(pending.timer);
+        this.pending.delete(key);
+
+        return this.save(key, pending).catch(error => {
+            console.error(`Error saving revision of ${pending.fileName} in room ${pending.roomCode}:`, error);
+        });
+    }
+
+    async save(key, { roomCode, fileName, author, source, previousContent, content }) {
+        // The first time a file is edited keep what it looked like before
+        if (!this.baselines.has(key)) {
+            this.baselines.add(key);
+            const hasRevisions = await fileRevisionModel.exists({ roomCode, fileName });
+            if (!hasRevisions && previousContent !== null && previousContent !== content) {
+                await fileRevisionModel.create({
+                    roomCode,
+                    fileName,
+                    content: previousContent,
+                    source: 'snapshot',
+                    createdAt: new Date(Date.now() - 1)
+                });
+            }
+        }
+
+        await fileRevisionModel.create({
+            roomCode,
+            fileName,
+            content,
+            author: author || undefined,
+            source
+        });
+    }
+
+    // Save open bursts of one file (or of a whole room)
+    async flush(roomCode, fileName) {
+        const prefix = fileName ? this.key(roomCode, fileName) : `${roomCode}/`;
+        const keys = Array.from(this.pending.keys()).filter(key =>
+            fileName ? key === prefix : key.startsWith(prefix)
+        );
+        await Promise.all(keys.map(key => this.commit(key)));
+    }
+
+    // Newest first, paginated by date
+    async list(roomCode, fileName, { limit = 50, before } = {}) {
+        await this.flush(roomCode, fileName);
+
+        const filter = { roomCode, fileName };
+        if (before) {
+            filter.createdAt = { $lt: new Date(before) };
+        }
+
+        const revisions = await fileRevisionModel.find(filter)
+            .sort({ createdAt: -1 })
+            .limit(Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200))
+            .lean();
+
+        return revisions.map(revision => ({
+            id: revision._id.toString(),
+            author: revision.author?.username || null,
+            authorId: revision.author?.userId || null,
+            source: revision.source,
+            createdAt: revision.createdAt,
+            size: revision.content.length
+        }));
+    }
+
+    async get(roomCode, fileName, revisionId) {
+        await this.flush(roomCode, fileName);
+        return fileRevisionModel.findOne({ _id: revisionId, roomCode, fileName }).lean();
+    }
+
+    // Unified diff between two revisions; a missing id stands for `currentContent`
+    async diff(roomCode, fileName, fromRevisionId, toRevisionId, currentContent) {
+        const load = async (revisionId) => {
+            if (!revisionId || revisionId === 'current') {
+                return { content: currentContent, label: 'current' };
+            }
+            const revision = await this.get(roomCode, fileName, revisionId);
+            if (!revision) {
+                throw new Error(`Revision ${revisionId} not found`);
+            }
+            return { content: revision.content, label: revision.createdAt.toISOString() };
+        };
+
+        const from = await load(fromRevisionId);
+        const to = await load(toRevisionId);
+        return createTwoFilesPatch(`a/${fileName}`, `b/${fileName}`, from.content, to.content, from.label, to.label);
+    }
+
+    // Keep history attached to files that are renamed or moved
+    async move(roomCode, oldPath, newPath) {
+        const remap = (fileName) => {
+            if (fileName === oldPath) return newPath;
+            if (fileName.startsWith(oldPath + '/')) return newPath + fileName.substring(oldPath.length);
+            return null;
+        };
+
+        Array.from(this.pending.entries()).forEach(([key, pending]) => {
+            const newFileName = pending.roomCode === roomCode && remap(pending.fileName);
+            if (newFileName) {
+                this.pending.delete(key);
+                pending.fileName = newFileName;
+                this.pending.set(this.key(roomCode, newFileName), pending);
+            }
+        });
+        Array.from(this.baselines).forEach(key => {
+            if (key.startsWith(`${roomCode}/`)) {
+                const newFileName = remap(key.substring(roomCode.length + 1));
+                if (newFileName) {
+                    this.baselines.delete(key);
+                    this.baselines.add(this.key(roomCode, newFileName));
+                }
+            }
+        });
+
+        const revisions = await fileRevisionModel.find({
+            roomCode,
+            fileName: { $regex: `^${escapeRegex(oldPath)}(/|$)` }
+        }).select('fileName').lean();
+
+        if (revisions.length > 0) {
+            await fileRevisionModel.bulkWrite(revisions.map(revision => ({
+                updateOne: {
+                    filter: { _id: revision._id },
+                    update: { $set: { fileName: remap(revision.fileName) } }
+                }
+            })));
+        }
+    }
+
+    // Forget the history of deleted files
+    async remove(roomCode, fileNames) {
+        fileNames.forEach(fileName => {
+            const key = this.key(roomCode, fileName);
+            const pending = this.pending.get(key);
+            if (pending) {
+                clearTimeout(pending.timer);
+                this.pending.delete(key);
+            }
+            this.baselines.delete(key);
+        });
+        await fileRevisionModel.deleteMany({ roomCode, fileName: { $in: fileNames } });
+    }
+
+    forgetBaselines(roomCode) {
+        Array.from(this.baselines).forEach(key => {
+            if (key.startsWith(`${roomCode}/`)) this.baselines.delete(key);
+        });
+    }
+
+    // A room left memory: save its open bursts, and check for baselines again
+    // if it comes back
+    async unloadRoom(roomCode) {
+        const saved = this.flush(roomCode);
+        this.forgetBaselines(roomCode);
+        await saved;
+    }
+
+    // Forget everything about a deleted room
+    async deleteRoom(roomCode) {
+        Array.from(this.pending.entries()).forEach(([key, pending]) => {
+            if (pending.roomCode === roomCode) {
+                clearTimeout(pending.timer);
+                this.pending.delete(key);
+            }
+        });
+        this.forgetBaselines(roomCode);
+        await fileRevisionModel.deleteMany({ roomCode });
+    }
+}
+
+export default RevisionHistory;
@@ -0,0 +1,118 @@
+import chatMessageModel from '../models/chatMessageModel.js';
+
+const MAX_MESSAGE_LENGTH = 4000;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_PREVIEW_LENGTH = 2000;
+
+// @name, where names may contain letters, digits, dots, dashes and underscores
+const MENTION_PATTERN = /(^|[^\w@])@([\w.-]+)/g;
+
+const chatError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+// What clients get to see of a message
+export const describeMessage = (message) => ({
+    id: message._id.toString(),
+    roomCode: message.roomCode,
+    author: message.author?.username || null,
+    authorId: message.author?.userId || null,
+    text: message.text,
+    mentions: message.mentions || [],
+    codeRef: message.codeRef?.fileName ? {
+        fileName: message.codeRef.fileName,
+        startLine: message.codeRef.startLine,
+        endLine: message.codeRef.endLine,
+        preview: message.codeRef.preview
+    } : null,
+    createdAt: message.createdAt
+});
+
+// Names mentioned in a message that match one of `usernames` (case-insensitive),
+// in the spelling of `usernames`
+export function findMentions(text, usernames) {
+    const known = new Map(usernames.filter(Boolean).map(name => [name.toLowerCase(), name]));
+    const mentions = new Set();
+    for (const match of text.matchAll(MENTION_PATTERN)) {
+        // Trailing dots are punctuation ("thanks @sam.")
+        const name = known.get(match[2].replace(/\.+$/, '').toLowerCase());
+        if (name) mentions.add(name);
+    }
+    return Array.from(mentions);
+}
+
+// Check a { fileName, startLine, endLine } reference against the room's files.
+// Lines are 1-based and inclusive; endLine defaults to startLine.
+export function resolveCodeRef(files, codeRef) {
+    if (!codeRef) return null;
+
+    const { fileName, startLine } = codeRef;
+    const endLine = codeRef.endLine ?? startLine;
+    const fileEntry = files?.[fileName];
+    if (!fileEntry || fileEntry.type !== 'file' || fileEntry.binary) {
+        throw chatError(`File ${fileName} not found`);
+    }
+
+    const lines = (fileEntry.content || '').split('\n');
+    if (!Number.isInteger(startLine) || !Number.isInteger(endLine) ||
+        startLine < 1 || endLine < startLine || endLine > lines.length) {
+        throw chatError(`Lines must be within 1-${lines.length} of ${fileName}`);
+    }
+
+    return {
+        fileName,
+        startLine,
+        endLine,
+        preview: lines.slice(startLine - 1, endLine).join('\n').slice(0, MAX_PREVIEW_LENGTH)
+    };
+}
+
+// Validate and store a message. Returns the saved document.
+export async function postMessage(roomCode, author, { text, codeRef } = {}, { files, usernames = [] } = {}) {
+    const body = typeof text === 'string' ? text.trim() : '';
+    const ref = resolveCodeRef(files, codeRef);
+    if (!body && !ref) {
+        throw chatError('Message is empty');
+    }
+    if (body.length > MAX_MESSAGE_LENGTH) {
+        throw chatError(`Messages can be at most ${MAX_MESSAGE_LENGTH} characters`);
+    }
+
+    return chatMessageModel.create({
+        roomCode,
+        author,
+        text: body,
+        mentions: findMentions(body, usernames),
+        codeRef: ref || undefined
+    });
+}
+
+// Newest first, paginated by date. hasMore tells whether older messages exist.
+export async function listMessages(roomCode, { limit = DEFAULT_PAGE_SIZE, before } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const filter = { roomCode };
+    if (before) {
+        const beforeDate = new Date(before);
+        if (Number.isNaN(beforeDate.getTime())) {
+            throw chatError('before must be a date');
+        }
+        filter.createdAt = { $lt: beforeDate };
+    }
+
+    const messages = await chatMessageModel.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(pageSize + 1)
+        .lean();
+
+    return {
+        messages: messages.slice(0, pageSize).map(describeMessage),
+        hasMore: messages.length > pageSize
+    };
+}
+
+export async function deleteRoomMessages(roomCode) {
+    await chatMessageModel.deleteMany({ roomCode });
+}
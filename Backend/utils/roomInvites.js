@@ -0,0 +1,141 @@
+import jwt from 'jsonwebtoken';
+import roomModel from '../models/roomModel.js';
+import roomInviteModel from '../models/roomInviteModel.js';
+import { ROLES, ASSIGNABLE_ROLES } from './roomRoles.js';
+
+const DEFAULT_INVITE_TTL_SECONDS = 24 * 60 * 60;
+const MAX_INVITE_TTL_SECONDS = 30 * 24 * 60 * 60;
+const MAX_INVITE_USES = 1000;
+const INVITE_PURPOSE = 'room-invite';
+
+const inviteError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// What owners get to see of an invite (never the token itself)
+export const describeInvite = (invite) => ({
+    id: invite._id.toString(),
+    roomCode: invite.roomCode,
+    role: invite.role,
+    maxUses: invite.maxUses,
+    uses: invite.uses,
+    expiresAt: invite.expiresAt,
+    createdBy: invite.createdBy?.username || null,
+    createdAt: invite.createdAt
+});
+
+// Create an invite and sign its token. expiresIn is in seconds.
+export async function createInvite(roomCode, { expiresIn, maxUses, role = 'editor' } = {}, createdBy) {
+    const ttl = expiresIn === undefined || expiresIn === null ? DEFAULT_INVITE_TTL_SECONDS : parseInt(expiresIn, 10);
+    if (!Number.isInteger(ttl) || ttl < 60 || ttl > MAX_INVITE_TTL_SECONDS) {
+        throw inviteError(`expiresIn must be between 60 and ${MAX_INVITE_TTL_SECONDS} seconds`);
+    }
+
+    const uses = maxUses === undefined || maxUses === null ? null : parseInt(maxUses, 10);
+    if (uses !== null && (!Number.isInteger(uses) || uses < 1 || uses > MAX_INVITE_USES)) {
+        throw inviteError(`maxUses must be between 1 and ${MAX_INVITE_USES}`);
+    }
+
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+        throw inviteError(`Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`);
+    }
+
+    const invite = await roomInviteModel.create({
+        roomCode,
+        role,
+        maxUses: uses,
+        createdBy: { userId: createdBy._id, username: createdBy.userName },
+        expiresAt: new Date(Date.now() + ttl * 1000)
+    });
+
+    const token = jwt.sign(
+        { inviteId: invite._id.toString(), roomCode: invite.roomCode, purpose: INVITE_PURPOSE },
+        process.env.JWT_SECRET,
+        { expiresIn: ttl }
+    );
+
+    return { token, invite };
+}
+
+// Invites of a room that can still be used, newest first
+export async function listInvites(roomCode) {
+    const invites = await roomInviteModel.find({ roomCode, expiresAt: { $gt: new Date() } })
+        .sort({ createdAt: -1 })
+        .lean();
+    return invites.filter(invite => invite.maxUses === null || invite.uses < invite.maxUses);
+}
+
+export async function revokeInvite(roomCode, inviteId) {
+    const { deletedCount } = await roomInviteModel.deleteOne({ _id: inviteId, roomCode });
+    return deletedCount > 0;
+}
+
+const verifyInviteToken = (token) => {
+    let payload;
+    try {
+        payload = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        throw inviteError('Invite link is invalid or has expired', 410);
+    }
+    if (payload.purpose !== INVITE_PURPOSE) {
+        throw inviteError('Invite link is invalid or has expired', 410);
+    }
+    return payload;
+};
+
+// The room an invite token is for, without using the invite up
+export const inviteRoomCode = (token) => verifyInviteToken(token).roomCode;
+
+// Use up one redemption of an invite. Signed-in users become members of the
+// room with the invite's role (an existing member is only ever promoted).
+// Resolves to { roomCode, role }.
+export async function redeemInvite(token, user) {
+    const payload = verifyInviteToken(token);
+
+    const room = await roomModel.findOne({ roomCode: payload.roomCode });
+    if (!room) {
+        throw inviteError('Room not found', 404);
+    }
+    if (user && room.isBanned(user._id)) {
+        throw inviteError('You have been banned from this room', 403);
+    }
+
+    const invite = await roomInviteModel.findOneAndUpdate(
+        {
+            _id: payload.inviteId,
+            roomCode: payload.roomCode,
+            expiresAt: { $gt: new Date() },
+            $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }]
+        },
+        { $inc: { uses: 1 } },
+        { new: true }
+    );
+    if (!invite) {
+        throw inviteError('Invite link has been revoked or used up', 410);
+    }
+
+    if (!user) {
+        return { roomCode: room.roomCode, role: invite.role };
+    }
+
+    const member = room.members.find(m => m.userId.equals(user._id));
+    if (!member) {
+        await roomModel.updateOne(
+            { roomCode: room.roomCode, 'members.userId': { $ne: user._id } },
+            { $push: { members: { userId: user._id, username: user.userName, role: invite.role } } }
+        );
+        return { roomCode: room.roomCode, role: invite.role };
+    }
+
+    if (ROLES.indexOf(invite.role) < ROLES.indexOf(member.role)) {
+        await roomModel.updateOne(
+            { roomCode: room.roomCode, 'members.userId': user._id },
+            { $set: { 'members.$.role': invite.role } }
+        );
+        return { roomCode: room.roomCode, role: invite.role };
+    }
+
+    return { roomCode: room.roomCode, role: member.role };
+}
@@ -0,0 +1,202 @@
+import roomModel, { ROOM_LIFECYCLES } from '../models/roomModel.js';
+import roomInviteModel from '../models/roomInviteModel.js';
+import { deleteRoomMessages } from './roomChat.js';
+
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+// Empty ephemeral rooms are normally removed right away; the sweeper only
+// catches ones left behind (e.g. by a restart), after this long
+const EPHEMERAL_GRACE_MS = 5 * 60 * 1000;
+const DEFAULT_IDLE_TIMEOUT_MINUTES = 24 * 60;
+
+const lifecycleError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Archive, unarchive and delete rooms, and periodically bring MongoDB, the
+// in-memory rooms and the working directories on disk back in line
+class RoomLifecycle {
+    constructor({ roomPersistence, revisionHistory, reviewThreads, terminalManager, loadedRooms, closeRoom }) {
+        this.roomPersistence = roomPersistence;
+        this.revisionHistory = revisionHistory;
+        this.reviewThreads = reviewThreads;
+        this.terminalManager = terminalManager;
+        this.loadedRooms = loadedRooms; // () => roomCodes currently in memory
+        this.closeRoom = closeRoom; // (roomCode, reason) => sends everyone out and unloads
+        this.timer = null;
+    }
+
+    isLoaded(roomCode) {
+        return this.loadedRooms().includes(roomCode);
+    }
+
+    async start() {
+        // Rooms used to expire 24 hours after creation through a TTL index
+        try {
+            await roomModel.collection.dropIndex('createdAt_1');
+            console.log('Dropped the old room expiry index');
+        } catch (error) {
+            // Not there, nothing to do
+        }
+
+        this.timer = setInterval(() => {
+            this.sweep().catch(error => {
+                console.error('Error sweeping rooms:', error);
+            });
+        }, SWEEP_INTERVAL_MS);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Someone joined
+    async touch(roomCode) {
+        await roomModel.updateOne({ roomCode }, { $set: { lastActiveAt: new Date() } });
+    }
+
+    // The last person left and the room was unloaded
+    async roomEmptied(roomCode) {
+        const room = await roomModel.findOneAndUpdate(
+            { roomCode },
+            { $set: { lastActiveAt: new Date() } },
+            { new: true }
+        );
+
+        if (room && room.lifecycle === 'ephemeral' && !room.archivedAt && !this.isLoaded(roomCode)) {
+            await this.deleteRoom(roomCode);
+            console.log(`Ephemeral room ${roomCode} removed`);
+        }
+    }
+
+    async setLifecycle(roomCode, { lifecycle, idleTimeoutMinutes }) {
+        const update = {};
+        if (lifecycle !== undefined) {
+            if (!ROOM_LIFECYCLES.includes(lifecycle)) {
+                throw lifecycleError(`Lifecycle must be one of: ${ROOM_LIFECYCLES.join(', ')}`);
+            }
+            update.lifecycle = lifecycle;
+        }
+        if (idleTimeoutMinutes !== undefined) {
+            update.idleTimeoutMinutes = idleTimeoutMinutes;
+        }
+
+        const room = await roomModel.findOneAndUpdate(
+            { roomCode },
+            { $set: update },
+            { new: true, runValidators: true }
+        ).catch(error => {
+            throw error.name === 'ValidationError' || error.name === 'CastError'
+                ? lifecycleError(error.message)
+                : error;
+        });
+        if (!room) {
+            throw lifecycleError('Room not found', 404);
+        }
+        return room;
+    }
+
+    // Send everyone out and keep the files in MongoDB only
+    async archive(roomCode) {
+        const room = await roomModel.findOneAndUpdate(
+            { roomCode, archivedAt: null },
+            { $set: { archivedAt: new Date() } },
+            { new: true }
+        );
+        if (!room) {
+            throw lifecycleError('Room not found or already archived', 409);
+        }
+
+        // Unloading builds the final save synchronously, so the working
+        // directory can go right after
+        this.closeRoom(roomCode, 'archived');
+        this.terminalManager.removeWorkingDirectory(roomCode);
+        return room;
+    }
+
+    async unarchive(roomCode) {
+        const room = await roomModel.findOneAndUpdate(
+            { roomCode, archivedAt: { $ne: null } },
+            { $set: { archivedAt: null, lastActiveAt: new Date() } },
+            { new: true }
+        );
+        if (!room) {
+            throw lifecycleError('Room not found or not archived', 409);
+        }
+        return room;
+    }
+
+    // Remove a room and everything it stored
+    async deleteRoom(roomCode) {
+        this.closeRoom(roomCode, 'deleted');
+
+        await Promise.all([
+            roomModel.deleteOne({ roomCode }),
+            this.roomPersistence.deleteRoom(roomCode),
+            this.revisionHistory.deleteRoom(roomCode),
+            this.reviewThreads.deleteRoom(roomCode),
+            roomInviteModel.deleteMany({ roomCode }),
+            deleteRoomMessages(roomCode)
+        ]);
+        this.terminalManager.removeWorkingDirectory(roomCode);
+    }
+
+    async sweep() {
+        const now = new Date();
+
+        // Ephemeral rooms left behind, and idle rooms past their timeout
+        const expired = await roomModel.find({
+            archivedAt: null,
+            $or: [
+                { lifecycle: 'ephemeral', lastActiveAt: { $lt: new Date(now.getTime() - EPHEMERAL_GRACE_MS) } },
+                {
+                    // Rooms from before lifecycles existed count as idle rooms
+                    lifecycle: { $in: ['idle', null] },
+                    $expr: {
+                        $lt: [
+                            { $ifNull: ['$lastActiveAt', '$createdAt'] },
+                            { $subtract: [now, { $multiply: [{ $ifNull: ['$idleTimeoutMinutes', DEFAULT_IDLE_TIMEOUT_MINUTES] }, 60 * 1000] }] }
+                        ]
+                    }
+                }
+            ]
+        }).select('roomCode').lean();
+
+        for (const { roomCode } of expired) {
+            if (this.isLoaded(roomCode)) continue;
+            await this.deleteRoom(roomCode);
+            console.log(`Room ${roomCode} expired and was removed`);
+        }
+
+        // Working directories are kept between visits only for rooms that
+        // still exist, are not archived and are not ephemeral
+        const unloadedOnDisk = this.terminalManager.listWorkingDirectories().filter(roomCode => !this.isLoaded(roomCode));
+        if (unloadedOnDisk.length > 0) {
+            const kept = await roomModel.find({
+                roomCode: { $in: unloadedOnDisk },
+                archivedAt: null,
+                lifecycle: { $ne: 'ephemeral' }
+            }).select('roomCode').lean();
+            const keptCodes = new Set(kept.map(room => room.roomCode));
+
+            unloadedOnDisk
+                .filter(roomCode => !keptCodes.has(roomCode) && !this.isLoaded(roomCode))
+                .forEach(roomCode => this.terminalManager.removeWorkingDirectory(roomCode));
+        }
+
+        // Rooms still in memory whose record is gone or archived elsewhere
+        const loaded = this.loadedRooms();
+        if (loaded.length > 0) {
+            const active = await roomModel.find({ roomCode: { $in: loaded }, archivedAt: null }).select('roomCode').lean();
+            const activeCodes = new Set(active.map(room => room.roomCode));
+            loaded
+                .filter(roomCode => !activeCodes.has(roomCode))
+                .forEach(roomCode => this.closeRoom(roomCode, 'deleted'));
+        }
+    }
+}
+
+export default RoomLifecycle;
@@ -0,0 +1,200 @@
+import roomFileModel from '../models/roomFileModel.js';
+import { readFromWorkspace } from './workspaceFiles.js';
+
+// Wait this long after the last edit before saving...
+const SAVE_DEBOUNCE_MS = 1000;
+// ...but never hold unsaved edits for longer than this while typing continues
+const SAVE_MAX_WAIT_MS = 5000;
+// Larger binary files are only saved as metadata (MongoDB documents max out at 16MB)
+const MAX_SAVED_BINARY_BYTES = 8 * 1024 * 1024;
+
+// Debounced autosave of room file trees to MongoDB. Callers mark the paths
+// they touched; on flush every dirty path is upserted if it still exists in
+// roomFiles and deleted otherwise.
+class RoomPersistence {
+    constructor(roomFiles, getWorkingDirectory) {
+        this.roomFiles = roomFiles;
+        this.getWorkingDirectory = getWorkingDirectory;
+        this.pending = new Map(); // roomCode -> { paths, timer, firstMarkedAt }
+        this.writing = new Map(); // roomCode -> Set of bulk writes in flight
+    }
+
+    // Queue paths of a room for saving
+    markDirty(roomCode, paths) {
+        if (!roomCode || !paths || paths.length === 0) return;
+
+        let entry = this.pending.get(roomCode);
+        if (!entry) {
+            entry = { paths: new Set(), timer: null, firstMarkedAt: Date.now() };
+            this.pending.set(roomCode, entry);
+        }
+        paths.forEach(itemPath => entry.paths.add(itemPath));
+
+        clearTimeout(entry.timer);
+        const elapsed = Date.now() - entry.firstMarkedAt;
+        const delay = Math.max(0, Math.min(SAVE_DEBOUNCE_MS, SAVE_MAX_WAIT_MS - elapsed));
+        entry.timer = setTimeout(() => {
+            this.flush(roomCode).catch(error => {
+                console.error(`Error saving files for room ${roomCode}:`, error);
+            });
+        }, delay);
+    }
+
+    // Write pending changes of a room. The write batch is built synchronously,
+    // so the room can be unloaded from memory right after calling this.
+    async flush(roomCode) {
+        const entry = this.pending.get(roomCode);
+        if (!entry) return;
+
+        clearTimeout(entry.timer);
+        this.pending.delete(roomCode);
+
+        const files = this.roomFiles[roomCode];
+        if (!files) {
+            // Room was unloaded without a flush, nothing reliable to save
+            return;
+        }
+
+        const operations = Array.from(entry.paths).map(itemPath => {
+            const item = files[itemPath];
+            if (!item) {
+                return { deleteOne: { filter: { roomCode, path: itemPath } } };
+            }
+            if (item.binary) {
+                return {
+                    updateOne: {
+                        filter: { roomCode, path: itemPath },
+                        update: {
+                            $set: {
+                                type: 'file',
+                                content: '',
+                                extension: item.extension,
+                                binary: true,
+                                data: this.readBinary(roomCode, itemPath, item.size),
+                                size: item.size,
+                                mimeType: item.mimeType,
+                                hash: item.hash,
+                                updatedAt: new Date()
+                            }
+                        },
+                        upsert: true
+                    }
+                };
+            }
+            return {
+                updateOne: {
+                    filter: { roomCode, path: itemPath },
+                    update: {
+                        $set: {
+                            type: item.type,
+                            content: item.type === 'file' ? item.content || '' : '',
+                            extension: item.extension,
+                            isExpanded: !!item.isExpanded,
+                            binary: false,
+                            updatedAt: new Date()
+                        },
+                        $unset: { data: '', size: '', mimeType: '', hash: '' }
+                    },
+                    upsert: true
+                }
+            };
+        });
+
+        // Tracked so deleting the room can wait for it; its upserts would
+        // otherwise bring deleted files back
+        const write = roomFileModel.bulkWrite(operations, { ordered: false });
+        if (!this.writing.has(roomCode)) {
+            this.writing.set(roomCode, new Set());
+        }
+        const writes = this.writing.get(roomCode);
+        writes.add(write);
+        try {
+            await write;
+        } finally {
+            writes.delete(write);
+            if (writes.size === 0) {
+                this.writing.delete(roomCode);
+            }
+        }
+    }
+
+    // Bytes of a binary file from the working directory, null if unavailable
+    readBinary(roomCode, itemPath, size) {
+        const workDir = this.getWorkingDirectory(roomCode);
+        if (!workDir || size > MAX_SAVED_BINARY_BYTES) return null;
+
+        try {
+            return readFromWorkspace(workDir, itemPath);
+        } catch (error) {
+            console.error(`Error reading binary file ${itemPath} for room ${roomCode}:`, error.message);
+            return null;
+        }
+    }
+
+    // Save everything that is pending (used on shutdown)
+    async flushAll() {
+        await Promise.all(Array.from(this.pending.keys()).map(roomCode =>
+            this.flush(roomCode).catch(error => {
+                console.error(`Error saving files for room ${roomCode}:`, error);
+            })
+        ));
+    }
+
+    // Read a saved file tree in the roomFiles shape, or null if nothing is saved
+    async loadRoom(roomCode) {
+        const items = await roomFileModel.find({ roomCode }).select('-data').lean();
+        if (items.length === 0) {
+            return null;
+        }
+
+        const files = {};
+        items.forEach(item => {
+            if (item.binary) {
+                files[item.path] = {
+                    type: 'file',
+                    binary: true,
+                    extension: item.extension,
+                    size: item.size,
+                    mimeType: item.mimeType,
+                    hash: item.hash,
+                    isExpanded: false
+                };
+                return;
+            }
+            files[item.path] = item.type === 'file'
+                ? {
+                    content: item.content,
+                    type: 'file',
+                    extension: item.extension || item.path.split('.').pop() || 'txt',
+                    isExpanded: false
+                }
+                : {
+                    type: 'folder',
+                    isExpanded: item.isExpanded
+                };
+        });
+        return files;
+    }
+
+    // Saved bytes of the binary files of a room, as [{ path, data }]
+    async loadBinaryData(roomCode) {
+        const items = await roomFileModel.find({ roomCode, binary: true, data: { $ne: null } })
+            .select('path data')
+            .lean();
+        return items.map(item => ({ path: item.path, data: Buffer.from(item.data.buffer || item.data) }));
+    }
+
+    // Remove every saved file of a room
+    async deleteRoom(roomCode) {
+        const entry = this.pending.get(roomCode);
+        if (entry) {
+            clearTimeout(entry.timer);
+            this.pending.delete(roomCode);
+        }
+        // Saves already on their way (e.g. the one unloading the room started)
+        await Promise.allSettled(Array.from(this.writing.get(roomCode) || []));
+        await roomFileModel.deleteMany({ roomCode });
+    }
+}
+
+export default RoomPersistence;
@@ -0,0 +1,10 @@
+// Room roles, from most to least privileged
+export const ROLES = ['owner', 'editor', 'viewer'];
+
+// Roles the owner can hand out (ownership itself is not assignable this way)
+export const ASSIGNABLE_ROLES = ['editor', 'viewer'];
+
+// Viewers get a read-only stream of the room
+export const canEdit = (role) => role === 'owner' || role === 'editor';
+
+export const isOwner = (role) => role === 'owner';
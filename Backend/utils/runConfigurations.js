@@ -0,0 +1,199 @@
+import path from 'path';
+import picomatch from 'picomatch';
+import roomModel from '../models/roomModel.js';
+import { shellQuote } from './sandbox.js';
+
+const MAX_CONFIGURATIONS = 20;
+const MAX_ARGS = 50;
+const MAX_ENV_VARS = 50;
+const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// What runs a file when none of the room's configurations match it. Templates
+// use the same placeholders as room configurations.
+export const BUILT_IN_CONFIGURATIONS = {
+    '.js': { command: 'node {file}' },
+    '.py': { command: 'python3 {file}' },
+    '.java': { preBuild: 'javac {file}', command: 'java -cp {dir} {stem}' },
+    '.cpp': { preBuild: 'g++ {file} -o {stem}', command: './{stem}' },
+    '.c': { preBuild: 'gcc {file} -o {stem}', command: './{stem}' },
+    '.go': { preBuild: 'go build -o {stem} {file}', command: './{stem}' },
+    '.rs': { preBuild: 'rustc {file}', command: './{stem}' },
+    '.php': { command: 'php {file}' },
+    '.rb': { command: 'ruby {file}' },
+    '.sh': { command: 'bash {file}' }
+};
+
+const configurationError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// What clients get to see of a room's configurations
+export const describeRunConfigurations = (configurations = []) => configurations.map(configuration => ({
+    name: configuration.name,
+    match: configuration.match || [],
+    command: configuration.command,
+    preBuild: configuration.preBuild || '',
+    workingDirectory: configuration.workingDirectory || '',
+    args: configuration.args || [],
+    env: configuration.env instanceof Map ? Object.fromEntries(configuration.env) : configuration.env || {}
+}));
+
+const stringList = (value, label, max) => {
+    const list = value === undefined ? [] : value;
+    if (!Array.isArray(list) || list.some(item => typeof item !== 'string')) {
+        throw configurationError(`${label} must be a list of text`);
+    }
+    if (list.length > max) {
+        throw configurationError(`${label} can have at most ${max} entries`);
+    }
+    return list;
+};
+
+// Check configurations sent by a client; returns them in the stored shape
+export function normalizeRunConfigurations(configurations) {
+    if (!Array.isArray(configurations)) {
+        throw configurationError('Run configurations must be a list');
+    }
+    if (configurations.length > MAX_CONFIGURATIONS) {
+        throw configurationError(`A room can have at most ${MAX_CONFIGURATIONS} run configurations`);
+    }
+
+    const names = new Set();
+    return configurations.map((configuration = {}) => {
+        const name = typeof configuration.name === 'string' ? configuration.name.trim() : '';
+        if (!name) {
+            throw configurationError('Every run configuration needs a name');
+        }
+        if (names.has(name)) {
+            throw configurationError(`There are two run configurations named ${name}`);
+        }
+        names.add(name);
+
+        if (typeof configuration.command !== 'string' || !configuration.command.trim()) {
+            throw configurationError(`Run configuration ${name} needs a command`);
+        }
+        if (configuration.preBuild !== undefined && typeof configuration.preBuild !== 'string') {
+            throw configurationError(`The pre-build step of ${name} must be text`);
+        }
+
+        // Relative to the room's working directory and staying inside it
+        const workingDirectory = path.posix.normalize(configuration.workingDirectory || '.');
+        if (path.posix.isAbsolute(workingDirectory) || workingDirectory === '..' || workingDirectory.startsWith('../')) {
+            throw configurationError(`The working directory of ${name} must be inside the room`);
+        }
+
+        const env = configuration.env || {};
+        if (typeof env !== 'object' || Array.isArray(env)) {
+            throw configurationError(`The environment of ${name} must map names to values`);
+        }
+        const envEntries = Object.entries(env);
+        if (envEntries.length > MAX_ENV_VARS) {
+            throw configurationError(`Run configuration ${name} can set at most ${MAX_ENV_VARS} variables`);
+        }
+        envEntries.forEach(([envName, value]) => {
+            if (!ENV_NAME_PATTERN.test(envName) || typeof value !== 'string') {
+                throw configurationError(`Invalid environment variable ${envName} in ${name}`);
+            }
+        });
+
+        return {
+            name,
+            match: stringList(configuration.match, `File patterns of ${name}`, MAX_ARGS).map(glob => glob.trim()).filter(Boolean),
+            command: configuration.command,
+            preBuild: configuration.preBuild || '',
+            workingDirectory: workingDirectory === '.' ? '' : workingDirectory,
+            args: stringList(configuration.args, `Arguments of ${name}`, MAX_ARGS),
+            env
+        };
+    });
+}
+
+// Replace the run configurations of a room
+export async function setRunConfigurations(roomCode, configurations) {
+    const normalized = normalizeRunConfigurations(configurations);
+    const room = await roomModel.findOneAndUpdate(
+        { roomCode },
+        { $set: { runConfigurations: normalized } },
+        { new: true, runValidators: true }
+    ).select('runConfigurations').lean().catch(error => {
+        throw error.name === 'ValidationError' || error.name === 'CastError'
+            ? configurationError(error.message)
+            : error;
+    });
+    if (!room) {
+        throw configurationError('Room not found', 404);
+    }
+    return describeRunConfigurations(room.runConfigurations);
+}
+
+// Patterns without a slash match the file name anywhere in the tree, as in search
+const matchesFile = (configuration, fileName) => {
+    const globs = configuration.match.map(glob => (glob.includes('/') ? glob : `**/${glob}`));
+    return globs.length > 0 && picomatch(globs, { dot: true })(fileName);
+};
+
+// Fill in a template. Every value is quoted for the shell, so file names with
+// spaces, quotes or `$(...)` in them stay file names. Unknown placeholders are
+// left alone.
+function expandTemplate(template, variables, quotedArgs) {
+    return template.replace(/\{(\w+)\}/g, (placeholder, key) => {
+        if (key === 'args') return quotedArgs;
+        return Object.hasOwn(variables, key) ? shellQuote(variables[key]) : placeholder;
+    });
+}
+
+// Shell commands that build (optional) and run a file, from the named
+// configuration, the first of the room's configurations that matches the file,
+// or the built-in table. Placeholders, relative to the configuration's working
+// directory: {file} {dir} {name} {stem} {ext}, and {args} for the arguments
+// (added at the end of the command when it has no {args}).
+export function resolveRun(fileName, configurations = [], { configuration: configurationName, args } = {}) {
+    let configuration;
+    if (configurationName) {
+        configuration = configurations.find(candidate => candidate.name === configurationName);
+        if (!configuration) {
+            throw configurationError(`Run configuration ${configurationName} not found`, 404);
+        }
+    } else {
+        configuration = configurations.find(candidate => matchesFile(candidate, fileName)) ||
+            BUILT_IN_CONFIGURATIONS[path.extname(fileName).toLowerCase()];
+    }
+    if (!configuration) {
+        throw configurationError(`Unsupported file type: ${path.extname(fileName) || fileName}`);
+    }
+
+    const workingDirectory = configuration.workingDirectory || '';
+    const file = path.posix.relative(workingDirectory || '.', fileName);
+    const ext = path.posix.extname(fileName);
+    const variables = {
+        file,
+        dir: path.posix.dirname(file),
+        name: path.posix.basename(fileName),
+        stem: path.posix.basename(fileName, ext),
+        ext
+    };
+    const allArgs = [...(configuration.args || []), ...stringList(args, 'Arguments', MAX_ARGS)];
+    const quotedArgs = allArgs.map(shellQuote).join(' ');
+
+    const env = configuration.env instanceof Map ? Object.fromEntries(configuration.env) : configuration.env || {};
+    const prefix = [
+        ...Object.entries(env).map(([envName, value]) => `export ${envName}=${shellQuote(value)}`),
+        ...(workingDirectory ? [`cd ${shellQuote(workingDirectory)}`] : [])
+    ].map(step => `${step} && `).join('');
+
+    let run = expandTemplate(configuration.command, variables, quotedArgs);
+    if (quotedArgs && !configuration.command.includes('{args}')) {
+        run = `${run} ${quotedArgs}`;
+    }
+
+    return {
+        configuration: configuration.name || null,
+        compile: configuration.preBuild ? prefix + expandTemplate(configuration.preBuild, variables, quotedArgs) : null,
+        run: prefix + run
+    };
+}
+
+// The build and run steps as one command line
+export const runCommandLine = ({ compile, run }) => (compile ? `${compile} && ${run}` : run);
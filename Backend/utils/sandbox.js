@@ -0,0 +1,353 @@
+import { spawnSync } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Where the working directory appears inside a bubblewrap sandbox
+const SANDBOX_WORKSPACE = '/workspace';
+const SANDBOX_PATH = '/usr/local/sbin:/usr/local/bin:/usr/sbin:/usr/bin:/sbin:/bin';
+// Room users get uids from SANDBOX_UID_BASE up to SANDBOX_UID_BASE + this
+const UID_RANGE = 60000;
+// Sets a shell's own pid in the cgroup.procs file given as $1 (moving it into
+// that cgroup) and becomes the rest of the command
+const JOIN_CGROUP_SCRIPT = 'echo $$ > "$1" && shift && exec "$@"';
+// Mounts an empty read-only tmpfs over every path before `--` (in the room's
+// own mount namespace) and becomes the rest of the command; fails closed
+const HIDE_PATHS_SCRIPT = 'while [ "$1" != -- ]; do mount -t tmpfs -o size=4k,mode=0555,ro tmpfs "$1" || exit 125; shift; done; shift && exec "$@"';
+// The server's own directory (Backend)
+const SERVER_DIRECTORY = fileURLToPath(new URL('..', import.meta.url)).replace(/\/$/, '');
+// Processes that ignore SIGTERM after a timeout are killed this much later
+const KILL_AFTER_SECONDS = 5;
+
+// System directories bubblewrap exposes read-only; the rest of the host
+// filesystem (other rooms, the server and its .env files) does not exist
+// inside the sandbox
+const SYSTEM_READ_ONLY_PATHS = [
+    '/usr', '/bin', '/sbin', '/lib', '/lib32', '/lib64', '/opt',
+    '/etc/alternatives', '/etc/ld.so.cache', '/etc/ld.so.conf', '/etc/ld.so.conf.d',
+    '/etc/ssl', '/etc/ca-certificates', '/etc/localtime'
+];
+const NETWORK_READ_ONLY_PATHS = ['/etc/resolv.conf', '/etc/hosts', '/etc/nsswitch.conf'];
+
+const isInside = (directory, fullPath) => fullPath === directory || fullPath.startsWith(directory + path.sep);
+
+// Name of a room's child of the pids cgroup; room codes are only used in
+// file names after hashing
+const cgroupName = (roomCode) => `room-${crypto.createHash('sha256').update(roomCode).digest('hex').slice(0, 16)}`;
+
+// Quote a string for POSIX shells
+export const shellQuote = (value) => `'${String(value).replace(/'/g, `'\\''`)}'`;
+
+const commandWorks = (command, args) => {
+    const result = spawnSync(command, args, { stdio: 'ignore', timeout: 5000 });
+    return !result.error && result.status === 0;
+};
+
+// Runs room shells and programs with a scrubbed environment, resource limits
+// and, depending on what the host offers, one of two kinds of isolation:
+//   bwrap - Linux namespaces through bubblewrap: no network, a private /tmp,
+//           read-only system directories and only the room's own files.
+//           All rooms run as the server's user, so it needs a pids cgroup
+//           to limit processes per room.
+//   uid   - the server runs as root: every room gets its own unprivileged
+//           user, owning its working directory, no network namespace, and
+//           an empty directory over the server's files (world-readable
+//           .env files included)
+//   none  - limits and environment only, for development; only used when
+//           asked for by name, never picked by `auto`
+class Sandbox {
+    constructor({
+        mode = 'auto',
+        network = false,
+        cpuSeconds,
+        memoryMb,
+        maxProcesses,
+        maxFileMb,
+        runTimeoutSeconds,
+        uidBase,
+        pidsCgroup = null,
+        readOnlyPaths = [],
+        // Hidden from room users in uid mode: the server's directory and the
+        // one its .env files are loaded from
+        hiddenPaths = [SERVER_DIRECTORY, process.cwd()]
+    }) {
+        this.requestedMode = mode;
+        this.network = network;
+        this.limits = { cpuSeconds, memoryMb, maxProcesses, maxFileMb };
+        this.runTimeoutSeconds = runTimeoutSeconds;
+        this.uidBase = uidBase;
+        // A pids cgroup (v1, or v2 delegated to the server) where every room
+        // gets a child cgroup capping all its processes together
+        this.pidsCgroup = pidsCgroup;
+        this.readOnlyPaths = readOnlyPaths;
+        this.hiddenPaths = hiddenPaths.map(hiddenPath => path.resolve(hiddenPath));
+        this.uids = new Map(); // roomCode -> uid
+        this.mode = null;
+    }
+
+    // Pick the isolation to use, once. Throws if the configured mode is not
+    // available, so the server never silently runs without it: `auto` means
+    // bwrap or uid, and no isolation at all has to be asked for by name.
+    detectMode() {
+        if (this.mode) return this.mode;
+
+        const wanted = this.requestedMode;
+        const canUseBwrap = () => commandWorks('bwrap', ['--unshare-all', '--ro-bind', '/', '/', 'true']);
+        const canUseUid = () => process.getuid?.() === 0 &&
+            commandWorks('setpriv', ['--version']) &&
+            commandWorks('mount', ['--version']) &&
+            commandWorks('unshare', ['--net', '--pid', '--kill-child', 'true']);
+
+        if (this.pidsCgroup) {
+            try {
+                fs.accessSync(path.join(this.pidsCgroup, 'pids.max'));
+                fs.accessSync(this.pidsCgroup, fs.constants.W_OK);
+            } catch (error) {
+                throw new Error(`${this.pidsCgroup} is not a pids cgroup the server can create cgroups in`);
+            }
+        }
+
+        if ((wanted === 'auto' || wanted === 'bwrap') && this.pidsCgroup && canUseBwrap()) {
+            this.mode = 'bwrap';
+        } else if ((wanted === 'auto' || wanted === 'uid') && canUseUid()) {
+            this.mode = 'uid';
+        } else if (wanted === 'none') {
+            this.mode = 'none';
+            console.warn('Sandbox: isolation is off (SANDBOX_MODE=none), room terminals can see the whole host.');
+        } else if (wanted === 'auto') {
+            throw new Error('No sandbox is available on this host. Run as root, or install bubblewrap and set SANDBOX_PIDS_CGROUP, or set SANDBOX_MODE=none for development.');
+        } else if (wanted === 'bwrap' && !this.pidsCgroup) {
+            throw new Error('Sandbox mode "bwrap" needs SANDBOX_PIDS_CGROUP to limit processes per room');
+        } else {
+            throw new Error(`Sandbox mode "${wanted}" is not available on this host`);
+        }
+
+        console.log(`Sandbox mode: ${this.mode}`);
+        return this.mode;
+    }
+
+    // Unprivileged uid (and gid) of a room, never shared with another room. A
+    // room keeps the uid that owns its working directory, across restarts too;
+    // new rooms get the lowest uid no other working directory belongs to.
+    uidOf(roomCode, workDir) {
+        if (this.uids.has(roomCode)) return this.uids.get(roomCode);
+
+        const inRange = (uid) => uid >= this.uidBase && uid < this.uidBase + UID_RANGE;
+        const ownerOf = (fullPath) => {
+            try {
+                return fs.lstatSync(fullPath).uid;
+            } catch (error) {
+                return null;
+            }
+        };
+
+        const taken = new Set(this.uids.values());
+        let uid = ownerOf(workDir);
+        if (!inRange(uid) || taken.has(uid)) {
+            const parent = path.dirname(workDir);
+            fs.readdirSync(parent)
+                .filter(entry => path.join(parent, entry) !== path.resolve(workDir))
+                .forEach(entry => taken.add(ownerOf(path.join(parent, entry))));
+
+            uid = this.uidBase;
+            while (taken.has(uid)) uid++;
+            if (!inRange(uid)) {
+                throw new Error('No sandbox user ids left');
+            }
+        }
+
+        this.uids.set(roomCode, uid);
+        return uid;
+    }
+
+    // The room's child of the pids cgroup, created on first use
+    roomCgroup(roomCode) {
+        if (!this.pidsCgroup) return null;
+
+        const cgroup = path.join(this.pidsCgroup, cgroupName(roomCode));
+        if (!fs.existsSync(cgroup)) {
+            fs.mkdirSync(cgroup);
+            fs.writeFileSync(path.join(cgroup, 'pids.max'), String(this.limits.maxProcesses));
+        }
+        return cgroup;
+    }
+
+    // The room is gone: its uid can go to a new room, and its cgroup (once
+    // empty) is removed
+    release(roomCode) {
+        this.uids.delete(roomCode);
+        if (!this.pidsCgroup) return;
+
+        try {
+            fs.rmdirSync(path.join(this.pidsCgroup, cgroupName(roomCode)));
+        } catch (error) {
+            // Never used, or processes are still leaving; a room that comes
+            // back reuses it
+        }
+    }
+
+    // Where room processes see the working directory
+    workspacePath(workDir) {
+        return this.detectMode() === 'bwrap' ? SANDBOX_WORKSPACE : workDir;
+    }
+
+    // The only variables room processes get; nothing from the server's own
+    // environment (JWT_SECRET, DB_URL...) leaks in
+    environment(workDir) {
+        const home = this.workspacePath(workDir);
+        const nodeBin = path.dirname(process.execPath);
+        return {
+            PATH: SANDBOX_PATH.split(':').includes(nodeBin) ? SANDBOX_PATH : `${SANDBOX_PATH}:${nodeBin}`,
+            HOME: home,
+            USER: 'sandbox',
+            SHELL: '/bin/bash',
+            LANG: 'C.UTF-8',
+            TMPDIR: '/tmp',
+            TERM: 'xterm-256color',
+            COLORTERM: 'truecolor',
+            FORCE_COLOR: '1'
+        };
+    }
+
+    // Per-process limits, applied by prlimit before anything else starts.
+    // RLIMIT_NPROC counts every process of a real uid, which is a per-room
+    // limit only in uid mode; elsewhere all rooms share the server's user and
+    // the room's pids cgroup is what limits them.
+    limitArgs() {
+        const { cpuSeconds, memoryMb, maxProcesses, maxFileMb } = this.limits;
+        return [
+            `--cpu=${cpuSeconds}`,
+            `--as=${memoryMb * 1024 * 1024}`,
+            ...(this.mode === 'uid' || !this.pidsCgroup ? [`--nproc=${maxProcesses}`] : []),
+            `--fsize=${maxFileMb * 1024 * 1024}`,
+            '--core=0'
+        ];
+    }
+
+    // The isolation wrapper, with `timeout` (a `timeout` command or nothing)
+    // where it can end the program
+    isolationArgs(roomCode, workDir, timeout = []) {
+        if (this.mode === 'bwrap') {
+            // Node itself may live outside /usr (nvm, /opt...)
+            const nodePrefix = path.dirname(path.dirname(process.execPath));
+            const readOnly = [
+                ...SYSTEM_READ_ONLY_PATHS,
+                ...(this.network ? NETWORK_READ_ONLY_PATHS : []),
+                nodePrefix,
+                ...this.readOnlyPaths
+            ];
+            return [
+                ...timeout,
+                'bwrap',
+                '--die-with-parent',
+                '--unshare-all',
+                ...(this.network ? ['--share-net'] : []),
+                ...readOnly.flatMap(readOnlyPath => ['--ro-bind-try', readOnlyPath, readOnlyPath]),
+                '--proc', '/proc',
+                '--dev', '/dev',
+                '--tmpfs', '/tmp',
+                '--bind', workDir, SANDBOX_WORKSPACE,
+                '--chdir', SANDBOX_WORKSPACE,
+                '--hostname', 'sandbox',
+                '--'
+            ];
+        }
+
+        if (this.mode === 'uid') {
+            const uid = this.uidOf(roomCode, workDir);
+            // unshare cannot re-raise SIGXCPU, so a program stopped by the
+            // CPU limit exits with status 1 here instead of the signal.
+            // The timeout is the namespace's init and still root: the room's
+            // program is never init (which ignores SIGTERM from outside) and
+            // cannot kill it. Killing unshare takes the whole namespace down.
+            // Room users could read any world-readable host file, so the
+            // server's files are covered first.
+            return [
+                'unshare', '--pid', '--kill-child', '--mount', '--mount-proc',
+                ...(this.network ? [] : ['--net']),
+                'sh', '-c', HIDE_PATHS_SCRIPT, 'sh', ...this.pathsToHide(workDir), '--',
+                ...timeout,
+                'setpriv',
+                `--reuid=${uid}`,
+                `--regid=${uid}`,
+                '--clear-groups',
+                '--inh-caps=-all',
+                '--bounding-set=-all',
+                '--no-new-privs',
+                '--'
+            ];
+        }
+
+        return timeout;
+    }
+
+    // Paths to hide from a room, leaving out any the working directory is in
+    // (and `/`) and any already inside another hidden path
+    pathsToHide(workDir) {
+        const room = path.resolve(workDir);
+        const hidden = this.hiddenPaths
+            .filter(hiddenPath => hiddenPath !== path.parse(hiddenPath).root)
+            .filter(hiddenPath => !isInside(hiddenPath, room) && fs.existsSync(hiddenPath))
+            .sort((a, b) => a.length - b.length);
+        return hidden.filter((hiddenPath, index) => !hidden.slice(0, index).some(other => isInside(other, hiddenPath)));
+    }
+
+    // How to start `command` for a room, as { file, args, cwd, env } for
+    // pty.spawn or child_process.spawn. `timeoutSeconds` adds a wall-clock limit.
+    command(roomCode, workDir, command, args = [], { timeoutSeconds } = {}) {
+        this.detectMode();
+
+        const timeout = timeoutSeconds ? ['timeout', '-k', String(KILL_AFTER_SECONDS), String(timeoutSeconds)] : [];
+        const cgroup = this.roomCgroup(roomCode);
+        const joinCgroup = cgroup ? ['sh', '-c', JOIN_CGROUP_SCRIPT, 'sh', path.join(cgroup, 'cgroup.procs')] : [];
+        const [file, ...rest] = [
+            ...joinCgroup,
+            'prlimit', ...this.limitArgs(), '--',
+            ...this.isolationArgs(roomCode, workDir, timeout),
+            command, ...args
+        ];
+
+        return { file, args: rest, cwd: workDir, env: this.environment(workDir) };
+    }
+
+    // A command line typed into a room shell, wrapped in the run timeout
+    // (the shell itself is already sandboxed)
+    timedShellCommand(commandLine, timeoutSeconds = this.runTimeoutSeconds) {
+        return `timeout -k ${KILL_AFTER_SECONDS} ${timeoutSeconds} bash -c ${shellQuote(commandLine)}`;
+    }
+
+    // Give a room's user the working directory (uid mode only)
+    prepareWorkingDirectory(roomCode, workDir) {
+        if (!workDir || this.detectMode() !== 'uid') return;
+
+        const uid = this.uidOf(roomCode, workDir);
+        fs.chmodSync(workDir, 0o700);
+        const claimTree = (fullPath) => {
+            fs.lchownSync(fullPath, uid, uid);
+            if (fs.lstatSync(fullPath).isDirectory()) {
+                fs.readdirSync(fullPath).forEach(entry => claimTree(path.join(fullPath, entry)));
+            }
+        };
+        claimTree(workDir);
+    }
+
+    // Files the server writes into a working directory belong to the room's
+    // user too, including folders created on the way (uid mode only)
+    claim(roomCode, workDir, relativePath) {
+        if (this.detectMode() !== 'uid') return;
+
+        const uid = this.uidOf(roomCode, workDir);
+        let current = workDir;
+        for (const part of path.normalize(relativePath).split(path.sep).filter(Boolean)) {
+            current = path.join(current, part);
+            try {
+                fs.lchownSync(current, uid, uid);
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+    }
+}
+
+export default Sandbox;
@@ -0,0 +1,83 @@
+import crypto from 'crypto';
+
+// Stable identity for a visit to a room. Everything else is keyed by socket
+// id, which changes on every reconnect; the session remembers which socket it
+// currently belongs to and, after a disconnect, waits a grace period for the
+// client to come back on a new socket before giving up.
+class SessionManager {
+    constructor(gracePeriodMs, onExpire) {
+        this.gracePeriodMs = gracePeriodMs;
+        this.onExpire = onExpire; // (session) => releases what the socket left behind
+        this.sessions = new Map(); // Sessions by sessionId
+    }
+
+    // Start a session for a socket that joined a room
+    create({ socketId, roomCode, userId, username, role }) {
+        const session = {
+            sessionId: crypto.randomUUID(),
+            socketId,
+            roomCode,
+            userId: userId || null,
+            username,
+            role,
+            disconnectedAt: null,
+            timer: null
+        };
+        this.sessions.set(session.sessionId, session);
+        return session;
+    }
+
+    get(sessionId) {
+        return (typeof sessionId === 'string' && this.sessions.get(sessionId)) || null;
+    }
+
+    // The socket went away; keep the session around for the grace period
+    detach(sessionId) {
+        const session = this.get(sessionId);
+        if (!session) return null;
+
+        clearTimeout(session.timer);
+        session.disconnectedAt = new Date();
+        session.timer = setTimeout(() => {
+            this.sessions.delete(sessionId);
+            this.onExpire(session);
+        }, this.gracePeriodMs);
+        return session;
+    }
+
+    // Hand the session over to a new socket
+    attach(sessionId, socketId) {
+        const session = this.get(sessionId);
+        if (!session) return null;
+
+        clearTimeout(session.timer);
+        session.timer = null;
+        session.disconnectedAt = null;
+        session.socketId = socketId;
+        return session;
+    }
+
+    // Forget a session without releasing anything (left, kicked or rejoined)
+    end(sessionId) {
+        const session = this.get(sessionId);
+        if (!session) return null;
+
+        clearTimeout(session.timer);
+        this.sessions.delete(sessionId);
+        return session;
+    }
+
+    // Forget every session of a room, returning the ones still waiting for
+    // their client so the caller can release them
+    endRoom(roomCode) {
+        const waiting = [];
+        for (const session of Array.from(this.sessions.values())) {
+            if (session.roomCode !== roomCode) continue;
+            this.end(session.sessionId);
+            if (session.disconnectedAt) waiting.push(session);
+        }
+        return waiting;
+    }
+}
+
+export default SessionManager;
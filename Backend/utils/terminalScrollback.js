@@ -0,0 +1,173 @@
+// Lines longer than this (progress bars redrawn with \r...) are wrapped
+const MAX_LINE_LENGTH = 4096;
+const DEFAULT_MAX_LINES = 5000;
+const DEFAULT_MAX_CHARS = 1024 * 1024;
+const DEFAULT_PAGE_LINES = 200;
+const MAX_PAGE_LINES = 1000;
+
+const RESET = '\x1b[0m';
+// One complete escape sequence starting at lastIndex: CSI, OSC or a two-byte escape
+const ESCAPE_AT = /\x1b(?:\[[0-?]*[ -/]*[@-~]|\][^\x07\x1b]*(?:\x07|\x1b\\)|[@-Z\\-_])/y;
+const SGR_PATTERN = /\x1b\[([0-9;:]*)m/g;
+// Full-screen programs (vim, less, top) draw on the alternate screen, which
+// has no scrollback of its own
+const ALTERNATE_SCREEN_PATTERN = /\x1b\[\?(?:1049|1047|47)([hl])/g;
+// `clear` and `reset` wipe the scrollback in real terminals too
+const CLEAR_SCROLLBACK_PATTERN = /\x1b\[3J|\x1bc/g;
+
+// Graphics state (colors, bold...) in effect after `text`, given the state before it
+function styleAfter(style, text) {
+    let result = style;
+    for (const match of text.matchAll(SGR_PATTERN)) {
+        const params = match[1];
+        if (params === '' || params === '0') {
+            result = '';
+        } else if (params.split(/[;:]/)[0] === '0') {
+            result = match[0];
+        } else {
+            result += match[0];
+        }
+    }
+    // A long run of changes without a reset: the last one is close enough
+    return result.length > 256 ? result.slice(result.lastIndexOf('\x1b[')) : result;
+}
+
+// Where to cut `text` at or before `max` without splitting an escape sequence
+function safeCut(text, max) {
+    const escape = text.lastIndexOf('\x1b', max - 1);
+    if (escape === -1) return max;
+
+    ESCAPE_AT.lastIndex = escape;
+    const match = ESCAPE_AT.exec(text);
+    return match && escape + match[0].length <= max ? max : Math.max(escape, 1);
+}
+
+// Bounded scrollback of a terminal, kept as a ring of lines. Each line
+// remembers the colors in effect where it starts, so any page can be
+// replayed on its own.
+class TerminalScrollback {
+    constructor({ maxLines = DEFAULT_MAX_LINES, maxChars = DEFAULT_MAX_CHARS } = {}) {
+        this.maxLines = maxLines;
+        this.maxChars = maxChars;
+        this.clear();
+        this.alternateScreen = false;
+    }
+
+    clear() {
+        this.lines = new Array(this.maxLines); // Ring of { text, style }
+        this.head = 0; // Slot of the oldest line
+        this.count = 0;
+        this.chars = 0;
+        this.droppedLines = 0; // Lines dropped so far, so line numbers stay stable
+        this.current = ''; // The line being written
+        this.currentStyle = '';
+    }
+
+    // Number of the oldest kept line and of the line being written
+    get firstLine() {
+        return this.droppedLines;
+    }
+
+    get endLine() {
+        return this.droppedLines + this.count;
+    }
+
+    lineAt(lineNumber) {
+        return this.lines[(this.head + lineNumber - this.droppedLines) % this.maxLines];
+    }
+
+    // Add terminal output
+    write(data) {
+        let text = data;
+
+        const clearAt = Array.from(text.matchAll(CLEAR_SCROLLBACK_PATTERN)).pop();
+        if (clearAt) {
+            const style = this.currentStyle;
+            const droppedLines = this.endLine;
+            this.clear();
+            this.droppedLines = droppedLines;
+            this.currentStyle = style;
+            text = text.slice(clearAt.index + clearAt[0].length);
+        }
+
+        // Keep what is printed on the normal screen only
+        let visible = '';
+        let position = 0;
+        for (const match of text.matchAll(ALTERNATE_SCREEN_PATTERN)) {
+            if (!this.alternateScreen) visible += text.slice(position, match.index);
+            this.alternateScreen = match[1] === 'h';
+            position = match.index + match[0].length;
+        }
+        if (!this.alternateScreen) visible += text.slice(position);
+
+        const parts = visible.split('\n');
+        this.current += parts[0];
+        for (let i = 1; i < parts.length; i++) {
+            this.pushLine(this.current.endsWith('\r') ? this.current.slice(0, -1) : this.current);
+            this.current = parts[i];
+        }
+        while (this.current.length > MAX_LINE_LENGTH) {
+            const cut = safeCut(this.current, MAX_LINE_LENGTH);
+            this.pushLine(this.current.slice(0, cut));
+            this.current = this.current.slice(cut);
+        }
+    }
+
+    pushLine(text) {
+        if (this.count === this.maxLines) {
+            this.dropOldest();
+        }
+        this.lines[(this.head + this.count) % this.maxLines] = { text, style: this.currentStyle };
+        this.count++;
+        this.chars += text.length;
+        this.currentStyle = styleAfter(this.currentStyle, text);
+
+        while (this.chars > this.maxChars && this.count > 1) {
+            this.dropOldest();
+        }
+    }
+
+    dropOldest() {
+        this.chars -= this.lines[this.head].text.length;
+        this.lines[this.head] = undefined;
+        this.head = (this.head + 1) % this.maxLines;
+        this.count--;
+        this.droppedLines++;
+    }
+
+    // Lines [start, end) as terminal output, starting from the right colors
+    render(start, end) {
+        const texts = [];
+        for (let lineNumber = start; lineNumber < end; lineNumber++) {
+            texts.push(this.lineAt(lineNumber).text);
+        }
+        const style = start < end ? this.lineAt(start).style : this.currentStyle;
+        return { style, text: texts.join('\r\n') };
+    }
+
+    // Everything kept, for repainting a terminal from scratch (ends on the
+    // line being written, usually the prompt)
+    replay() {
+        const { style, text } = this.render(this.firstLine, this.endLine);
+        return RESET + style + text + (this.count > 0 ? '\r\n' : '') + this.current;
+    }
+
+    // `limit` lines before line `before` (default: the newest lines)
+    page({ before, limit } = {}) {
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_LINES, 1), MAX_PAGE_LINES);
+        const requestedEnd = Number.isInteger(before) ? before : this.endLine;
+        const end = Math.min(Math.max(requestedEnd, this.firstLine), this.endLine);
+        const start = Math.max(end - pageSize, this.firstLine);
+        const { style, text } = this.render(start, end);
+
+        return {
+            data: start < end ? style + text + RESET : '',
+            startLine: start,
+            endLine: end,
+            firstLine: this.firstLine,
+            hasMore: start > this.firstLine
+        };
+    }
+}
+
+export default TerminalScrollback;
@@ -0,0 +1,88 @@
+import fs from 'fs';
+import path from 'path';
+
+// Room users control everything in their working directory, symlinks and
+// FIFOs included, while the server reads and writes there as itself. So the
+// server never follows a link out of the directory, never opens anything but
+// regular files, and checks where every open really landed.
+
+const { O_RDONLY, O_WRONLY, O_CREAT, O_NOFOLLOW = 0, O_NONBLOCK = 0 } = fs.constants;
+
+const workspaceError = (message, code) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const isInside = (directory, fullPath) => fullPath === directory || fullPath.startsWith(directory + path.sep);
+
+// Full path of an item in the working directory whose parent folders are real
+// folders inside it. The item itself does not have to exist yet.
+export function resolveInWorkspace(workDir, relativePath) {
+    const root = path.resolve(workDir);
+    const fullPath = path.resolve(root, relativePath);
+    if (fullPath === root || !isInside(root, fullPath)) {
+        throw workspaceError(`${relativePath} is outside the working directory`, 'EOUTSIDE');
+    }
+
+    let parent = path.dirname(fullPath);
+    while (parent !== root && !fs.existsSync(parent)) {
+        parent = path.dirname(parent);
+    }
+    if (!isInside(fs.realpathSync(root), fs.realpathSync(parent))) {
+        throw workspaceError(`${relativePath} is outside the working directory`, 'EOUTSIDE');
+    }
+    return fullPath;
+}
+
+// Open a regular file without following a symlink in its place. Folders
+// swapped for links after the check above are caught through /proc (Linux).
+export function openInWorkspace(workDir, relativePath, flags = O_RDONLY) {
+    const fullPath = resolveInWorkspace(workDir, relativePath);
+    const fd = fs.openSync(fullPath, flags | O_NOFOLLOW | O_NONBLOCK, 0o644);
+    try {
+        if (!fs.fstatSync(fd).isFile()) {
+            throw workspaceError(`${relativePath} is not a regular file`, 'ENOTFILE');
+        }
+        let openedPath = null;
+        try {
+            openedPath = fs.readlinkSync(`/proc/self/fd/${fd}`);
+        } catch (error) {
+            // No /proc, the parent check has to do
+        }
+        if (openedPath && !isInside(fs.realpathSync(workDir), openedPath)) {
+            throw workspaceError(`${relativePath} is outside the working directory`, 'EOUTSIDE');
+        }
+        return fd;
+    } catch (error) {
+        fs.closeSync(fd);
+        throw error;
+    }
+}
+
+export function readFromWorkspace(workDir, relativePath) {
+    const fd = openInWorkspace(workDir, relativePath);
+    try {
+        return fs.readFileSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Create or replace a file, creating its folders on the way
+export function writeToWorkspace(workDir, relativePath, data) {
+    const fullPath = resolveInWorkspace(workDir, relativePath);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+
+    const fd = openInWorkspace(workDir, relativePath, O_WRONLY | O_CREAT);
+    try {
+        fs.ftruncateSync(fd);
+        fs.writeFileSync(fd, data);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Whether an error only means the item is a link, FIFO, device or outside
+// the working directory, i.e. something the server leaves alone
+export const isUnsafeWorkspaceItem = (error) => ['ELOOP', 'EOUTSIDE', 'ENOTFILE', 'ENXIO'].includes(error?.code);